@@ -0,0 +1,79 @@
+/**
+ * Address Book
+ * Reads and writes script/addressBook/<chainId>.json, the per-chain record of
+ * the BatchCallAndSponsor deployment shared with the forge deploy script
+ */
+
+const { ethers } = require('ethers');
+const path = require('path');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const ADDRESS_BOOK_DIR = path.join(__dirname, '..', 'script', 'addressBook');
+
+function addressBookPath(chainId) {
+    return path.join(ADDRESS_BOOK_DIR, `${chainId}.json`);
+}
+
+/**
+ * Entries of a chain's address book; {} when it has none
+ */
+function readAddressBook(chainId) {
+    const file = addressBookPath(chainId);
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * The BatchCallAndSponsor deployment of a chain: { address, codeHash }, where
+ * codeHash (keccak256 of the runtime code) is null for deployments recorded
+ * without one. Returns null when there is no (non-zero) deployment.
+ */
+function readDeployment(chainId) {
+    try {
+        const addressBook = readAddressBook(chainId);
+        const address = addressBook.BatchCallAndSponsor;
+        if (!address || address === ethers.ZeroAddress) {
+            return null;
+        }
+        return {
+            address: ethers.getAddress(address),
+            codeHash: addressBook.BatchCallAndSponsorCodeHash || null
+        };
+    } catch (error) {
+        logger.error('❌ Error reading address book:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Record a BatchCallAndSponsor deployment, keeping the other entries of the
+ * address book. `extra` adds entries of other contracts.
+ */
+function writeDeployment(chainId, { address, codeHash }, extra = {}) {
+    const file = addressBookPath(chainId);
+    let addressBook = {};
+    try {
+        addressBook = readAddressBook(chainId);
+    } catch (error) {
+        logger.warn(`⚠️  Replacing unreadable address book ${file}`);
+    }
+
+    fs.mkdirSync(ADDRESS_BOOK_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+        ...addressBook,
+        BatchCallAndSponsor: address,
+        BatchCallAndSponsorCodeHash: codeHash,
+        ...extra
+    }, null, 4) + '\n');
+
+    logger.info(`📝 Address book written: ${file}`);
+    return file;
+}
+
+module.exports = {
+    readDeployment,
+    writeDeployment
+};
@@ -0,0 +1,51 @@
+/**
+ * Contract Artifacts
+ * ABI and bytecode of the contracts from forge's out/ directory,
+ * running `forge build` first when an artifact is missing
+ */
+
+const { execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const ARTIFACTS_DIR = path.join(PROJECT_ROOT, 'out');
+
+const FORGE_BUILD_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Run `forge build` in the project root
+ */
+function forgeBuild() {
+    return new Promise((resolve, reject) => {
+        execFile('forge', ['build'], { cwd: PROJECT_ROOT, timeout: FORGE_BUILD_TIMEOUT_MS }, (error, stdout, stderr) => {
+            if (error) {
+                return reject(new Error(error.code === 'ENOENT'
+                    ? 'Foundry not installed: cannot build the contracts'
+                    : `forge build failed: ${stderr.trim() || error.message}`));
+            }
+            resolve();
+        });
+    });
+}
+
+function artifactPath(name) {
+    return path.join(ARTIFACTS_DIR, `${name}.sol`, `${name}.json`);
+}
+
+/**
+ * { abi, bytecode } of a contract, building first when its artifact is missing
+ */
+async function readArtifact(name) {
+    if (!fs.existsSync(artifactPath(name))) {
+        logger.info('🔨 Building contracts (forge build)...');
+        await forgeBuild();
+    }
+    const artifact = JSON.parse(fs.readFileSync(artifactPath(name), 'utf8'));
+    return { abi: artifact.abi, bytecode: artifact.bytecode.object };
+}
+
+module.exports = {
+    readArtifact
+};
@@ -0,0 +1,96 @@
+/**
+ * Audit Log
+ * Append-only JSON Lines record of every on-chain action: who requested it
+ * (tenant, API key id, IP), what was sent, and the resulting transaction
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const AUDIT_LOG_FILE = path.resolve(__dirname, process.env.AUDIT_LOG_FILE || 'data/audit.jsonl');
+
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Job id -> { requester, txHash } until the job finishes
+const pending = new Map();
+
+fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+
+function append(entry) {
+    fs.appendFileSync(AUDIT_LOG_FILE, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n');
+}
+
+/**
+ * Who sent a request
+ */
+function requesterOf(req) {
+    return {
+        requestId: req.id || null,
+        tenant: req.tenant ? req.tenant.name : null,
+        apiKeyId: req.tenant ? req.tenant.keyId : null,
+        ip: req.ip || null,
+        userAgent: req.get('User-Agent') || null
+    };
+}
+
+/**
+ * Record an accepted state-changing request and what it will send
+ */
+function recordRequest(req, job) {
+    const requester = requesterOf(req);
+    pending.set(job.id, { requester: requester, txHash: null });
+
+    append({
+        event: 'requested',
+        jobId: job.id,
+        action: job.type,
+        chainId: job.params.chainId,
+        account: job.params.address,
+        sponsored: Boolean(job.params.sponsored),
+        sponsor: job.params.sponsor || null,
+        implementation: job.params.implementation || null,
+        calls: job.params.calls || [],
+        requester: requester
+    });
+}
+
+/**
+ * Record broadcast, replacement (speed-up or cancellation) and completion
+ * of an audited job (jobs.onJobUpdate listener)
+ */
+function recordJobUpdate(job) {
+    const entry = pending.get(job.id);
+    if (!entry) {
+        return;
+    }
+
+    const final = FINAL_STATUSES.includes(job.status);
+    if (!final && (!job.txHash || job.txHash === entry.txHash)) {
+        return;
+    }
+
+    append({
+        event: final ? job.status : (entry.txHash ? 'replaced' : 'submitted'),
+        jobId: job.id,
+        action: job.type,
+        chainId: job.params.chainId,
+        account: job.params.address,
+        txHash: job.txHash,
+        previousTxHash: !final && entry.txHash ? entry.txHash : undefined,
+        error: final ? job.error : undefined,
+        errorCode: final ? job.errorCode : undefined,
+        requester: entry.requester
+    });
+
+    if (final) {
+        pending.delete(job.id);
+    } else {
+        entry.txHash = job.txHash;
+    }
+}
+
+module.exports = {
+    AUDIT_LOG_FILE,
+    recordRequest,
+    recordJobUpdate
+};
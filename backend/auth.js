@@ -0,0 +1,270 @@
+/**
+ * API Authentication
+ * API keys (optionally HMAC-signed requests) tied to tenants, per-tenant
+ * rate limits and the CORS origin allowlist
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { registerSecret } = require('./logger');
+const { isCallbackUrl } = require('./webhooks');
+
+const API_KEYS_FILE = path.resolve(__dirname, process.env.API_KEYS_FILE || 'api-keys.json');
+
+// Without API keys, routes that send transactions are refused unless this is set (local development)
+const ALLOW_UNAUTHENTICATED = ['1', 'true'].includes(process.env.ALLOW_UNAUTHENTICATED);
+
+// Limits for tenants that do not set their own
+const DEFAULT_REQUESTS_PER_MINUTE = Number(process.env.DEFAULT_REQUESTS_PER_MINUTE || 60);
+const DEFAULT_SENDS_PER_HOUR = Number(process.env.DEFAULT_SENDS_PER_HOUR || 20);
+
+// HMAC-signed requests must be this fresh
+const HMAC_MAX_SKEW_SECONDS = 5 * 60;
+
+// Origins allowed when neither CORS_ORIGINS nor any tenant configures one (the UI dev server)
+const DEFAULT_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Load tenants from the API keys file:
+ * { "tenants": [{ "name", "key", "secret"?, "requestsPerMinute"?, "sendsPerHour"?, "origins"?,
+ *   "webhookUrl"?, "webhookSecret"? }] }
+ */
+function loadTenants() {
+    if (!fs.existsSync(API_KEYS_FILE)) {
+        return [];
+    }
+
+    const config = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+    const tenants = Array.isArray(config.tenants) ? config.tenants : [];
+
+    return tenants.map((tenant, i) => {
+        if (!tenant.name || !tenant.key) {
+            throw new Error(`${API_KEYS_FILE}: tenants[${i}] needs a name and a key`);
+        }
+        if (tenant.webhookUrl && !isCallbackUrl(tenant.webhookUrl)) {
+            throw new Error(`${API_KEYS_FILE}: tenants[${i}].webhookUrl must be an http or https URL`);
+        }
+        registerSecret(tenant.key);
+        registerSecret(tenant.secret);
+        registerSecret(tenant.webhookSecret);
+
+        const keyDigest = digest(tenant.key);
+        return {
+            name: tenant.name,
+            keyDigest: keyDigest,
+            // Identifies the key in logs without revealing it
+            keyId: keyDigest.toString('hex').slice(0, 12),
+            secret: tenant.secret || null,
+            requestsPerMinute: Number(tenant.requestsPerMinute || DEFAULT_REQUESTS_PER_MINUTE),
+            sendsPerHour: Number(tenant.sendsPerHour || DEFAULT_SENDS_PER_HOUR),
+            origins: Array.isArray(tenant.origins) ? tenant.origins : null,
+            // Default callback for this key's transactions (see webhooks.js)
+            webhookUrl: tenant.webhookUrl || null,
+            webhookSecret: tenant.webhookSecret || null
+        };
+    });
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+const tenants = loadTenants();
+
+// Tenant name -> timestamps of recent requests / sends
+const requestLog = new Map();
+const sendLog = new Map();
+
+/**
+ * Whether API keys are configured; without them reads are open and sends need ALLOW_UNAUTHENTICATED
+ */
+function isEnabled() {
+    return tenants.length > 0;
+}
+
+function findTenant(apiKey) {
+    const candidate = digest(apiKey);
+    return tenants.find(tenant => crypto.timingSafeEqual(tenant.keyDigest, candidate)) || null;
+}
+
+/**
+ * Check X-Signature = hex(HMAC-SHA256(secret, `${timestamp}.${method}.${url}.${body}`))
+ */
+function verifyHmac(req, secret) {
+    const timestamp = req.get('X-Timestamp');
+    const signature = req.get('X-Signature');
+
+    if (!timestamp || !signature) {
+        return 'Missing X-Timestamp or X-Signature header';
+    }
+    // Number('abc') is NaN, and NaN passes the skew check below
+    if (!/^\d+$/.test(timestamp)) {
+        return 'X-Timestamp must be Unix time in seconds';
+    }
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > HMAC_MAX_SKEW_SECONDS) {
+        return 'Request timestamp is too old or too far in the future';
+    }
+
+    const payload = `${timestamp}.${req.method}.${req.originalUrl}.${req.rawBody || ''}`;
+    const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+    // Compare byte lengths: a non-ASCII header has more bytes than characters
+    const given = Buffer.from(signature);
+    const wanted = Buffer.from(expected);
+    if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+        return 'Invalid request signature';
+    }
+    return null;
+}
+
+/**
+ * Record a hit in a sliding window. Returns the seconds to wait when the limit is reached.
+ */
+function hit(log, name, limit, windowMs) {
+    const now = Date.now();
+    const recent = (log.get(name) || []).filter(time => time > now - windowMs);
+
+    if (recent.length >= limit) {
+        log.set(name, recent);
+        return Math.ceil((recent[0] + windowMs - now) / 1000);
+    }
+
+    recent.push(now);
+    log.set(name, recent);
+    return 0;
+}
+
+/**
+ * Authenticate /api requests.
+ * State-changing requests need a valid X-API-Key; reads are open but are
+ * attributed to (and rate limited for) a tenant when they carry a key.
+ */
+function authenticate(req, res, next) {
+    if (!isEnabled() || req.method === 'OPTIONS') {
+        return next();
+    }
+
+    const apiKey = req.get('X-API-Key');
+    if (!apiKey) {
+        if (req.method === 'GET') {
+            return next();
+        }
+        return res.status(401).json({
+            success: false,
+            error: 'Missing X-API-Key header'
+        });
+    }
+
+    const tenant = findTenant(apiKey);
+    if (!tenant) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid API key'
+        });
+    }
+
+    if (tenant.secret) {
+        const hmacError = verifyHmac(req, tenant.secret);
+        if (hmacError) {
+            return res.status(401).json({
+                success: false,
+                error: hmacError
+            });
+        }
+    }
+
+    const origin = req.get('Origin');
+    if (origin && tenant.origins && !tenant.origins.includes(origin)) {
+        return res.status(403).json({
+            success: false,
+            error: `Origin ${origin} is not allowed for this API key`
+        });
+    }
+
+    const retryAfter = hit(requestLog, tenant.name, tenant.requestsPerMinute, MINUTE_MS);
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            success: false,
+            error: `Rate limit exceeded: ${tenant.requestsPerMinute} requests per minute`
+        });
+    }
+
+    req.tenant = { name: tenant.name, keyId: tenant.keyId };
+    req.tenantLimits = tenant;
+    next();
+}
+
+/**
+ * Route middleware for requests that put a transaction on chain.
+ * Without API keys these are refused, so a missing keys file does not open the sponsor's wallet.
+ */
+function limitSends(req, res, next) {
+    if (!req.tenantLimits) {
+        if (!isEnabled() && !ALLOW_UNAUTHENTICATED) {
+            return res.status(503).json({
+                success: false,
+                error: 'Sending is disabled: the server has no API keys configured'
+            });
+        }
+        return next();
+    }
+
+    const tenant = req.tenantLimits;
+    const retryAfter = hit(sendLog, tenant.name, tenant.sendsPerHour, HOUR_MS);
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            success: false,
+            error: `Rate limit exceeded: ${tenant.sendsPerHour} sends per hour`
+        });
+    }
+    next();
+}
+
+/**
+ * Every origin allowed to call the API from a browser
+ */
+function allowedOrigins() {
+    const configured = (process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+    const tenantOrigins = tenants.flatMap(tenant => tenant.origins || []);
+
+    const origins = [...new Set([...configured, ...tenantOrigins])];
+    return origins.length > 0 ? origins : DEFAULT_ORIGINS;
+}
+
+/**
+ * Options for the cors middleware. Requests without an Origin (servers, mobile apps) pass;
+ * browsers only get CORS headers for allowlisted origins.
+ */
+function corsOptions() {
+    const origins = allowedOrigins();
+    return {
+        origin: (origin, callback) => callback(null, !origin || origins.includes(origin))
+    };
+}
+
+/**
+ * Keep the raw body for HMAC verification (express.json `verify` hook)
+ */
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf.toString('utf8');
+}
+
+module.exports = {
+    API_KEYS_FILE,
+    ALLOW_UNAUTHENTICATED,
+    isEnabled,
+    authenticate,
+    limitSends,
+    allowedOrigins,
+    corsOptions,
+    captureRawBody
+};
@@ -0,0 +1,110 @@
+/**
+ * Implementation Bytecode Guard
+ * Compares the runtime code of a delegation target with the code hashes of
+ * audited BatchCallAndSponsor builds: delegating hands the contract the whole EOA
+ */
+
+const { ethers } = require('ethers');
+const eip7702 = require('./eip7702');
+const { LOCAL_MODE } = require('./local');
+const { logger } = require('./logger');
+
+// Audited builds (keccak256 of the runtime code), comma-separated. This is the
+// only allowlist: deployments recorded in script/addressBook are not trusted.
+const AUDITED_CODE_HASHES = (process.env.AUDITED_CODE_HASHES || '')
+    .split(',')
+    .map(hash => hash.trim().toLowerCase())
+    .filter(Boolean);
+
+for (const hash of AUDITED_CODE_HASHES) {
+    if (!/^0x[0-9a-f]{64}$/.test(hash)) {
+        throw new Error(`AUDITED_CODE_HASHES: ${hash} is not a 32-byte hex hash`);
+    }
+}
+
+// With an empty list every delegation is refused (unless a request overrides it),
+// but the routes that sign none keep working. Local mode trusts the build it deploys.
+if (AUDITED_CODE_HASHES.length === 0 && !LOCAL_MODE) {
+    logger.warn(
+        '⚠️  AUDITED_CODE_HASHES is empty, so every delegation will be refused with IMPLEMENTATION_NOT_AUDITED. '
+        + 'Set it to the runtime code hash of your reviewed BatchCallAndSponsor deployment, built as pinned in '
+        + 'foundry.toml (solc 0.8.28, via_ir, 200 optimizer runs): cast keccak $(cast code <implementation> --rpc-url <rpc>).'
+    );
+}
+
+// chainId -> code hash of the build local mode deployed to its throwaway anvil
+const localBuilds = new Map();
+
+/**
+ * Audited code hashes (AUDITED_CODE_HASHES)
+ */
+function auditedCodeHashes() {
+    return [...new Set(AUDITED_CODE_HASHES)];
+}
+
+/**
+ * Whether `codeHash` is an audited build on `chainId`
+ */
+function isAuditedCodeHash(chainId, codeHash) {
+    return auditedCodeHashes().includes(codeHash) || localBuilds.get(Number(chainId)) === codeHash;
+}
+
+/**
+ * Local mode only: accept the build it compiled and deployed itself, on its
+ * own chain, for as long as the process runs. Never persisted.
+ */
+function trustLocalBuild(chainId, codeHash) {
+    localBuilds.set(Number(chainId), codeHash.toLowerCase());
+}
+
+/**
+ * Fetch the runtime code of `implementation` and compare its hash with the audited builds.
+ * Returns { address, codeHash, verdict, audited } where verdict is 'audited',
+ * 'unaudited' or 'no-code'.
+ */
+async function verifyImplementation(chain, implementation) {
+    const code = await eip7702.getProvider(chain.rpcUrl).getCode(implementation);
+    if (code === '0x') {
+        return { address: implementation, codeHash: null, verdict: 'no-code', audited: false };
+    }
+
+    const codeHash = ethers.keccak256(code);
+    const audited = isAuditedCodeHash(chain.chainId, codeHash);
+    return {
+        address: implementation,
+        codeHash: codeHash,
+        verdict: audited ? 'audited' : 'unaudited',
+        audited: audited
+    };
+}
+
+/**
+ * Check a delegation target before it is authorized. An unaudited build is only
+ * accepted with `allowUnaudited` (the request's explicit override); code is always required.
+ * Returns { check } or { error, code, check }.
+ */
+async function checkDelegationTarget(chain, implementation, allowUnaudited = false) {
+    const check = await verifyImplementation(chain, implementation);
+
+    if (check.verdict === 'no-code') {
+        return { error: 'Implementation has no code', code: 'INVALID_REQUEST', check: check };
+    }
+    if (!check.audited && !allowUnaudited) {
+        return {
+            error: `Implementation ${implementation} runs unaudited code (code hash ${check.codeHash}): `
+                + 'not a known BatchCallAndSponsor build. Set allowUnauditedImplementation to delegate anyway.',
+            code: 'IMPLEMENTATION_NOT_AUDITED',
+            check: check
+        };
+    }
+
+    return { check: { ...check, overridden: !check.audited } };
+}
+
+module.exports = {
+    auditedCodeHashes,
+    isAuditedCodeHash,
+    trustLocalBuild,
+    verifyImplementation,
+    checkDelegationTarget
+};
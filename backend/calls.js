@@ -0,0 +1,87 @@
+/**
+ * Batch Calls
+ * Validates and encodes the Call { to, value, data } structs of BatchCallAndSponsor
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Encode a call from a human-readable function signature and its arguments,
+ * e.g. "transfer(address,uint256)" or "function approve(address spender, uint256 amount)"
+ */
+function encodeFunctionCall(signature, args = []) {
+    const fragment = ethers.FunctionFragment.from(signature.trim());
+    return new ethers.Interface([fragment]).encodeFunctionData(fragment, args);
+}
+
+/**
+ * Validate and normalize a list of batch calls.
+ * Each call has `to`, an optional `value` (wei) and either raw `data` or
+ * a human-readable `function` signature with `args`, encoded here.
+ * Returns { calls } or { error }.
+ */
+function normalizeCalls(calls) {
+    if (!Array.isArray(calls) || calls.length === 0) {
+        return { error: 'calls must be a non-empty array' };
+    }
+
+    const normalized = [];
+    for (let i = 0; i < calls.length; i++) {
+        const call = calls[i] || {};
+
+        if (typeof call.to !== 'string' || !call.to.match(/^0x[a-fA-F0-9]{40}$/)) {
+            return { error: `Invalid address format in calls[${i}].to` };
+        }
+
+        const value = call.value === undefined ? '0' : call.value.toString();
+        if (!value.match(/^[0-9]+$/)) {
+            return { error: `Invalid value in calls[${i}] (must be an integer amount in wei)` };
+        }
+
+        if (call.function !== undefined && call.data !== undefined) {
+            return { error: `calls[${i}] must have either data or function, not both` };
+        }
+
+        let data = call.data === undefined ? '0x' : call.data;
+
+        if (call.function !== undefined) {
+            if (typeof call.function !== 'string' || call.function.trim() === '') {
+                return { error: `Invalid function in calls[${i}]` };
+            }
+            if (call.args !== undefined && !Array.isArray(call.args)) {
+                return { error: `Invalid args in calls[${i}] (must be an array)` };
+            }
+
+            try {
+                data = encodeFunctionCall(call.function, call.args || []);
+            } catch (error) {
+                return { error: `Cannot encode calls[${i}].function: ${error.shortMessage || error.message}` };
+            }
+        }
+
+        if (typeof data !== 'string' || !data.match(/^0x([a-fA-F0-9]{2})*$/)) {
+            return { error: `Invalid data in calls[${i}] (must be 0x-prefixed hex)` };
+        }
+
+        normalized.push({ to: call.to, value: BigInt(value), data: data });
+    }
+
+    return { calls: normalized };
+}
+
+/**
+ * JSON view of normalized calls
+ */
+function serializeCalls(calls) {
+    return calls.map(call => ({
+        to: call.to,
+        value: call.value.toString(),
+        data: call.data
+    }));
+}
+
+module.exports = {
+    encodeFunctionCall,
+    normalizeCalls,
+    serializeCalls
+};
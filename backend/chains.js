@@ -0,0 +1,135 @@
+/**
+ * Chain Registry
+ * Per-chain RPC, explorer and BatchCallAndSponsor deployment,
+ * driven by environment variables and script/addressBook/<chainId>.json
+ */
+
+const { getProvider } = require('./eip7702');
+const addressBook = require('./addressBook');
+
+// Same networks as the `deploy` script
+const CHAINS = {
+    1: {
+        name: 'Ethereum Mainnet',
+        rpcEnvVar: 'MAINNET_RPC_URL',
+        explorer: 'https://etherscan.io'
+    },
+    11155111: {
+        name: 'Sepolia Testnet',
+        rpcEnvVar: 'SEPOLIA_RPC_URL',
+        explorer: 'https://sepolia.etherscan.io'
+    },
+    137: {
+        name: 'Polygon Mainnet',
+        rpcEnvVar: 'POLYGON_RPC_URL',
+        explorer: 'https://polygonscan.com'
+    },
+    8453: {
+        name: 'Base Mainnet',
+        rpcEnvVar: 'BASE_RPC_URL',
+        explorer: 'https://basescan.org'
+    },
+    56: {
+        name: 'BSC Mainnet',
+        rpcEnvVar: 'BSC_RPC_URL',
+        explorer: 'https://bscscan.com'
+    },
+    31337: {
+        name: 'Localhost (Anvil)',
+        rpcEnvVar: 'LOCALHOST_RPC_URL',
+        explorer: null
+    }
+};
+
+// Chain used when a request does not specify one
+const DEFAULT_CHAIN_ID = Number(process.env.DEFAULT_CHAIN_ID || 11155111);
+
+// RPC URLs whose eth_chainId has already been checked
+const verifiedRpcUrls = new Set();
+
+/**
+ * Build the chain object for a supported chain id (without checking configuration)
+ */
+function getChain(chainId) {
+    const definition = CHAINS[chainId];
+    if (!definition) {
+        return null;
+    }
+    const deployment = addressBook.readDeployment(chainId);
+
+    return {
+        chainId: Number(chainId),
+        name: definition.name,
+        rpcEnvVar: definition.rpcEnvVar,
+        rpcUrl: process.env[definition.rpcEnvVar] || null,
+        explorer: definition.explorer,
+        implementation: deployment ? deployment.address : null,
+        implementationCodeHash: deployment ? deployment.codeHash : null
+    };
+}
+
+/**
+ * List every supported chain with its configuration state
+ */
+function listChains() {
+    return Object.keys(CHAINS).map(chainId => {
+        const chain = getChain(chainId);
+        return {
+            chainId: chain.chainId,
+            name: chain.name,
+            configured: !!chain.rpcUrl,
+            rpcEnvVar: chain.rpcEnvVar,
+            explorer: chain.explorer,
+            implementation: chain.implementation
+        };
+    });
+}
+
+/**
+ * Resolve the chain a request targets.
+ * Returns { chain } or { error, code } when the chain is unknown, has no RPC URL,
+ * or the RPC URL serves a different chain.
+ */
+async function resolveChain(requestedChainId) {
+    const chainId = requestedChainId === undefined || requestedChainId === null || requestedChainId === ''
+        ? DEFAULT_CHAIN_ID
+        : Number(requestedChainId);
+
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+        return { error: 'Invalid chainId', code: 'INVALID_REQUEST' };
+    }
+
+    const chain = getChain(chainId);
+    if (!chain) {
+        return { error: `Unsupported chainId ${chainId}`, code: 'WRONG_CHAIN' };
+    }
+
+    if (!chain.rpcUrl) {
+        return { error: `Chain ${chainId} (${chain.name}) is not configured: ${chain.rpcEnvVar} not set`, code: 'WRONG_CHAIN' };
+    }
+
+    if (!verifiedRpcUrls.has(chain.rpcUrl)) {
+        const network = await getProvider(chain.rpcUrl).getNetwork();
+        if (Number(network.chainId) !== chainId) {
+            return { error: `${chain.rpcEnvVar} serves chain ${network.chainId}, expected ${chainId}`, code: 'WRONG_CHAIN' };
+        }
+        verifiedRpcUrls.add(chain.rpcUrl);
+    }
+
+    return { chain };
+}
+
+/**
+ * Explorer link for a transaction, or null if the chain has no explorer
+ */
+function explorerTxUrl(chain, txHash) {
+    return chain.explorer && txHash ? `${chain.explorer}/tx/${txHash}` : null;
+}
+
+module.exports = {
+    DEFAULT_CHAIN_ID,
+    getChain,
+    listChains,
+    resolveChain,
+    explorerTxUrl
+};
@@ -0,0 +1,425 @@
+/**
+ * EIP-7702 Transaction Builder
+ * Signs authorizations and sends Type 4 transactions in-process with ethers
+ */
+
+const { ethers } = require('ethers');
+const nonces = require('./nonces');
+const fees = require('./fees');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+// Human-readable ABI of src/BatchCallAndSponsor.sol
+const BATCH_CALL_AND_SPONSOR_ABI = [
+    'function nonce() view returns (uint256)',
+    'function execute((address to, uint256 value, bytes data)[] calls) payable',
+    'function execute((address to, uint256 value, bytes data)[] calls, bytes signature) payable',
+    'event CallExecuted(address indexed sender, address indexed to, uint256 value, bytes data)',
+    'event BatchExecuted(uint256 indexed nonce, (address to, uint256 value, bytes data)[] calls)'
+];
+
+const batchInterface = new ethers.Interface(BATCH_CALL_AND_SPONSOR_ABI);
+
+// EIP-7702 delegation designator: 0xef0100 || address (23 bytes)
+const DELEGATION_PREFIX = '0xef0100';
+
+// One provider per RPC URL, reused across requests
+const providers = new Map();
+
+/**
+ * Get a (cached) JSON-RPC provider for the given URL
+ */
+function getProvider(rpcUrl) {
+    if (!rpcUrl) {
+        throw new Error('RPC URL not configured');
+    }
+    if (!providers.has(rpcUrl)) {
+        // Disable ethers' short-lived result cache: back-to-back requests
+        // must never see a stale transaction count
+        providers.set(rpcUrl, new ethers.JsonRpcProvider(rpcUrl, undefined, { cacheTimeout: -1 }));
+    }
+    return providers.get(rpcUrl);
+}
+
+/**
+ * Encode BatchCallAndSponsor.execute(calls) for a self-executed batch
+ */
+function encodeExecute(calls) {
+    return batchInterface.encodeFunctionData('execute((address,uint256,bytes)[])', [
+        calls.map(call => [call.to, call.value, call.data || '0x'])
+    ]);
+}
+
+/**
+ * Encode BatchCallAndSponsor.execute(calls, signature) for a sponsored batch
+ */
+function encodeExecuteWithSignature(calls, signature) {
+    return batchInterface.encodeFunctionData('execute((address,uint256,bytes)[],bytes)', [
+        calls.map(call => [call.to, call.value, call.data || '0x']),
+        signature
+    ]);
+}
+
+/**
+ * Encode the message BatchCallAndSponsor.execute(calls, signature) hashes:
+ * abi.encodePacked(nonce, abi.encodePacked(to, value, data)...)
+ */
+function encodeBatchMessage(nonce, calls) {
+    const types = ['uint256'];
+    const values = [nonce];
+    for (const call of calls) {
+        types.push('address', 'uint256', 'bytes');
+        values.push(call.to, call.value, call.data || '0x');
+    }
+    return ethers.solidityPacked(types, values);
+}
+
+/**
+ * Compute the digest BatchCallAndSponsor.execute(calls, signature) expects:
+ * keccak256(abi.encodePacked(nonce, abi.encodePacked(to, value, data)...))
+ */
+function computeBatchDigest(nonce, calls) {
+    return ethers.keccak256(encodeBatchMessage(nonce, calls));
+}
+
+/**
+ * Recover the signer of a batch signature (EIP-191 prefixed digest)
+ */
+function recoverBatchSigner(nonce, calls, signature) {
+    const digest = computeBatchDigest(nonce, calls);
+    return ethers.verifyMessage(ethers.getBytes(digest), signature);
+}
+
+/**
+ * Parse account code as an EIP-7702 delegation designator.
+ * Returns the delegate address, or null if the code is not a designator.
+ */
+function parseDelegationDesignator(code) {
+    if (typeof code !== 'string' || code.length !== 48) {
+        return null;
+    }
+    if (code.slice(0, 8).toLowerCase() !== DELEGATION_PREFIX) {
+        return null;
+    }
+    return ethers.getAddress('0x' + code.slice(8));
+}
+
+/**
+ * Read the BatchCallAndSponsor nonce stored at an account.
+ * If the account is not delegated yet, the implementation's runtime code is
+ * injected with a state override so the account's own storage is read.
+ */
+async function readBatchNonce(rpcUrl, account, implementationAddress) {
+    const provider = getProvider(rpcUrl);
+    const data = batchInterface.encodeFunctionData('nonce');
+    const code = await provider.getCode(account);
+
+    let result;
+    try {
+        if (code !== '0x') {
+            result = await provider.call({ to: account, data: data });
+        } else {
+            if (!implementationAddress) {
+                throw new Error('Account is not delegated');
+            }
+            const implementationCode = await provider.getCode(implementationAddress);
+            if (implementationCode === '0x') {
+                throw new Error('Implementation has no code');
+            }
+            result = await provider.send('eth_call', [
+                { to: account, data: data },
+                'latest',
+                { [account]: { code: implementationCode } }
+            ]);
+        }
+
+        return batchInterface.decodeFunctionResult('nonce', result)[0];
+    } catch (error) {
+        // nonce() reverting or returning nothing: the delegate is not a BatchCallAndSponsor
+        if (ethers.isError(error, 'CALL_EXCEPTION') || ethers.isError(error, 'BAD_DATA')) {
+            const delegate = code !== '0x' ? parseDelegationDesignator(code) || account : implementationAddress;
+            throw new ApiError('DELEGATION_MISSING', `${delegate} is not a BatchCallAndSponsor: nonce() ${ethers.isError(error, 'BAD_DATA') ? 'returned no data' : 'reverted'}`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Normalize a client-signed authorization into ethers' Authorization shape.
+ * Accepts either { chainId, address, nonce, signature } or
+ * { chainId, address, nonce, yParity, r, s }.
+ */
+function parseAuthorization(authorization) {
+    const signature = authorization.signature
+        ? ethers.Signature.from(authorization.signature)
+        : ethers.Signature.from({
+            r: authorization.r,
+            s: authorization.s,
+            yParity: Number(authorization.yParity)
+        });
+
+    return {
+        address: ethers.getAddress(authorization.address),
+        chainId: BigInt(authorization.chainId),
+        nonce: BigInt(authorization.nonce),
+        signature: signature
+    };
+}
+
+/**
+ * Recover the authority (signer) of an EIP-7702 authorization
+ */
+function recoverAuthority(authorization) {
+    return ethers.verifyAuthorization(
+        {
+            address: authorization.address,
+            chainId: authorization.chainId,
+            nonce: authorization.nonce
+        },
+        authorization.signature
+    );
+}
+
+/**
+ * Sign an EIP-7702 authorization tuple (chainId, address, nonce)
+ */
+async function signAuthorization(wallet, implementationAddress, chainId, nonce) {
+    return wallet.authorize({
+        address: implementationAddress,
+        chainId: chainId,
+        nonce: nonce
+    });
+}
+
+/**
+ * Send a self-sponsored Type 4 transaction from the wallet to itself.
+ * The sender is also the authority, so the authorization nonce is the
+ * transaction nonce + 1 (the sender nonce is bumped before the list is processed).
+ * `beforeBroadcast` runs right before sending and may throw to abort.
+ * Fees come from the fee strategy (fees.js) with the request's `feeOptions`.
+ */
+async function sendSelfType4(rpcUrl, privateKey, implementationAddress, data, beforeBroadcast, feeOptions) {
+    const provider = getProvider(rpcUrl);
+    const wallet = new ethers.Wallet(privateKey, provider);
+
+    const [network, txNonce, txFees] = await Promise.all([
+        provider.getNetwork(),
+        provider.getTransactionCount(wallet.address, 'pending'),
+        fees.estimateFees(provider, feeOptions)
+    ]);
+
+    const authorization = await signAuthorization(
+        wallet,
+        implementationAddress,
+        network.chainId,
+        txNonce + 1
+    );
+
+    logger.info('✍️  Authorization signed for:', implementationAddress);
+
+    if (beforeBroadcast) {
+        beforeBroadcast();
+    }
+
+    const tx = await wallet.sendTransaction({
+        type: 4,
+        to: wallet.address,
+        value: 0,
+        data: data,
+        nonce: txNonce,
+        chainId: network.chainId,
+        maxFeePerGas: txFees.maxFeePerGas,
+        maxPriorityFeePerGas: txFees.maxPriorityFeePerGas,
+        authorizationList: [authorization]
+    });
+
+    logger.info(`🔗 Transaction hash: ${tx.hash}`);
+
+    return {
+        success: true,
+        txHash: tx.hash,
+        from: wallet.address,
+        nonce: txNonce,
+        fees: fees.serializeFees(txFees)
+    };
+}
+
+/**
+ * Delegate the wallet's EOA to an implementation
+ */
+async function sendDelegation({ rpcUrl, privateKey, implementationAddress, beforeBroadcast, feeOptions }) {
+    const code = await getProvider(rpcUrl).getCode(implementationAddress);
+    if (code === '0x') {
+        throw new Error('Implementation has no code');
+    }
+    return sendSelfType4(rpcUrl, privateKey, implementationAddress, '0x', beforeBroadcast, feeOptions);
+}
+
+/**
+ * Remove the wallet's delegation by authorizing address(0)
+ */
+async function sendRemoveDelegation({ rpcUrl, privateKey, beforeBroadcast, feeOptions }) {
+    return sendSelfType4(rpcUrl, privateKey, ethers.ZeroAddress, '0x', beforeBroadcast, feeOptions);
+}
+
+/**
+ * Delegate (again) and execute a batch of calls in the same Type 4 transaction
+ */
+async function sendBatch({ rpcUrl, privateKey, implementationAddress, calls, beforeBroadcast, feeOptions }) {
+    const code = await getProvider(rpcUrl).getCode(implementationAddress);
+    if (code === '0x') {
+        throw new Error('Implementation has no code');
+    }
+    return sendSelfType4(rpcUrl, privateKey, implementationAddress, encodeExecute(calls), beforeBroadcast, feeOptions);
+}
+
+/**
+ * The transaction the sponsor sends to `account`: execute(calls, signature), or
+ * an empty call that only carries the authorization. With an authorization it is Type 4.
+ */
+function buildSponsoredRequest({ account, calls = null, signature = null, authorization = null }) {
+    const request = {
+        to: account,
+        value: 0,
+        data: calls ? encodeExecuteWithSignature(calls, signature) : '0x'
+    };
+
+    if (authorization) {
+        request.type = 4;
+        request.authorizationList = [authorization];
+    }
+    return request;
+}
+
+/**
+ * Gas limit the sponsor transaction of buildSponsoredRequest would be sent with
+ */
+async function estimateSponsoredGas({ rpcUrl, sponsorAddress, account, calls, signature, authorization }) {
+    return getProvider(rpcUrl).estimateGas({
+        ...buildSponsoredRequest({ account, calls, signature, authorization }),
+        from: sponsorAddress
+    });
+}
+
+/**
+ * Submit a user-signed batch from the sponsor wallet.
+ * The sponsor pays the gas; the call goes to the user's EOA, which runs
+ * execute(calls, signature). If the user also signed an authorization,
+ * it is attached and the transaction becomes Type 4.
+ * The sponsor nonce comes from the nonce manager; `onReplaced` follows speed-ups.
+ */
+async function sendSponsoredBatch({ rpcUrl, sponsorPrivateKey, account, calls, signature, authorization, beforeBroadcast, onReplaced, feeOptions }) {
+    const provider = getProvider(rpcUrl);
+    const sponsor = new ethers.Wallet(sponsorPrivateKey, provider);
+    const txFees = await fees.estimateFees(provider, feeOptions);
+
+    const request = {
+        ...buildSponsoredRequest({ account, calls, signature, authorization }),
+        maxFeePerGas: txFees.maxFeePerGas,
+        maxPriorityFeePerGas: txFees.maxPriorityFeePerGas
+    };
+
+    if (beforeBroadcast) {
+        beforeBroadcast();
+    }
+
+    const tx = await nonces.sendTransaction(sponsor, request, { onReplaced: onReplaced });
+
+    logger.info(`🔗 Transaction hash: ${tx.hash}`);
+
+    return {
+        success: true,
+        txHash: tx.hash,
+        from: sponsor.address,
+        nonce: tx.nonce,
+        fees: fees.serializeFees(txFees)
+    };
+}
+
+/**
+ * Submit a user-signed authorization from the sponsor wallet.
+ * The Type 4 transaction is a plain call to the user's EOA that only carries
+ * the authorization, so a user without ETH can (un)delegate.
+ */
+async function sendSponsoredAuthorization({ rpcUrl, sponsorPrivateKey, account, authorization, beforeBroadcast, onReplaced, feeOptions }) {
+    const provider = getProvider(rpcUrl);
+    const sponsor = new ethers.Wallet(sponsorPrivateKey, provider);
+    const txFees = await fees.estimateFees(provider, feeOptions);
+
+    if (beforeBroadcast) {
+        beforeBroadcast();
+    }
+
+    const tx = await nonces.sendTransaction(sponsor, {
+        ...buildSponsoredRequest({ account, authorization }),
+        maxFeePerGas: txFees.maxFeePerGas,
+        maxPriorityFeePerGas: txFees.maxPriorityFeePerGas
+    }, { onReplaced: onReplaced });
+
+    logger.info(`🔗 Transaction hash: ${tx.hash}`);
+
+    return {
+        success: true,
+        txHash: tx.hash,
+        from: sponsor.address,
+        nonce: tx.nonce,
+        fees: fees.serializeFees(txFees)
+    };
+}
+
+/**
+ * Deploy a contract from the sponsor wallet (contract creation with `bytecode`
+ * as init code). Its address follows from the sponsor and the nonce, which a
+ * speed-up keeps.
+ */
+async function sendDeployment({ rpcUrl, sponsorPrivateKey, bytecode, beforeBroadcast, onReplaced, feeOptions }) {
+    const provider = getProvider(rpcUrl);
+    const sponsor = new ethers.Wallet(sponsorPrivateKey, provider);
+    const txFees = await fees.estimateFees(provider, feeOptions);
+
+    if (beforeBroadcast) {
+        beforeBroadcast();
+    }
+
+    const tx = await nonces.sendTransaction(sponsor, {
+        data: bytecode,
+        value: 0,
+        maxFeePerGas: txFees.maxFeePerGas,
+        maxPriorityFeePerGas: txFees.maxPriorityFeePerGas
+    }, { onReplaced: onReplaced });
+
+    logger.info(`🔗 Transaction hash: ${tx.hash}`);
+
+    return {
+        success: true,
+        txHash: tx.hash,
+        from: sponsor.address,
+        nonce: tx.nonce,
+        contractAddress: ethers.getCreateAddress({ from: sponsor.address, nonce: tx.nonce }),
+        fees: fees.serializeFees(txFees)
+    };
+}
+
+module.exports = {
+    BATCH_CALL_AND_SPONSOR_ABI,
+    batchInterface,
+    DELEGATION_PREFIX,
+    getProvider,
+    parseDelegationDesignator,
+    encodeExecute,
+    encodeExecuteWithSignature,
+    encodeBatchMessage,
+    computeBatchDigest,
+    recoverBatchSigner,
+    readBatchNonce,
+    parseAuthorization,
+    recoverAuthority,
+    signAuthorization,
+    sendDelegation,
+    sendRemoveDelegation,
+    sendBatch,
+    estimateSponsoredGas,
+    sendSponsoredBatch,
+    sendSponsoredAuthorization,
+    sendDeployment
+};
@@ -0,0 +1,219 @@
+/**
+ * API Errors
+ * Stable error codes with an HTTP status and a retryable flag, and the
+ * classification of forge output and RPC errors into them
+ */
+
+const { redact } = require('./logger');
+
+const ERROR_TYPES = {
+    // Request and access
+    INVALID_REQUEST: { status: 400, retryable: false, message: 'Invalid request' },
+    UNAUTHORIZED: { status: 401, retryable: false, message: 'Missing or invalid API key' },
+    FORBIDDEN: { status: 403, retryable: false, message: 'Not allowed' },
+    NOT_FOUND: { status: 404, retryable: false, message: 'Not found' },
+    CONFLICT: { status: 409, retryable: false, message: 'Conflicts with the current state' },
+    RATE_LIMITED: { status: 429, retryable: true, message: 'Rate limit exceeded' },
+    NOT_SUPPORTED: { status: 501, retryable: false, message: 'Not supported by this server' },
+    SERVICE_UNAVAILABLE: { status: 503, retryable: false, message: 'Service unavailable' },
+
+    // Chain and account state
+    WRONG_CHAIN: { status: 400, retryable: false, message: 'Wrong chain' },
+    DELEGATION_MISSING: { status: 409, retryable: false, message: 'The account is not delegated to BatchCallAndSponsor' },
+    INVALID_SIGNATURE: { status: 400, retryable: false, message: 'The signature is not valid for this account' },
+    NONCE_TOO_LOW: { status: 409, retryable: true, message: 'The nonce was already used: sign again with the current nonce' },
+    ALREADY_SUBMITTED: { status: 409, retryable: false, message: 'The node already has this transaction: it was submitted before' },
+    FEE_TOO_HIGH: { status: 503, retryable: true, message: 'Network fees are above the allowed maximum' },
+    INSUFFICIENT_FUNDS: { status: 400, retryable: false, message: 'Insufficient funds for gas and value' },
+    CALL_REVERTED: { status: 422, retryable: false, message: 'A call in the batch reverted' },
+    TRANSACTION_CANCELLED: { status: 409, retryable: false, message: 'The transaction was cancelled by a replacement' },
+    RECEIPT_TIMEOUT: { status: 504, retryable: false, message: 'The transaction was sent but not mined in time' },
+
+    // Infrastructure
+    RPC_UNAVAILABLE: { status: 503, retryable: true, message: 'The RPC endpoint is unreachable or failing' },
+    FOUNDRY_MISSING: { status: 503, retryable: false, message: 'Foundry is not installed or not in PATH' },
+    INTERNAL_ERROR: { status: 500, retryable: false, message: 'Internal server error' },
+
+    // Sponsorship policy (policy.js)
+    IMPLEMENTATION_NOT_ALLOWED: { status: 403, retryable: false, message: 'Implementation not allowed by the sponsorship policy' },
+    TARGET_NOT_ALLOWED: { status: 403, retryable: false, message: 'Target not allowed by the sponsorship policy' },
+    SELECTOR_NOT_ALLOWED: { status: 403, retryable: false, message: 'Function not allowed by the sponsorship policy' },
+    TOKEN_NOT_ALLOWED: { status: 403, retryable: false, message: 'Token not allowed by the sponsorship policy' },
+    VALUE_PER_CALL_EXCEEDED: { status: 403, retryable: false, message: 'Value per call exceeds the sponsorship policy' },
+    VALUE_PER_BATCH_EXCEEDED: { status: 403, retryable: false, message: 'Value per batch exceeds the sponsorship policy' },
+    DAILY_GAS_BUDGET_EXCEEDED: { status: 403, retryable: false, message: 'Daily gas budget used up' },
+    DAILY_ETH_BUDGET_EXCEEDED: { status: 403, retryable: false, message: 'Daily ETH budget used up' },
+
+    // Delegation targets (bytecode.js)
+    IMPLEMENTATION_NOT_AUDITED: { status: 403, retryable: false, message: 'Implementation code is not an audited BatchCallAndSponsor build' }
+};
+
+// Code for error responses that only carry a message
+const STATUS_CODES = {
+    400: 'INVALID_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    429: 'RATE_LIMITED',
+    501: 'NOT_SUPPORTED',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+// Matched against forge output and error messages, first match wins
+const MESSAGE_PATTERNS = [
+    { code: 'FOUNDRY_MISSING', pattern: /Foundry not installed|spawn forge ENOENT/i },
+    { code: 'INSUFFICIENT_FUNDS', pattern: /insufficient funds|insufficient balance|Insufficient \S+ balance/i },
+    { code: 'ALREADY_SUBMITTED', pattern: /already known|known transaction/i },
+    { code: 'NONCE_TOO_LOW', pattern: /nonce too low|nonce has already been used|nonce .* does not match account nonce|replacement (transaction )?underpriced|Authorization was not applied/i },
+    { code: 'WRONG_CHAIN', pattern: /chain ?id mismatch|serves chain \d+, expected|chainId \d+ does not match/i },
+    { code: 'DELEGATION_MISSING', pattern: /not delegated/i },
+    { code: 'INVALID_SIGNATURE', pattern: /Invalid signature|Invalid authority|ECDSAInvalidSignature|not signed by the account/i },
+    { code: 'RECEIPT_TIMEOUT', pattern: /Timed out waiting for receipt/i },
+    { code: 'RPC_UNAVAILABLE', pattern: /ECONNREFUSED|ENOTFOUND|ECONNRESET|ETIMEDOUT|connection refused|error sending request|tcp connect error|failed to detect network|429 Too Many Requests|503 Service Unavailable|502 Bad Gateway/i },
+    { code: 'CALL_REVERTED', pattern: /Call reverted|execution reverted|script failed|EvmError|reverted/i }
+];
+
+// ethers v6 error codes
+const ETHERS_CODES = {
+    INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+    NONCE_EXPIRED: 'NONCE_TOO_LOW',
+    REPLACEMENT_UNDERPRICED: 'NONCE_TOO_LOW',
+    NETWORK_ERROR: 'RPC_UNAVAILABLE',
+    SERVER_ERROR: 'RPC_UNAVAILABLE',
+    TIMEOUT: 'RPC_UNAVAILABLE'
+};
+
+const ANSI_ESCAPES = /\u001b\[[0-9;]*m/g;
+
+/**
+ * An error with a stable code; its HTTP status and retryable flag come from ERROR_TYPES
+ */
+class ApiError extends Error {
+    constructor(code, message = null, details = null) {
+        const type = ERROR_TYPES[code] || ERROR_TYPES.INTERNAL_ERROR;
+        super(message || type.message);
+        this.name = 'ApiError';
+        this.code = ERROR_TYPES[code] ? code : 'INTERNAL_ERROR';
+        this.status = type.status;
+        this.retryable = type.retryable;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            success: false,
+            // Error messages from the RPC can echo its URL, credentials included
+            error: redact(this.message),
+            code: this.code,
+            retryable: this.retryable,
+            details: this.details ? redact(this.details) : undefined
+        };
+    }
+}
+
+function matchMessage(text) {
+    const entry = MESSAGE_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return entry ? entry.code : null;
+}
+
+/**
+ * The line of forge output that explains the failure, without colors
+ */
+function findForgeLine(output, code) {
+    const lines = output.replace(ANSI_ESCAPES, '').split('\n').map(line => line.trim()).filter(Boolean);
+    const pattern = code ? MESSAGE_PATTERNS.find(entry => entry.code === code).pattern : null;
+    const line = (pattern && lines.find(candidate => pattern.test(candidate)))
+        || lines.find(candidate => /^Error/i.test(candidate));
+    return line ? line.slice(0, 300) : null;
+}
+
+/**
+ * Classify a failed forge run from its exit message and output.
+ * The message is the code's own; `details` is the forge line that explains it.
+ */
+function fromForgeOutput(message, stdout = '', stderr = '') {
+    const output = `${stderr}\n${stdout}`;
+    const code = matchMessage(output) || matchMessage(message);
+    const line = findForgeLine(output, code);
+
+    return new ApiError(code || 'INTERNAL_ERROR', code ? null : message, line);
+}
+
+/**
+ * Turn anything thrown by a route or job (ethers errors, RPC failures,
+ * plain Errors) into an ApiError. `fallbackMessage` is used when nothing matches.
+ */
+function classifyError(error, fallbackMessage = null) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    if (!error) {
+        return new ApiError('INTERNAL_ERROR', fallbackMessage);
+    }
+
+    // JSON-RPC error the node returned: ethers puts it in info.error, or in error.error
+    // for errors it could not coalesce (UNKNOWN_ERROR "could not coalesce error")
+    const rpcError = (error.info && error.info.error) || (error.error && typeof error.error === 'object' ? error.error : null);
+    const nested = rpcError && rpcError.message;
+    const coalesceFailed = error.code === 'UNKNOWN_ERROR' && rpcError !== null;
+
+    const message = (coalesceFailed && nested)
+        || error.shortMessage || error.message || (typeof error.error === 'string' ? error.error : null) || fallbackMessage || 'Unknown error';
+    const causeCode = error.cause && error.cause.code;
+
+    if (error.code === 'CALL_EXCEPTION') {
+        return new ApiError(matchMessage(`${message} ${nested || ''}`) === 'INVALID_SIGNATURE' ? 'INVALID_SIGNATURE' : 'CALL_REVERTED', message);
+    }
+
+    const code = ETHERS_CODES[error.code]
+        || matchMessage(`${message} ${nested || ''} ${error.code || ''} ${causeCode || ''}`)
+        || (coalesceFailed ? 'RPC_UNAVAILABLE' : null);
+
+    return new ApiError(code || 'INTERNAL_ERROR', code ? message : (fallbackMessage ? `${fallbackMessage}: ${message}` : message));
+}
+
+/**
+ * Code for a reverted simulation, from its decoded revert reason
+ */
+function codeForRevert(reason) {
+    const code = matchMessage(reason || '');
+    return ['INVALID_SIGNATURE', 'INSUFFICIENT_FUNDS'].includes(code) ? code : 'CALL_REVERTED';
+}
+
+/**
+ * Send an error response. Unclassified errors are classified first.
+ */
+function sendError(res, error, fallbackMessage = null) {
+    const apiError = classifyError(error, fallbackMessage);
+    res.status(apiError.status).json(apiError.toJSON());
+}
+
+/**
+ * Fill in `code` and `retryable` on error responses that only carry a message,
+ * so every error body has the same shape
+ */
+function errorShape(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (body && body.success === false && res.statusCode >= 400) {
+            const code = body.code || STATUS_CODES[res.statusCode] || 'INTERNAL_ERROR';
+            const retryable = body.retryable !== undefined
+                ? body.retryable
+                : (ERROR_TYPES[code] || ERROR_TYPES.INTERNAL_ERROR).retryable;
+            body = { ...body, code: code, retryable: retryable };
+        }
+        return json(body);
+    };
+    next();
+}
+
+module.exports = {
+    ERROR_TYPES,
+    ApiError,
+    classifyError,
+    fromForgeOutput,
+    codeForRevert,
+    sendError,
+    errorShape
+};
@@ -0,0 +1,158 @@
+/**
+ * Fee Strategy
+ * Computes EIP-1559 fees from eth_feeHistory (slow, normal or fast), applies
+ * per-request overrides and refuses to broadcast above the configured ceiling
+ */
+
+const { ethers } = require('ethers');
+const { ApiError } = require('./errors');
+
+// Priority fee percentile of recent blocks, and how many base fee increases maxFeePerGas absorbs
+const FEE_STRATEGIES = {
+    slow: { rewardPercentile: 10, baseFeeMultiplierPercent: 125n },
+    normal: { rewardPercentile: 50, baseFeeMultiplierPercent: 200n },
+    fast: { rewardPercentile: 90, baseFeeMultiplierPercent: 200n }
+};
+
+const DEFAULT_FEE_STRATEGY = FEE_STRATEGIES[process.env.FEE_STRATEGY] ? process.env.FEE_STRATEGY : 'normal';
+
+// Never broadcast with a higher maxFeePerGas than this (null: no ceiling)
+const MAX_FEE_PER_GAS = process.env.MAX_FEE_PER_GAS_GWEI
+    ? ethers.parseUnits(process.env.MAX_FEE_PER_GAS_GWEI, 'gwei')
+    : null;
+
+// Blocks of fee history the priority fee is taken from
+const FEE_HISTORY_BLOCKS = 10;
+
+function parseGwei(value) {
+    if ((typeof value !== 'string' && typeof value !== 'number') || !String(value).match(/^[0-9]+(\.[0-9]{1,9})?$/)) {
+        return null;
+    }
+    return ethers.parseUnits(String(value), 'gwei');
+}
+
+/**
+ * Read the fee fields of a request body: feeStrategy, maxFeePerGasGwei and
+ * maxPriorityFeePerGasGwei (decimal gwei). Returns { feeOptions } or { error }.
+ */
+function parseFeeOptions({ feeStrategy, maxFeePerGasGwei, maxPriorityFeePerGasGwei } = {}) {
+    if (feeStrategy !== undefined && !Object.prototype.hasOwnProperty.call(FEE_STRATEGIES, feeStrategy)) {
+        return { error: `Invalid feeStrategy (must be one of ${Object.keys(FEE_STRATEGIES).join(', ')})` };
+    }
+
+    const maxFeePerGas = maxFeePerGasGwei === undefined ? null : parseGwei(maxFeePerGasGwei);
+    if (maxFeePerGasGwei !== undefined && (maxFeePerGas === null || maxFeePerGas === 0n)) {
+        return { error: 'Invalid maxFeePerGasGwei (must be a positive amount in gwei)' };
+    }
+
+    const maxPriorityFeePerGas = maxPriorityFeePerGasGwei === undefined ? null : parseGwei(maxPriorityFeePerGasGwei);
+    if (maxPriorityFeePerGasGwei !== undefined && maxPriorityFeePerGas === null) {
+        return { error: 'Invalid maxPriorityFeePerGasGwei (must be an amount in gwei)' };
+    }
+
+    if (maxFeePerGas !== null && maxPriorityFeePerGas !== null && maxPriorityFeePerGas > maxFeePerGas) {
+        return { error: 'maxPriorityFeePerGasGwei cannot exceed maxFeePerGasGwei' };
+    }
+
+    return {
+        feeOptions: {
+            strategy: feeStrategy || DEFAULT_FEE_STRATEGY,
+            maxFeePerGas: maxFeePerGas,
+            maxPriorityFeePerGas: maxPriorityFeePerGas
+        }
+    };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Suggested priority fee: the strategy's percentile over recent blocks,
+ * or the node's own suggestion when those blocks were empty
+ */
+async function suggestPriorityFee(provider, rewardPercentile) {
+    const history = await provider.send('eth_feeHistory', [ethers.toQuantity(FEE_HISTORY_BLOCKS), 'latest', [rewardPercentile]]);
+    const rewards = (history.reward || []).map(reward => BigInt(reward[0])).filter(reward => reward > 0n);
+
+    // baseFeePerGas has one entry more than the blocks: the base fee of the next block
+    const baseFeePerGas = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+
+    if (rewards.length > 0) {
+        return { baseFeePerGas, priorityFee: median(rewards) };
+    }
+
+    const feeData = await provider.getFeeData();
+    return { baseFeePerGas, priorityFee: feeData.maxPriorityFeePerGas || 0n };
+}
+
+/**
+ * Fees for a transaction about to be broadcast.
+ * maxFeePerGas is capped by MAX_FEE_PER_GAS_GWEI; when the next block's base fee
+ * is above the resulting maximum, nothing could be mined and FEE_TOO_HIGH is thrown.
+ * Resolves with { strategy, baseFeePerGas, maxFeePerGas, maxPriorityFeePerGas, capped }.
+ */
+async function estimateFees(provider, { strategy = DEFAULT_FEE_STRATEGY, maxFeePerGas = null, maxPriorityFeePerGas = null } = {}) {
+    const { rewardPercentile, baseFeeMultiplierPercent } = FEE_STRATEGIES[strategy];
+    const { baseFeePerGas, priorityFee } = await suggestPriorityFee(provider, rewardPercentile);
+
+    let priority = maxPriorityFeePerGas !== null ? maxPriorityFeePerGas : priorityFee;
+    let maxFee = maxFeePerGas !== null ? maxFeePerGas : baseFeePerGas * baseFeeMultiplierPercent / 100n + priority;
+
+    const capped = MAX_FEE_PER_GAS !== null && maxFee > MAX_FEE_PER_GAS;
+    if (capped) {
+        maxFee = MAX_FEE_PER_GAS;
+    }
+
+    if (baseFeePerGas > maxFee) {
+        const limit = capped ? 'the MAX_FEE_PER_GAS_GWEI ceiling' : 'the requested maxFeePerGasGwei';
+        throw new ApiError('FEE_TOO_HIGH', `Network base fee ${ethers.formatUnits(baseFeePerGas, 'gwei')} gwei is above ${limit} of ${ethers.formatUnits(maxFee, 'gwei')} gwei`);
+    }
+
+    if (priority > maxFee) {
+        priority = maxFee;
+    }
+
+    return {
+        strategy: maxFeePerGas !== null && maxPriorityFeePerGas !== null ? 'custom' : strategy,
+        baseFeePerGas: baseFeePerGas,
+        maxFeePerGas: maxFee,
+        maxPriorityFeePerGas: priority,
+        capped: capped
+    };
+}
+
+/**
+ * Throw FEE_TOO_HIGH when a fee (e.g. a bumped replacement fee) is above the ceiling
+ */
+function checkFeeCeiling(maxFeePerGas) {
+    if (MAX_FEE_PER_GAS !== null && maxFeePerGas > MAX_FEE_PER_GAS) {
+        throw new ApiError('FEE_TOO_HIGH', `maxFeePerGas ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei is above the MAX_FEE_PER_GAS_GWEI ceiling of ${ethers.formatUnits(MAX_FEE_PER_GAS, 'gwei')} gwei`);
+    }
+}
+
+/**
+ * Plain JSON view of estimated fees, in wei and gwei
+ */
+function serializeFees(fees) {
+    return {
+        strategy: fees.strategy,
+        baseFeePerGas: fees.baseFeePerGas.toString(),
+        maxFeePerGas: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        maxFeePerGasGwei: ethers.formatUnits(fees.maxFeePerGas, 'gwei'),
+        maxPriorityFeePerGasGwei: ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei'),
+        capped: fees.capped
+    };
+}
+
+module.exports = {
+    FEE_STRATEGIES,
+    DEFAULT_FEE_STRATEGY,
+    MAX_FEE_PER_GAS,
+    parseFeeOptions,
+    estimateFees,
+    checkFeeCeiling,
+    serializeFees
+};
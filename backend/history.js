@@ -0,0 +1,136 @@
+/**
+ * Transaction History
+ * Append-only JSON Lines store of every delegation, revocation, send and relay
+ * the backend performed, with filtered and paginated queries
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const HISTORY_FILE = path.resolve(__dirname, process.env.HISTORY_FILE || 'data/history.jsonl');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Job id -> latest record. Each update appends a full snapshot; the last one wins on load.
+const records = new Map();
+
+function loadHistory() {
+    fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+    if (!fs.existsSync(HISTORY_FILE)) {
+        return;
+    }
+
+    const lines = fs.readFileSync(HISTORY_FILE, 'utf8').split('\n');
+    for (const line of lines) {
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            const record = JSON.parse(line);
+            records.set(record.id, record);
+        } catch (error) {
+            // A line cut short by a crash mid-write
+            logger.warn('⚠️ Skipping unreadable history line');
+        }
+    }
+}
+
+loadHistory();
+
+/**
+ * History record for a job
+ */
+function toRecord(job) {
+    const result = job.result || {};
+    const receipt = result.receipt || null;
+
+    return {
+        id: job.id,
+        type: job.type,
+        chainId: job.params.chainId,
+        address: job.params.address,
+        requester: job.tenant,
+        sponsored: Boolean(job.params.sponsored),
+        sponsor: job.params.sponsor || result.sponsor || null,
+        implementation: job.params.implementation || null,
+        calls: job.params.calls || [],
+        txHash: job.txHash,
+        status: job.status,
+        error: job.error,
+        errorCode: job.errorCode,
+        gasUsed: receipt ? receipt.gasUsed : null,
+        fee: receipt ? receipt.fee : null,
+        blockNumber: receipt ? receipt.blockNumber : null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+/**
+ * Record the current state of a job (jobs.onJobUpdate listener)
+ */
+function recordJob(job) {
+    const record = toRecord(job);
+    records.set(record.id, record);
+    fs.appendFileSync(HISTORY_FILE, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Query records, newest first.
+ * `visible(record)` hides records of other tenants; from / to are Dates on createdAt.
+ */
+function queryTransactions({ address, chainId, status, from, to, limit = DEFAULT_PAGE_SIZE, offset = 0 }, visible) {
+    const matches = [...records.values()].filter(record =>
+        visible(record)
+        && (!address || record.address.toLowerCase() === address.toLowerCase())
+        && (!chainId || record.chainId === chainId)
+        && (!status || record.status === status)
+        && (!from || Date.parse(record.createdAt) >= from.getTime())
+        && (!to || Date.parse(record.createdAt) <= to.getTime())
+    );
+
+    matches.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+    return {
+        total: matches.length,
+        transactions: matches.slice(offset, offset + limit)
+    };
+}
+
+/**
+ * The record of a transaction hash, or null
+ */
+function findTransaction(txHash, visible) {
+    const hash = txHash.toLowerCase();
+    for (const record of records.values()) {
+        if (record.txHash && record.txHash.toLowerCase() === hash && visible(record)) {
+            return record;
+        }
+    }
+    return null;
+}
+
+/**
+ * Mined sponsored transactions relayed for accounts on `day` (YYYY-MM-DD, UTC),
+ * reverted ones included. Implementation deployments are the sponsor's own.
+ */
+function sponsoredOn(day) {
+    return [...records.values()].filter(record =>
+        record.sponsored
+        && record.type !== 'deploy-implementation'
+        && record.gasUsed !== null
+        && record.updatedAt.slice(0, 10) === day
+    );
+}
+
+module.exports = {
+    HISTORY_FILE,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    recordJob,
+    queryTransactions,
+    findTransaction,
+    sponsoredOn
+};
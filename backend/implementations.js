@@ -0,0 +1,189 @@
+/**
+ * Implementation Registry
+ * BatchCallAndSponsor deployments of every chain from the address book, checked
+ * against the chain, and deployment of new ones from the sponsor key
+ */
+
+const { ethers } = require('ethers');
+const eip7702 = require('./eip7702');
+const chains = require('./chains');
+const jobs = require('./jobs');
+const locks = require('./locks');
+const receipts = require('./receipts');
+const nonces = require('./nonces');
+const relay = require('./relay');
+const addressBook = require('./addressBook');
+const bytecode = require('./bytecode');
+const { readArtifact } = require('./artifacts');
+const { ApiError, classifyError } = require('./errors');
+const { logger } = require('./logger');
+
+// Deployments are not trusted for delegation until their code hash is reviewed and listed
+const PENDING_AUDIT = 'Not an audited build: delegations to it are refused until this codeHash is reviewed and added to AUDITED_CODE_HASHES';
+
+/**
+ * Audit fields of a deployment with runtime code hash `codeHash`
+ */
+function auditStatus(chainId, codeHash) {
+    const audited = bytecode.isAuditedCodeHash(chainId, codeHash);
+    return audited ? { audited: true } : { audited: false, auditStatus: PENDING_AUDIT };
+}
+
+/**
+ * Whether the recorded deployment of a chain still has code, whether that
+ * code is the one recorded and whether it is an audited build.
+ * Returns { deployed, codeHash, codeHashMatches, audited[, auditStatus] }.
+ */
+async function checkDeployment(chain) {
+    const code = await eip7702.getProvider(chain.rpcUrl).getCode(chain.implementation);
+    if (code === '0x') {
+        return { deployed: false, codeHash: null, codeHashMatches: false, audited: false };
+    }
+
+    const codeHash = ethers.keccak256(code);
+    return {
+        deployed: true,
+        codeHash: codeHash,
+        codeHashMatches: chain.implementationCodeHash ? codeHash === chain.implementationCodeHash : null,
+        ...auditStatus(chain.chainId, codeHash)
+    };
+}
+
+/**
+ * The deployment of every supported chain (or only of `chainId`). Chains with
+ * an RPC URL and a recorded deployment are checked live; `deployed` and
+ * `audited` stay null for the others.
+ */
+async function listImplementations(chainId = null) {
+    const chainIds = chains.listChains()
+        .map(chain => chain.chainId)
+        .filter(id => chainId === null || id === chainId);
+
+    return Promise.all(chainIds.map(async (id) => {
+        const chain = chains.getChain(id);
+        const entry = {
+            chainId: chain.chainId,
+            name: chain.name,
+            configured: !!chain.rpcUrl,
+            address: chain.implementation,
+            recordedCodeHash: chain.implementationCodeHash,
+            deployed: null,
+            codeHash: null,
+            codeHashMatches: null,
+            audited: null
+        };
+
+        if (!chain.rpcUrl || !chain.implementation) {
+            return entry;
+        }
+
+        try {
+            return { ...entry, ...await checkDeployment(chain) };
+        } catch (error) {
+            const apiError = classifyError(error, 'Could not read the deployment');
+            return { ...entry, error: apiError.message, errorCode: apiError.code };
+        }
+    }));
+}
+
+/**
+ * Deploy BatchCallAndSponsor from the sponsor key as a background job and
+ * record its address and runtime code hash in the chain's address book.
+ * Deployments to the same chain run one at a time; unless `redeploy` is set,
+ * each re-checks the address book once it holds the lock, so a deployment
+ * recorded by a job that finished while it waited is not replaced.
+ */
+function runDeployJob(chain, { redeploy = false, feeOptions = undefined, tenant = null } = {}) {
+    const sponsorPrivateKey = relay.getSponsorKey();
+    const sponsorAddress = ethers.computeAddress(sponsorPrivateKey);
+
+    const job = jobs.createJob('deploy-implementation', {
+        address: sponsorAddress,
+        chainId: chain.chainId,
+        sponsored: true,
+        sponsor: sponsorAddress
+    }, tenant);
+
+    jobs.runJob(job, async (context) => {
+        context.setStage('waiting-for-account');
+
+        return locks.withLocks([`implementation:${chain.chainId}`], async () => {
+            context.setStage('preparing');
+
+            const current = addressBook.readDeployment(chain.chainId);
+            if (!redeploy && current
+                && await eip7702.getProvider(chain.rpcUrl).getCode(current.address) !== '0x') {
+                throw new ApiError('CONFLICT', `BatchCallAndSponsor is already deployed on chain ${chain.chainId} at ${current.address}: set redeploy to replace it`);
+            }
+
+            const { bytecode } = await readArtifact('BatchCallAndSponsor');
+
+            logger.info('🚀 Deploying BatchCallAndSponsor from sponsor...');
+            const result = await eip7702.sendDeployment({
+                rpcUrl: chain.rpcUrl,
+                sponsorPrivateKey: sponsorPrivateKey,
+                bytecode: bytecode,
+                beforeBroadcast: context.markBroadcast,
+                onReplaced: context.setTxHash,
+                feeOptions: feeOptions
+            });
+
+            context.setTxHash(result.txHash);
+            const receipt = await receipts.confirmTransaction(chain, result.txHash, sponsorAddress);
+            const txHash = receipt.transactionHash;
+            context.setTxHash(txHash);
+
+            const outcome = {
+                txHash: txHash,
+                explorerUrl: chains.explorerTxUrl(chain, txHash),
+                chainId: chain.chainId,
+                type: 'Type 2 (EIP-1559)',
+                address: result.contractAddress,
+                sponsor: result.from,
+                fees: result.fees,
+                receipt: receipt
+            };
+
+            if (nonces.isCancellation(txHash)) {
+                return {
+                    success: false,
+                    message: 'Deployment was cancelled',
+                    error: 'Transaction was cancelled (replaced by a zero-value self-send)',
+                    errorCode: 'TRANSACTION_CANCELLED',
+                    ...outcome
+                };
+            }
+
+            const code = receipt.status === 'success'
+                ? await eip7702.getProvider(chain.rpcUrl).getCode(result.contractAddress)
+                : '0x';
+            if (code === '0x') {
+                return {
+                    success: false,
+                    message: 'Deployment transaction reverted',
+                    error: 'Transaction reverted',
+                    ...outcome
+                };
+            }
+
+            const codeHash = ethers.keccak256(code);
+            addressBook.writeDeployment(chain.chainId, { address: result.contractAddress, codeHash: codeHash });
+            logger.info(`✅ BatchCallAndSponsor deployed to ${result.contractAddress} on chain ${chain.chainId}`);
+
+            return {
+                success: true,
+                message: 'BatchCallAndSponsor deployed and recorded in the address book',
+                codeHash: codeHash,
+                ...auditStatus(chain.chainId, codeHash),
+                ...outcome
+            };
+        });
+    });
+
+    return job;
+}
+
+module.exports = {
+    listImplementations,
+    runDeployJob
+};
@@ -0,0 +1,265 @@
+/**
+ * Job Registry
+ * Runs state-changing requests in the background and tracks their progress,
+ * so clients can poll for status and cancel before anything is broadcast
+ */
+
+const crypto = require('crypto');
+const errors = require('./errors');
+const { logger } = require('./logger');
+
+// Finished jobs are kept this long for polling
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS || 60 * 60 * 1000);
+
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+// Called whenever a job changes status or gets its transaction hash
+const updateListeners = [];
+
+/**
+ * Thrown inside an executor once its job has been cancelled
+ */
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * Create a queued job. `tenant` (a tenant name, or null) owns it: only that
+ * tenant can see or cancel it.
+ */
+function createJob(type, params = {}, tenant = null) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        type: type,
+        params: params,
+        status: 'queued',
+        stage: 'queued',
+        txHash: null,
+        error: null,
+        errorCode: null,
+        retryable: null,
+        details: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now,
+        // Internal state, not serialized
+        tenant: tenant,
+        cancelRequested: false,
+        broadcast: false,
+        cancelHandlers: []
+    };
+
+    jobs.set(job.id, job);
+    return job;
+}
+
+function touch(job, fields) {
+    const changed = ('status' in fields && fields.status !== job.status)
+        || ('txHash' in fields && fields.txHash !== job.txHash);
+
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+
+    if (changed) {
+        for (const listener of updateListeners) {
+            try {
+                listener(job);
+            } catch (error) {
+                logger.error('❌ Job update listener error:', error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Register a listener for job status and transaction hash changes
+ */
+function onJobUpdate(listener) {
+    updateListeners.push(listener);
+}
+
+/**
+ * Context handed to executors to report progress and support cancellation
+ */
+function createContext(job) {
+    return {
+        job: job,
+
+        /**
+         * Move to a new stage; throws if the job was cancelled meanwhile
+         */
+        setStage(stage) {
+            if (job.cancelRequested) {
+                throw new JobCancelledError();
+            }
+            touch(job, { stage: stage });
+        },
+
+        /**
+         * Register a handler run when the job is cancelled (e.g. kill a child process)
+         */
+        onCancel(handler) {
+            job.cancelHandlers.push(handler);
+        },
+
+        /**
+         * Point of no return: after this the job can no longer be cancelled
+         */
+        markBroadcast() {
+            if (job.cancelRequested) {
+                throw new JobCancelledError();
+            }
+            job.broadcast = true;
+            touch(job, { stage: 'broadcasting' });
+        },
+
+        /**
+         * Record the transaction hash as soon as it is known
+         */
+        setTxHash(txHash) {
+            if (!txHash) {
+                return;
+            }
+            job.broadcast = true;
+            touch(job, { txHash: txHash, stage: 'submitted' });
+        }
+    };
+}
+
+/**
+ * Run an executor for a job in the background.
+ * The executor resolves with the result payload, which may carry a txHash.
+ */
+function runJob(job, executor) {
+    touch(job, { status: 'running', stage: 'preparing' });
+    const context = createContext(job);
+
+    Promise.resolve()
+        .then(() => executor(context))
+        .then(result => {
+            if (job.status === 'cancelled') {
+                return;
+            }
+            // Mined but reverted: the result (with its receipt) is kept for inspection
+            if (result && result.success === false) {
+                const errorCode = result.errorCode || 'CALL_REVERTED';
+                touch(job, {
+                    status: 'failed',
+                    stage: 'done',
+                    result: result,
+                    txHash: result.txHash || job.txHash,
+                    error: result.error || 'Transaction failed',
+                    errorCode: errorCode,
+                    retryable: (errors.ERROR_TYPES[errorCode] || errors.ERROR_TYPES.INTERNAL_ERROR).retryable
+                });
+                logger.error(`❌ Job ${job.id} (${job.type}) failed:`, job.error);
+                return;
+            }
+            touch(job, {
+                status: 'succeeded',
+                stage: 'done',
+                result: result,
+                txHash: (result && result.txHash) || job.txHash
+            });
+            logger.info(`✅ Job ${job.id} (${job.type}) succeeded`);
+        })
+        .catch(error => {
+            if (job.status === 'cancelled' || error instanceof JobCancelledError) {
+                touch(job, { status: 'cancelled', stage: 'cancelled' });
+                logger.info(`🛑 Job ${job.id} (${job.type}) cancelled`);
+                return;
+            }
+            const apiError = errors.classifyError(error, 'Job failed');
+            touch(job, {
+                status: 'failed',
+                stage: 'failed',
+                error: apiError.message,
+                errorCode: apiError.code,
+                retryable: apiError.retryable,
+                details: apiError.details
+            });
+            logger.error(`❌ Job ${job.id} (${job.type}) failed:`, job.error);
+        });
+
+    return job;
+}
+
+/**
+ * Cancel a job. Returns { job } or { error, status } when it cannot be cancelled.
+ */
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) {
+        return { error: 'Job not found', status: 404 };
+    }
+    if (FINAL_STATUSES.includes(job.status)) {
+        return { error: `Job already ${job.status}`, status: 409 };
+    }
+    if (job.broadcast) {
+        return { error: 'Transaction already broadcast, job can no longer be cancelled', status: 409 };
+    }
+
+    job.cancelRequested = true;
+    touch(job, { status: 'cancelled', stage: 'cancelled' });
+
+    for (const handler of job.cancelHandlers) {
+        try {
+            handler();
+        } catch (error) {
+            logger.error('❌ Cancel handler error:', error.message);
+        }
+    }
+
+    return { job };
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Public view of a job
+ */
+function serializeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        params: job.params,
+        status: job.status,
+        stage: job.stage,
+        txHash: job.txHash,
+        error: job.error,
+        errorCode: job.errorCode,
+        retryable: job.retryable,
+        details: job.details,
+        result: job.result,
+        cancellable: !FINAL_STATUSES.includes(job.status) && !job.broadcast,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+// Drop finished jobs once they expire
+setInterval(() => {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [id, job] of jobs) {
+        if (FINAL_STATUSES.includes(job.status) && Date.parse(job.updatedAt) < cutoff) {
+            jobs.delete(id);
+        }
+    }
+}, 60 * 1000).unref();
+
+module.exports = {
+    JobCancelledError,
+    createJob,
+    onJobUpdate,
+    runJob,
+    cancelJob,
+    getJob,
+    serializeJob
+};
@@ -0,0 +1,219 @@
+/**
+ * Local Chain
+ * `node server.js --local` (or LOCAL_CHAIN=1) starts a Prague anvil, deploys
+ * BatchCallAndSponsor and a mock ERC-20 from the forge artifacts, writes
+ * script/addressBook/31337.json and points the backend at it, so every
+ * endpoint works offline with anvil's funded accounts
+ */
+
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const { readArtifact } = require('./artifacts');
+const addressBook = require('./addressBook');
+const { logger, registerSecret } = require('./logger');
+
+const LOCAL_MODE = process.argv.includes('--local') || ['1', 'true'].includes(process.env.LOCAL_CHAIN);
+
+const LOCAL_CHAIN_ID = 31337;
+const ANVIL_PATH = process.env.ANVIL_PATH || 'anvil';
+const ANVIL_PORT = Number(process.env.ANVIL_PORT || 8545);
+const ANVIL_RPC_URL = `http://127.0.0.1:${ANVIL_PORT}`;
+const ANVIL_START_TIMEOUT_MS = 20 * 1000;
+
+// anvil's default accounts: account 0 deploys and sponsors, the others are handed to clients
+const ANVIL_MNEMONIC = 'test test test test test test test test test test test junk';
+const ANVIL_ACCOUNTS = 10;
+
+// Mock tokens minted to every client account
+const MOCK_TOKEN = { name: 'Mock Token', symbol: 'MOCK', decimals: 18, mintPerAccount: ethers.parseUnits('1000000', 18) };
+
+// { implementation, codeHash, token }, filled in by startLocalChain()
+let deployment = null;
+
+function accountWallet(index) {
+    return ethers.HDNodeWallet.fromPhrase(ANVIL_MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`);
+}
+
+/**
+ * Point the chain settings at anvil. Runs before the other modules are loaded,
+ * since they read their settings from the environment once. logger.js is
+ * loaded already (by this module), so the sponsor key is registered with its redactor here.
+ */
+function configureEnvironment() {
+    if (!LOCAL_MODE) {
+        return;
+    }
+    process.env.LOCALHOST_RPC_URL = ANVIL_RPC_URL;
+    process.env.DEFAULT_CHAIN_ID = String(LOCAL_CHAIN_ID);
+    process.env.SPONSOR_PRIVATE_KEY = accountWallet(0).privateKey;
+    registerSecret(process.env.SPONSOR_PRIVATE_KEY);
+    // anvil's accounts hold nothing of value: send without API keys unless a keys file says otherwise
+    process.env.ALLOW_UNAUTHENTICATED = process.env.ALLOW_UNAUTHENTICATED || '1';
+}
+
+/**
+ * Resolve once anvil answers eth_chainId; reject if it exits or never answers
+ */
+async function waitForAnvil(child) {
+    let exited = false;
+    child.once('exit', () => {
+        exited = true;
+    });
+
+    const deadline = Date.now() + ANVIL_START_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (exited) {
+            throw new Error(`anvil exited during startup (is port ${ANVIL_PORT} already in use?)`);
+        }
+        try {
+            const response = await fetch(ANVIL_RPC_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })
+            });
+            const { result } = await response.json();
+            if (Number(result) !== LOCAL_CHAIN_ID) {
+                throw new Error(`${ANVIL_RPC_URL} serves chain ${Number(result)}, expected ${LOCAL_CHAIN_ID}`);
+            }
+            return;
+        } catch (error) {
+            if (error.message.includes('serves chain')) {
+                throw error;
+            }
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error(`anvil did not answer on ${ANVIL_RPC_URL} within ${ANVIL_START_TIMEOUT_MS / 1000}s`);
+}
+
+/**
+ * Start anvil with the README's settings, killed again when the server exits
+ */
+async function startAnvil() {
+    const child = spawn(ANVIL_PATH, [
+        '--hardfork', 'prague',
+        '--chain-id', String(LOCAL_CHAIN_ID),
+        '--port', String(ANVIL_PORT),
+        '--mnemonic', ANVIL_MNEMONIC,
+        '--accounts', String(ANVIL_ACCOUNTS)
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const started = new Promise((resolve, reject) => {
+        child.once('error', error => reject(error.code === 'ENOENT'
+            ? new Error('anvil not found: install Foundry (https://getfoundry.sh) or set ANVIL_PATH')
+            : error));
+        child.once('spawn', resolve);
+    });
+    await started;
+
+    child.stdout.on('data', chunk => logger.debug('⛓️  anvil:', chunk.toString().trim()));
+    child.stderr.on('data', chunk => logger.debug('⛓️  anvil:', chunk.toString().trim()));
+
+    process.on('exit', () => child.kill());
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => process.exit(0));
+    }
+
+    await waitForAnvil(child);
+
+    child.on('exit', code => {
+        if (!child.killed) {
+            logger.error(`❌ anvil exited unexpectedly with code ${code}`);
+        }
+    });
+
+    return child;
+}
+
+async function deployContract(deployer, name, args = []) {
+    const { abi, bytecode } = await readArtifact(name);
+    const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+}
+
+/**
+ * Start anvil, deploy BatchCallAndSponsor and MockERC20, fund the client
+ * accounts with mock tokens and write the address book
+ */
+async function startLocalChain() {
+    logger.info(`⛓️  Starting anvil on ${ANVIL_RPC_URL}...`);
+    await startAnvil();
+
+    const provider = new ethers.JsonRpcProvider(ANVIL_RPC_URL, LOCAL_CHAIN_ID, { staticNetwork: true });
+    // Counts nonces locally: the node may not report the previous deployment as pending yet
+    const deployer = new ethers.NonceManager(accountWallet(0).connect(provider));
+
+    const implementation = await deployContract(deployer, 'BatchCallAndSponsor');
+    const token = await deployContract(deployer, 'MockERC20', [MOCK_TOKEN.name, MOCK_TOKEN.symbol, 0]);
+
+    for (let index = 1; index < ANVIL_ACCOUNTS; index++) {
+        const tx = await token.mint(accountWallet(index).address, MOCK_TOKEN.mintPerAccount);
+        await tx.wait();
+    }
+
+    const implementationAddress = await implementation.getAddress();
+    deployment = {
+        implementation: implementationAddress,
+        codeHash: ethers.keccak256(await provider.getCode(implementationAddress)),
+        token: await token.getAddress()
+    };
+
+    logger.info(`✅ BatchCallAndSponsor deployed to ${deployment.implementation}`);
+    logger.info(`✅ MockERC20 (${MOCK_TOKEN.symbol}) deployed to ${deployment.token}`);
+
+    addressBook.writeDeployment(LOCAL_CHAIN_ID, {
+        address: deployment.implementation,
+        codeHash: deployment.codeHash
+    }, { MockERC20: deployment.token });
+
+    return deployment;
+}
+
+/**
+ * The local chain, its contracts and the funded client accounts with their
+ * current ETH and mock token balances
+ */
+async function describeLocalChain() {
+    const provider = new ethers.JsonRpcProvider(ANVIL_RPC_URL, LOCAL_CHAIN_ID, { staticNetwork: true });
+    const token = new ethers.Contract(deployment.token, ['function balanceOf(address) view returns (uint256)'], provider);
+
+    const accounts = [];
+    for (let index = 1; index < ANVIL_ACCOUNTS; index++) {
+        const wallet = accountWallet(index);
+        const [balance, tokenBalance] = await Promise.all([
+            provider.getBalance(wallet.address),
+            token.balanceOf(wallet.address)
+        ]);
+        accounts.push({
+            address: wallet.address,
+            privateKey: wallet.privateKey,
+            balance: ethers.formatEther(balance),
+            tokenBalance: ethers.formatUnits(tokenBalance, MOCK_TOKEN.decimals)
+        });
+    }
+
+    return {
+        chainId: LOCAL_CHAIN_ID,
+        rpcUrl: ANVIL_RPC_URL,
+        mnemonic: ANVIL_MNEMONIC,
+        implementation: deployment.implementation,
+        token: {
+            address: deployment.token,
+            name: MOCK_TOKEN.name,
+            symbol: MOCK_TOKEN.symbol,
+            decimals: MOCK_TOKEN.decimals
+        },
+        sponsor: accountWallet(0).address,
+        accounts: accounts
+    };
+}
+
+module.exports = {
+    LOCAL_MODE,
+    LOCAL_CHAIN_ID,
+    ANVIL_RPC_URL,
+    configureEnvironment,
+    startLocalChain,
+    describeLocalChain
+};
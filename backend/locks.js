@@ -0,0 +1,69 @@
+/**
+ * Account Locks
+ * Serializes work per (chain, account) so overlapping requests from the
+ * same EOA or sponsor never race for the same nonce
+ */
+
+// Lock key -> promise that settles when the last queued holder releases
+const tails = new Map();
+
+/**
+ * Lock key for an account on a chain
+ */
+function accountKey(chainId, address) {
+    return `${chainId}:${address.toLowerCase()}`;
+}
+
+/**
+ * Acquire a single lock; resolves with a release function
+ */
+async function acquire(key) {
+    const previous = tails.get(key) || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => {
+        release = resolve;
+    });
+    const tail = previous.then(() => current);
+    tails.set(key, tail);
+
+    await previous;
+
+    return () => {
+        release();
+        if (tails.get(key) === tail) {
+            tails.delete(key);
+        }
+    };
+}
+
+/**
+ * Run fn while holding every lock in keys.
+ * Keys are acquired in sorted order so two callers can never deadlock.
+ */
+async function withLocks(keys, fn) {
+    const uniqueKeys = [...new Set(keys)].sort();
+    const releases = [];
+
+    try {
+        for (const key of uniqueKeys) {
+            releases.push(await acquire(key));
+        }
+        return await fn();
+    } finally {
+        releases.reverse().forEach(release => release());
+    }
+}
+
+/**
+ * Whether someone currently holds or waits for a lock
+ */
+function isLocked(key) {
+    return tails.has(key);
+}
+
+module.exports = {
+    accountKey,
+    withLocks,
+    isLocked
+};
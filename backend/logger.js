@@ -0,0 +1,179 @@
+/**
+ * Logging
+ * Structured JSON log lines tagged with the request id, with private keys,
+ * signatures and RPC URL credentials redacted from everything that is written
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// 'json' (one object per line) or 'text' for reading in a terminal
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+const REDACTED = '[REDACTED]';
+
+// Values under these object keys are never written
+const SECRET_KEYS = /^(private_?key|sponsor_?private_?key|secret|signature|password|mnemonic|api_?key|x-api-key|x-signature|r|s)$/i;
+
+// 65-byte signatures, and 32-byte hex labelled as a key or secret
+const SIGNATURE_PATTERN = /0x[0-9a-fA-F]{130}(?![0-9a-fA-F])/g;
+const LABELLED_KEY_PATTERN = /((?:private[_ ]?key|secret)["']?\s*[:=]\s*["']?)(?:0x)?[0-9a-fA-F]{64}/gi;
+
+// RPC URLs carry credentials in the user info, the query or a long path segment (e.g. /v2/<api key>)
+const URL_PATTERN = /\b(?:https?|wss?):\/\/[^\s"'<>`]+/g;
+const URL_USERINFO_PATTERN = /^([a-z]+:\/\/)[^/@]+@/i;
+const URL_QUERY_VALUE_PATTERN = /([?&][^=&#]+=)[^&#]+/g;
+const URL_KEY_SEGMENT_PATTERN = /\/(?!0x)[A-Za-z0-9_-]{20,}(?=\/|$|\?|#)/g;
+
+// Literal secrets known to the process (sponsor key, API keys); requests add their own
+const secrets = new Set();
+
+// { requestId, secrets } of the request being handled
+const requestContext = new AsyncLocalStorage();
+
+function addSecret(set, value) {
+    if (typeof value !== 'string' || value.length < 8) {
+        return;
+    }
+    set.add(value);
+    // Keys are accepted with and without the 0x prefix
+    set.add(value.startsWith('0x') ? value.slice(2) : '0x' + value);
+}
+
+/**
+ * Never log this value, in any message, for the lifetime of the process
+ */
+function registerSecret(value) {
+    addSecret(secrets, value);
+}
+
+registerSecret(process.env.SPONSOR_PRIVATE_KEY);
+
+function redactUrl(url) {
+    return url
+        .replace(URL_USERINFO_PATTERN, `$1${REDACTED}@`)
+        .replace(URL_QUERY_VALUE_PATTERN, `$1${REDACTED}`)
+        .replace(URL_KEY_SEGMENT_PATTERN, `/${REDACTED}`);
+}
+
+/**
+ * Redact secrets from a string
+ */
+function redact(text) {
+    const store = requestContext.getStore();
+    let result = text;
+
+    for (const secret of store ? [...secrets, ...store.secrets] : secrets) {
+        result = result.split(secret).join(REDACTED);
+    }
+
+    return result
+        .replace(SIGNATURE_PATTERN, REDACTED)
+        .replace(LABELLED_KEY_PATTERN, `$1${REDACTED}`)
+        .replace(URL_PATTERN, redactUrl);
+}
+
+/**
+ * Copy of a value with secret keys blanked out (errors and primitives are returned as is)
+ */
+function redactValue(value, depth = 0) {
+    if (value === null || typeof value !== 'object' || value instanceof Error || depth > 5) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SECRET_KEYS.test(key) ? REDACTED : redactValue(item, depth + 1);
+    }
+    return copy;
+}
+
+function write(level, args, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+        return;
+    }
+
+    const store = requestContext.getStore();
+    const requestId = store ? store.requestId : undefined;
+    const message = redact(util.format(...args.map(arg => redactValue(arg))));
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    const time = new Date().toISOString();
+
+    if (LOG_FORMAT === 'text') {
+        const extra = Object.keys(fields).length > 0 ? ' ' + redact(JSON.stringify(redactValue(fields))) : '';
+        stream.write(`${time} ${level.toUpperCase()}${requestId ? ` [${requestId}]` : ''} ${message}${extra}\n`);
+        return;
+    }
+
+    stream.write(redact(JSON.stringify({
+        time: time,
+        level: level,
+        requestId: requestId,
+        msg: message.trim(),
+        ...redactValue(fields)
+    })) + '\n');
+}
+
+const logger = {
+    debug: (...args) => write('debug', args),
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+
+    /**
+     * A message with structured fields, e.g. logger.event('info', 'Request completed', { status: 200 })
+     */
+    event: (level, message, fields) => write(level, [message], fields)
+};
+
+/**
+ * Express middleware: give every request an id (X-Request-Id, also echoed back),
+ * redact the secrets it carries from all logs written while handling it, and log its outcome
+ */
+function requestLogger(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && /^[A-Za-z0-9._-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    const store = { requestId: requestId, secrets: new Set() };
+
+    const body = req.body || {};
+    addSecret(store.secrets, body.privateKey);
+    addSecret(store.secrets, body.signature);
+    if (body.authorization && typeof body.authorization === 'object') {
+        addSecret(store.secrets, body.authorization.signature);
+        addSecret(store.secrets, body.authorization.r);
+        addSecret(store.secrets, body.authorization.s);
+    }
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const started = Date.now();
+    res.on('finish', () => {
+        requestContext.run(store, () => logger.event('info', `${req.method} ${req.originalUrl} ${res.statusCode}`, {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Date.now() - started,
+            ip: req.ip,
+            tenant: req.tenant ? req.tenant.name : undefined
+        }));
+    });
+
+    requestContext.run(store, next);
+}
+
+module.exports = {
+    LOG_LEVEL,
+    LOG_FORMAT,
+    logger,
+    redact,
+    registerSecret,
+    requestLogger
+};
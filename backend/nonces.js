@@ -0,0 +1,407 @@
+/**
+ * Sponsor Nonce Manager
+ * Hands out sponsor nonces locally so relays can broadcast in parallel, tracks
+ * pending transactions, replaces stuck ones (same nonce, higher EIP-1559 fees)
+ * and fills nonces left unused below broadcast ones
+ */
+
+const locks = require('./locks');
+const fees = require('./fees');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+// A transaction pending for longer than this is re-broadcast with higher fees
+const STUCK_TX_TIMEOUT_MS = Number(process.env.STUCK_TX_TIMEOUT_MS || 3 * 60 * 1000);
+const STUCK_CHECK_INTERVAL_MS = Number(process.env.STUCK_CHECK_INTERVAL_MS || 15 * 1000);
+
+// Nodes only accept a replacement that raises both fees by at least 10%
+const FEE_BUMP_PERCENT = Math.max(10, Number(process.env.FEE_BUMP_PERCENT || 15));
+
+// Automatic speed-ups per transaction; speed-ups requested through the API are not counted
+const MAX_AUTO_SPEED_UPS = Number(process.env.MAX_AUTO_SPEED_UPS || 3);
+
+// Mined transactions stay resolvable by any of their hashes this long
+const MINED_TTL_MS = 60 * 60 * 1000;
+
+const CANCEL_GAS_LIMIT = 21000n;
+
+// chainId:address -> { key, chainId, address, signer, next, gaps, pending: Map<nonce, entry> }
+const senders = new Map();
+
+// Lowercased hash (original or replacement) -> pending entry
+const byHash = new Map();
+
+function senderState(chainId, signer) {
+    const key = locks.accountKey(chainId, signer.address);
+    if (!senders.has(key)) {
+        senders.set(key, {
+            key: key,
+            chainId: chainId,
+            address: signer.address,
+            signer: signer,
+            next: 0,
+            // Nonces handed out but never broadcast, reused before new ones
+            gaps: new Set(),
+            pending: new Map()
+        });
+    }
+    return senders.get(key);
+}
+
+/**
+ * Next nonce for a sender: the lowest unused gap, else the highest of the local
+ * counter and the node's pending count (which also covers transactions sent elsewhere)
+ */
+async function reserveNonce(state) {
+    return locks.withLocks([`nonce:${state.key}`], async () => {
+        const onChain = await state.signer.provider.getTransactionCount(state.address, 'pending');
+
+        for (const gap of state.gaps) {
+            if (gap < onChain) {
+                state.gaps.delete(gap);
+            }
+        }
+        if (state.gaps.size > 0) {
+            const nonce = Math.min(...state.gaps);
+            state.gaps.delete(nonce);
+            return nonce;
+        }
+
+        const nonce = Math.max(state.next, onChain);
+        state.next = nonce + 1;
+        return nonce;
+    });
+}
+
+/**
+ * Give back a nonce whose transaction was never broadcast.
+ * If later nonces were broadcast already, fillGaps() must use it.
+ */
+function releaseNonce(state, nonce) {
+    state.gaps.add(nonce);
+    while (state.gaps.has(state.next - 1)) {
+        state.next--;
+        state.gaps.delete(state.next);
+    }
+}
+
+/**
+ * Sign and broadcast `request` from `signer` with a nonce from the manager,
+ * and track it until it is mined. `onReplaced(txHash)` is called whenever a
+ * speed-up or cancellation replaces it. Resolves with the ethers TransactionResponse.
+ */
+async function sendTransaction(signer, request, { onReplaced = null } = {}) {
+    const network = await signer.provider.getNetwork();
+    const state = senderState(Number(network.chainId), signer);
+    const nonce = await reserveNonce(state);
+
+    let populated;
+    let tx;
+    try {
+        populated = await signer.populateTransaction({ ...request, nonce: nonce, chainId: network.chainId });
+        tx = await signer.sendTransaction(populated);
+    } catch (error) {
+        if (error.code === 'NONCE_EXPIRED') {
+            // Someone else used this key: start over from the node's count
+            state.next = 0;
+            state.gaps.clear();
+        } else {
+            releaseNonce(state, nonce);
+            // Transactions broadcast meanwhile with later nonces wait for this one
+            fillGaps(state);
+        }
+        throw error;
+    }
+
+    track(state, nonce, populated, tx, { onReplaced });
+    return tx;
+}
+
+/**
+ * Track a broadcast transaction until it is mined
+ */
+function track(state, nonce, request, tx, { onReplaced = null, cancellation = false } = {}) {
+    const entry = {
+        key: state.key,
+        chainId: state.chainId,
+        from: state.address,
+        nonce: nonce,
+        request: request,
+        txHash: tx.hash,
+        hashes: [tx.hash],
+        cancelHashes: cancellation ? [tx.hash] : [],
+        sentAt: Date.now(),
+        autoSpeedUps: 0,
+        minedAt: null,
+        onReplaced: onReplaced
+    };
+    state.pending.set(nonce, entry);
+    byHash.set(tx.hash.toLowerCase(), entry);
+}
+
+/**
+ * Zero-value self-send that uses up `nonce` (cancellations and gap fillers)
+ */
+function selfSendRequest(from, nonce, chainId) {
+    return {
+        type: 2,
+        from: from,
+        to: from,
+        value: 0n,
+        data: '0x',
+        gasLimit: CANCEL_GAS_LIMIT,
+        nonce: nonce,
+        chainId: chainId
+    };
+}
+
+/**
+ * Use up released nonces that sit below broadcast ones with zero-value self-sends:
+ * the node holds every later transaction back until each nonce is used.
+ * Failures are logged; the nonce goes back to the gaps for the next sweep.
+ */
+async function fillGaps(state) {
+    let blocked;
+    try {
+        blocked = await locks.withLocks([`nonce:${state.key}`], async () => {
+            const mined = await state.signer.provider.getTransactionCount(state.address, 'latest');
+            const highest = Math.max(-1, ...state.pending.keys());
+            const nonces = [...state.gaps].filter(gap => gap >= mined && gap < highest).sort((a, b) => a - b);
+            // Taken out of the gaps so reserveNonce does not hand them out meanwhile
+            nonces.forEach(nonce => state.gaps.delete(nonce));
+            return nonces;
+        });
+    } catch (error) {
+        logger.error(`❌ Nonce gap check failed for ${state.address}:`, error.message);
+        return;
+    }
+
+    for (const nonce of blocked) {
+        try {
+            const provider = state.signer.provider;
+            const { maxFeePerGas, maxPriorityFeePerGas } = await fees.estimateFees(provider);
+            const request = { ...selfSendRequest(state.address, nonce, state.chainId), maxFeePerGas, maxPriorityFeePerGas };
+
+            const tx = await state.signer.sendTransaction(request);
+            track(state, nonce, request, tx, { cancellation: true });
+            logger.warn(`⚠️  Nonce ${nonce} of ${state.address} was released below broadcast transactions, filled with ${tx.hash}`);
+        } catch (error) {
+            logger.error(`❌ Filling nonce ${nonce} of ${state.address} failed:`, error.message);
+            if (error.code !== 'NONCE_EXPIRED') {
+                state.gaps.add(nonce);
+            }
+        }
+    }
+}
+
+function findEntry(txHash) {
+    return byHash.get(txHash.toLowerCase()) || null;
+}
+
+/**
+ * Every hash broadcast for the same sponsor nonce as `txHash`, oldest first
+ * (just `txHash` when the manager did not send it)
+ */
+function transactionHashes(txHash) {
+    const entry = findEntry(txHash);
+    return entry ? [...entry.hashes] : [txHash];
+}
+
+/**
+ * When `txHash` was last (re-)broadcast, or null when the manager did not send it
+ */
+function lastBroadcastAt(txHash) {
+    const entry = findEntry(txHash);
+    return entry ? entry.sentAt : null;
+}
+
+/**
+ * Whether `txHash` is a zero-value self-send that cancelled a sponsor transaction
+ */
+function isCancellation(txHash) {
+    const entry = findEntry(txHash);
+    return entry !== null && entry.cancelHashes.some(hash => hash.toLowerCase() === txHash.toLowerCase());
+}
+
+/**
+ * Chain of a transaction the manager sent, or null
+ */
+function chainIdOf(txHash) {
+    const entry = findEntry(txHash);
+    return entry ? entry.chainId : null;
+}
+
+function bump(value) {
+    return (value * BigInt(100 + FEE_BUMP_PERCENT) + 99n) / 100n;
+}
+
+function maxOf(...values) {
+    return values.reduce((max, value) => (value > max ? value : max), 0n);
+}
+
+/**
+ * Fees for a replacement: the previous fees bumped by FEE_BUMP_PERCENT, or the
+ * network's current suggestion if that is higher. Never above the fee ceiling.
+ */
+async function replacementFees(provider, request) {
+    if (request.maxFeePerGas === null || request.maxFeePerGas === undefined) {
+        throw new ApiError('NOT_SUPPORTED', 'Only EIP-1559 transactions can be replaced');
+    }
+
+    const feeData = await provider.getFeeData();
+    const maxPriorityFeePerGas = maxOf(bump(BigInt(request.maxPriorityFeePerGas)), feeData.maxPriorityFeePerGas || 0n);
+    const maxFeePerGas = maxOf(bump(BigInt(request.maxFeePerGas)), feeData.maxFeePerGas || 0n, maxPriorityFeePerGas);
+    fees.checkFeeCeiling(maxFeePerGas);
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Re-broadcast the transaction holding the nonce of `txHash` with higher fees:
+ * the same request for a speed-up, a zero-value self-send for a cancellation
+ */
+async function replaceTransaction(txHash, cancel) {
+    const entry = findEntry(txHash);
+    if (!entry || entry.minedAt) {
+        throw new ApiError('NOT_FOUND', 'No pending sponsor transaction with this hash');
+    }
+
+    return locks.withLocks([`replace:${entry.key}:${entry.nonce}`], async () => {
+        const state = senders.get(entry.key);
+        const provider = state.signer.provider;
+
+        if (await provider.getTransactionCount(entry.from, 'latest') > entry.nonce) {
+            throw new ApiError('CONFLICT', `Nonce ${entry.nonce} is already mined, the transaction can no longer be replaced`);
+        }
+        if (cancel && entry.cancelHashes.length > 0) {
+            throw new ApiError('CONFLICT', 'Transaction is already being cancelled: speed up the cancellation instead');
+        }
+
+        const bumped = await replacementFees(provider, entry.request);
+        const base = cancel ? selfSendRequest(entry.from, entry.nonce, entry.request.chainId) : entry.request;
+        const request = { ...base, ...bumped };
+
+        const tx = await state.signer.sendTransaction(request);
+        const replacedTxHash = entry.txHash;
+
+        entry.request = request;
+        entry.txHash = tx.hash;
+        entry.hashes.push(tx.hash);
+        entry.sentAt = Date.now();
+        if (cancel || entry.cancelHashes.length > 0) {
+            entry.cancelHashes.push(tx.hash);
+        }
+        byHash.set(tx.hash.toLowerCase(), entry);
+
+        logger.info(`${cancel ? '🛑 Cancelled' : '⏫ Sped up'} ${replacedTxHash} (nonce ${entry.nonce}): ${tx.hash}`);
+
+        if (entry.onReplaced) {
+            try {
+                entry.onReplaced(tx.hash);
+            } catch (error) {
+                logger.error('❌ Replacement listener error:', error.message);
+            }
+        }
+
+        return {
+            chainId: entry.chainId,
+            from: entry.from,
+            nonce: entry.nonce,
+            txHash: tx.hash,
+            replacedTxHash: replacedTxHash,
+            cancellation: entry.cancelHashes.length > 0,
+            maxFeePerGas: bumped.maxFeePerGas.toString(),
+            maxPriorityFeePerGas: bumped.maxPriorityFeePerGas.toString()
+        };
+    });
+}
+
+/**
+ * Replace a pending sponsor transaction with the same one at higher fees
+ */
+async function speedUpTransaction(txHash) {
+    return replaceTransaction(txHash, false);
+}
+
+/**
+ * Replace a pending sponsor transaction with a zero-value self-send
+ */
+async function cancelTransaction(txHash) {
+    return replaceTransaction(txHash, true);
+}
+
+/**
+ * Forget mined transactions, speed up the ones stuck past STUCK_TX_TIMEOUT_MS
+ * and fill nonce gaps that hold transactions back
+ */
+async function checkPendingTransactions() {
+    const now = Date.now();
+
+    for (const state of senders.values()) {
+        if (state.pending.size === 0) {
+            continue;
+        }
+
+        let mined;
+        try {
+            mined = await state.signer.provider.getTransactionCount(state.address, 'latest');
+        } catch (error) {
+            logger.error(`❌ Pending transaction check failed for ${state.address}:`, error.message);
+            continue;
+        }
+
+        for (const [nonce, entry] of state.pending) {
+            if (nonce < mined) {
+                entry.minedAt = now;
+                state.pending.delete(nonce);
+                continue;
+            }
+
+            if (now - entry.sentAt < STUCK_TX_TIMEOUT_MS || entry.autoSpeedUps >= MAX_AUTO_SPEED_UPS) {
+                continue;
+            }
+
+            entry.autoSpeedUps++;
+            logger.warn(`⚠️  ${entry.txHash} (nonce ${nonce}) pending for ${Math.round((now - entry.sentAt) / 1000)}s, speeding up`);
+            try {
+                await speedUpTransaction(entry.txHash);
+            } catch (error) {
+                logger.error(`❌ Speed-up of ${entry.txHash} failed:`, error.message);
+            }
+        }
+
+        if (state.gaps.size > 0) {
+            await fillGaps(state);
+        }
+    }
+
+    for (const [hash, entry] of byHash) {
+        if (entry.minedAt && now - entry.minedAt > MINED_TTL_MS) {
+            byHash.delete(hash);
+        }
+    }
+}
+
+let checking = false;
+setInterval(() => {
+    if (checking) {
+        return;
+    }
+    checking = true;
+    checkPendingTransactions().finally(() => {
+        checking = false;
+    });
+}, STUCK_CHECK_INTERVAL_MS).unref();
+
+module.exports = {
+    STUCK_TX_TIMEOUT_MS,
+    FEE_BUMP_PERCENT,
+    sendTransaction,
+    transactionHashes,
+    lastBroadcastAt,
+    isCancellation,
+    chainIdOf,
+    speedUpTransaction,
+    cancelTransaction,
+    checkPendingTransactions
+};
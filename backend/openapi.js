@@ -0,0 +1,1021 @@
+/**
+ * OpenAPI Document
+ * OpenAPI 3 description of every endpoint, served at /api/openapi.json.
+ * validation.js checks requests against the same schemas at runtime.
+ */
+
+const { version } = require('./package.json');
+const { FEE_STRATEGIES } = require('./fees');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./history');
+const { ERROR_TYPES } = require('./errors');
+
+// Job statuses, also the filter values of GET /api/transactions
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function jsonBody(schema) {
+    return { required: true, content: { 'application/json': { schema: schema } } };
+}
+
+function jsonResponse(description, schema) {
+    return { description: description, content: { 'application/json': { schema: schema } } };
+}
+
+function pathParameter(name, schema, description) {
+    return { name: name, in: 'path', required: true, schema: schema, description: description };
+}
+
+function queryParameter(name, schema, description) {
+    return { name: name, in: 'query', required: false, schema: schema, description: description };
+}
+
+/**
+ * Responses of an operation: its own plus the error responses every route can give
+ */
+function responses(own) {
+    return {
+        ...own,
+        400: { $ref: '#/components/responses/BadRequest' },
+        401: { $ref: '#/components/responses/Unauthorized' },
+        429: { $ref: '#/components/responses/RateLimited' },
+        500: { $ref: '#/components/responses/Error' }
+    };
+}
+
+const JOB_ACCEPTED = {
+    202: jsonResponse('Job accepted: poll statusUrl for the result', ref('JobAccepted')),
+    403: { $ref: '#/components/responses/Forbidden' },
+    503: { $ref: '#/components/responses/Error' }
+};
+
+// Fields of every request that puts a transaction on chain
+const SEND_FIELDS = {
+    chainId: ref('ChainId'),
+    feeStrategy: ref('FeeStrategy'),
+    maxFeePerGasGwei: { ...ref('Gwei'), description: 'Overrides the strategy\'s maxFeePerGas' },
+    maxPriorityFeePerGasGwei: { ...ref('Gwei'), description: 'Overrides the strategy\'s maxPriorityFeePerGas' },
+    callbackUrl: ref('CallbackUrl')
+};
+
+// Who signs: the account (relayed by the sponsor) or, when ALLOW_PRIVATE_KEYS is set, a raw private key
+const SIGNED_OR_PRIVATE_KEY = [
+    { required: ['signature', 'address'] },
+    { required: ['privateKey'] }
+];
+
+const schemas = {
+    Address: {
+        type: 'string',
+        format: 'address',
+        description: '0x-prefixed 20-byte address. Mixed-case addresses must have a valid EIP-55 checksum.',
+        example: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8'
+    },
+    Hash: {
+        type: 'string',
+        format: 'hash',
+        description: '0x-prefixed 32-byte hash',
+        example: '0x6c3b1f8e2a0d4c5b9e7f1a2b3c4d5e6f708192a3b4c5d6e7f8091a2b3c4d5e6f7'
+    },
+    Signature: {
+        type: 'string',
+        format: 'signature',
+        description: '0x-prefixed 65-byte signature (r, s, v)'
+    },
+    HexData: {
+        type: 'string',
+        format: 'hex',
+        description: '0x-prefixed hex bytes',
+        example: '0x'
+    },
+    PrivateKey: {
+        type: 'string',
+        format: 'private-key',
+        'x-hex-prefix': true,
+        description: '32-byte private key, with or without 0x. Only accepted when the server sets ALLOW_PRIVATE_KEYS.'
+    },
+    Wei: {
+        type: 'string',
+        format: 'uint',
+        description: 'Integer amount in wei (JSON numbers are accepted too)',
+        example: '1000000000000000'
+    },
+    Amount: {
+        type: 'string',
+        format: 'decimal',
+        description: 'Positive decimal amount in whole units, e.g. ETH or tokens (JSON numbers are accepted too)',
+        example: '0.01'
+    },
+    Gwei: {
+        type: 'string',
+        format: 'gwei',
+        description: 'Decimal amount in gwei, at most 9 decimals',
+        example: '1.5'
+    },
+    ChainId: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Chain to use (default: the server\'s DEFAULT_CHAIN_ID)',
+        example: 11155111
+    },
+    FeeStrategy: {
+        type: 'string',
+        enum: Object.keys(FEE_STRATEGIES),
+        description: 'Priority fee percentile of recent blocks (default: the server\'s FEE_STRATEGY)'
+    },
+    CallbackUrl: {
+        type: 'string',
+        format: 'callback-url',
+        description: 'http(s) URL on a public address that receives signed lifecycle events (submitted, confirmed, reverted, dropped)'
+    },
+    AllowUnauditedImplementation: {
+        type: 'boolean',
+        description: 'Delegate even when the implementation\'s runtime code is not an audited BatchCallAndSponsor build (default false)'
+    },
+    Simulate: {
+        type: 'boolean',
+        description: 'Dry-run the batch before queuing it (default true); a batch that would revert is rejected with 422'
+    },
+    Authorization: {
+        type: 'object',
+        description: 'Signed EIP-7702 authorization tuple. Its nonce is the account\'s current nonce, since the sponsor sends the transaction.',
+        required: ['chainId', 'address', 'nonce'],
+        anyOf: [
+            { required: ['signature'] },
+            { required: ['r', 's', 'yParity'] }
+        ],
+        properties: {
+            chainId: { type: 'integer', minimum: 0, description: '0 authorizes on every chain' },
+            address: { ...ref('Address'), description: 'Implementation to delegate to (address(0) removes the delegation)' },
+            nonce: { type: 'integer', minimum: 0 },
+            signature: ref('Signature'),
+            r: ref('Hash'),
+            s: ref('Hash'),
+            yParity: { type: 'integer', enum: [0, 1] }
+        }
+    },
+    Call: {
+        type: 'object',
+        description: 'One call of a batch: raw data, or a human-readable function signature with its args',
+        required: ['to'],
+        properties: {
+            to: ref('Address'),
+            value: ref('Wei'),
+            data: ref('HexData'),
+            function: {
+                type: 'string',
+                minLength: 1,
+                description: 'Instead of data, e.g. "transfer(address,uint256)"',
+                example: 'transfer(address,uint256)'
+            },
+            args: {
+                type: 'array',
+                items: {},
+                description: 'Arguments of function'
+            }
+        }
+    },
+    Calls: {
+        type: 'array',
+        minItems: 1,
+        items: ref('Call')
+    },
+    ErrorSignature: {
+        type: 'string',
+        format: 'error-signature',
+        example: 'error NotOwner(address caller)'
+    },
+
+    AddDelegationRequest: {
+        type: 'object',
+        required: ['address'],
+        anyOf: [
+            { required: ['authorization'] },
+            { required: ['privateKey'] }
+        ],
+        properties: {
+            address: ref('Address'),
+            authorization: ref('Authorization'),
+            implementationAddress: { ...ref('Address'), description: 'Default: the chain\'s BatchCallAndSponsor deployment' },
+            privateKey: ref('PrivateKey'),
+            calls: { ...ref('Calls'), description: 'First batch, executed in the same Type 4 transaction (needs authorization and signature)' },
+            signature: { ...ref('Signature'), description: 'Batch signature of calls, for the batchNonce of /api/prepare-delegation' },
+            simulate: ref('Simulate'),
+            allowUnauditedImplementation: ref('AllowUnauditedImplementation'),
+            ...SEND_FIELDS
+        }
+    },
+    RemoveDelegationRequest: {
+        type: 'object',
+        required: ['address'],
+        anyOf: [
+            { required: ['authorization'] },
+            { required: ['privateKey'] }
+        ],
+        properties: {
+            address: ref('Address'),
+            authorization: { ...ref('Authorization'), description: 'Authorization to address(0)' },
+            privateKey: ref('PrivateKey'),
+            ...SEND_FIELDS
+        }
+    },
+    SendNativeRequest: {
+        type: 'object',
+        required: ['recipient', 'amount'],
+        anyOf: SIGNED_OR_PRIVATE_KEY,
+        properties: {
+            address: ref('Address'),
+            signature: { ...ref('Signature'), description: 'Batch signature of the one-call batch sending amount to recipient' },
+            authorization: { ...ref('Authorization'), description: 'Bundled when the account is not delegated yet' },
+            privateKey: ref('PrivateKey'),
+            implementationAddress: ref('Address'),
+            recipient: ref('Address'),
+            amount: { ...ref('Amount'), description: 'Amount in ETH' },
+            simulate: ref('Simulate'),
+            allowUnauditedImplementation: ref('AllowUnauditedImplementation'),
+            ...SEND_FIELDS
+        }
+    },
+    SendTokenRequest: {
+        type: 'object',
+        required: ['tokenAddress', 'recipient', 'amount'],
+        anyOf: SIGNED_OR_PRIVATE_KEY,
+        properties: {
+            address: ref('Address'),
+            signature: { ...ref('Signature'), description: 'Batch signature of the one-call batch calling transfer on the token' },
+            authorization: { ...ref('Authorization'), description: 'Bundled when the account is not delegated yet' },
+            privateKey: ref('PrivateKey'),
+            implementationAddress: ref('Address'),
+            tokenAddress: ref('Address'),
+            recipient: ref('Address'),
+            amount: { ...ref('Amount'), description: 'Amount in tokens, at most the token\'s decimals' },
+            simulate: ref('Simulate'),
+            allowUnauditedImplementation: ref('AllowUnauditedImplementation'),
+            ...SEND_FIELDS
+        }
+    },
+    BatchRequest: {
+        type: 'object',
+        required: ['calls'],
+        anyOf: SIGNED_OR_PRIVATE_KEY,
+        properties: {
+            address: ref('Address'),
+            calls: ref('Calls'),
+            signature: ref('Signature'),
+            authorization: { ...ref('Authorization'), description: 'Bundled when the account is not delegated yet' },
+            privateKey: ref('PrivateKey'),
+            implementationAddress: ref('Address'),
+            simulate: ref('Simulate'),
+            allowUnauditedImplementation: ref('AllowUnauditedImplementation'),
+            ...SEND_FIELDS
+        }
+    },
+    RelayRequest: {
+        type: 'object',
+        required: ['address', 'calls', 'signature'],
+        properties: {
+            address: ref('Address'),
+            calls: ref('Calls'),
+            signature: ref('Signature'),
+            authorization: { ...ref('Authorization'), description: 'Bundled when the account is not delegated yet' },
+            simulate: ref('Simulate'),
+            allowUnauditedImplementation: ref('AllowUnauditedImplementation'),
+            ...SEND_FIELDS
+        }
+    },
+    SimulateRequest: {
+        type: 'object',
+        required: ['address', 'calls'],
+        properties: {
+            address: ref('Address'),
+            calls: ref('Calls'),
+            signature: { ...ref('Signature'), description: 'Simulate execute(calls, signature) sent by the sponsor instead of execute(calls) by the account' },
+            authorization: ref('Authorization'),
+            implementationAddress: ref('Address'),
+            errors: {
+                type: 'array',
+                items: ref('ErrorSignature'),
+                description: 'Extra custom errors to decode revert data with'
+            },
+            chainId: ref('ChainId')
+        }
+    },
+    BatchDigestRequest: {
+        type: 'object',
+        required: ['address', 'calls'],
+        properties: {
+            address: ref('Address'),
+            calls: ref('Calls'),
+            implementationAddress: { ...ref('Address'), description: 'Reads the nonce of an account that is not delegated yet (default: the chain\'s BatchCallAndSponsor deployment)' },
+            chainId: ref('ChainId')
+        }
+    },
+    VerifyBatchRequest: {
+        type: 'object',
+        required: ['address', 'calls', 'signature'],
+        properties: {
+            address: ref('Address'),
+            calls: ref('Calls'),
+            signature: ref('Signature'),
+            implementationAddress: { ...ref('Address'), description: 'Reads the nonce of an account that is not delegated yet (default: the chain\'s BatchCallAndSponsor deployment)' },
+            chainId: ref('ChainId')
+        }
+    },
+    DeployImplementationRequest: {
+        type: 'object',
+        properties: {
+            redeploy: {
+                type: 'boolean',
+                description: 'Deploy even though the address book already has a live deployment, which the new one replaces'
+            },
+            ...SEND_FIELDS
+        }
+    },
+
+    ErrorResponse: {
+        type: 'object',
+        required: ['success', 'error', 'code', 'retryable'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            code: { type: 'string', enum: Object.keys(ERROR_TYPES) },
+            retryable: { type: 'boolean' },
+            field: { type: 'string', description: 'Invalid request field, e.g. "calls[0].to"' },
+            details: { type: 'string' },
+            implementationCheck: { ...ref('ImplementationCheck'), description: 'When a delegation target was refused' }
+        }
+    },
+    ImplementationCheck: {
+        type: 'object',
+        description: 'Runtime code of a delegation target compared with the audited BatchCallAndSponsor builds',
+        properties: {
+            address: ref('Address'),
+            codeHash: { ...ref('Hash'), nullable: true, description: 'keccak256 of the runtime code' },
+            verdict: { type: 'string', enum: ['audited', 'unaudited', 'no-code'] },
+            audited: { type: 'boolean' },
+            overridden: { type: 'boolean', description: 'Accepted through allowUnauditedImplementation' }
+        }
+    },
+    JobAccepted: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            jobId: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: JOB_STATUSES },
+            statusUrl: { type: 'string', example: '/api/jobs/3b241101-e2bb-4255-8caf-4136c566a962' },
+            implementationCheck: { ...ref('ImplementationCheck'), description: 'When the request delegates the account' }
+        }
+    },
+    Job: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            type: { type: 'string', example: 'relay' },
+            params: { type: 'object' },
+            status: { type: 'string', enum: JOB_STATUSES },
+            stage: { type: 'string', nullable: true },
+            txHash: { ...ref('Hash'), nullable: true },
+            error: { type: 'string', nullable: true },
+            errorCode: { type: 'string', nullable: true },
+            retryable: { type: 'boolean', nullable: true },
+            details: { type: 'string', nullable: true },
+            result: { type: 'object', nullable: true, description: 'Result of a finished job: txHash, explorerUrl, fees, receipt...' },
+            cancellable: { type: 'boolean' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    JobResponse: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            job: ref('Job')
+        }
+    },
+    Transaction: {
+        type: 'object',
+        description: 'History record of a transaction the backend sent',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            type: { type: 'string' },
+            chainId: { type: 'integer' },
+            address: ref('Address'),
+            requester: { type: 'string', nullable: true },
+            sponsored: { type: 'boolean' },
+            sponsor: { ...ref('Address'), nullable: true },
+            implementation: { ...ref('Address'), nullable: true },
+            calls: { type: 'array', items: ref('Call') },
+            txHash: { ...ref('Hash'), nullable: true },
+            status: { type: 'string', enum: JOB_STATUSES },
+            error: { type: 'string', nullable: true },
+            errorCode: { type: 'string', nullable: true },
+            gasUsed: { type: 'string', nullable: true },
+            fee: { type: 'string', nullable: true },
+            blockNumber: { type: 'integer', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    TransactionPage: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            nextOffset: { type: 'integer', nullable: true },
+            transactions: { type: 'array', items: ref('Transaction') }
+        }
+    },
+    TransactionResponse: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            transaction: ref('Transaction')
+        }
+    },
+    Replacement: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            chainId: { type: 'integer' },
+            from: ref('Address'),
+            nonce: { type: 'integer' },
+            txHash: ref('Hash'),
+            replacedTxHash: ref('Hash'),
+            cancellation: { type: 'boolean' },
+            maxFeePerGas: ref('Wei'),
+            maxPriorityFeePerGas: ref('Wei'),
+            explorerUrl: { type: 'string', nullable: true }
+        }
+    },
+    Delegation: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            address: ref('Address'),
+            chainId: { type: 'integer' },
+            delegated: { type: 'boolean' },
+            delegate: { ...ref('Address'), nullable: true },
+            isKnownImplementation: { type: 'boolean' },
+            knownImplementation: { ...ref('Address'), nullable: true },
+            delegateCheck: { ...ref('ImplementationCheck'), nullable: true },
+            codeLength: { type: 'integer' },
+            designator: { ...ref('HexData'), nullable: true },
+            eoaNonce: { type: 'integer' },
+            contractNonce: { type: 'string', nullable: true, description: 'BatchCallAndSponsor nonce() of a delegated account' }
+        }
+    },
+    PreparedDelegation: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            address: ref('Address'),
+            chainId: { type: 'integer' },
+            submitter: { type: 'string', enum: ['sponsor', 'self'] },
+            eoaNonce: { type: 'integer', description: 'Pending transaction count of the account' },
+            authorization: {
+                type: 'object',
+                description: 'Tuple to sign: nonce is eoaNonce for the sponsor, eoaNonce + 1 when the account submits it itself',
+                properties: {
+                    chainId: { type: 'integer' },
+                    address: ref('Address'),
+                    nonce: { type: 'integer' }
+                }
+            },
+            digest: { ...ref('Hash'), description: 'keccak256(0x05 || rlp([chainId, address, nonce])), signed without a message prefix' },
+            batchNonce: { type: 'string', nullable: true, description: 'BatchCallAndSponsor nonce to sign bundled calls for' },
+            implementationCheck: ref('ImplementationCheck')
+        }
+    },
+    Token: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            chainId: { type: 'integer' },
+            address: ref('Address'),
+            name: { type: 'string', nullable: true },
+            symbol: { type: 'string', nullable: true },
+            decimals: { type: 'integer' },
+            owner: { ...ref('Address'), description: 'Only with the owner query parameter' },
+            balance: { type: 'string', description: 'Balance of owner, in the smallest unit' },
+            balanceFormatted: { type: 'string' }
+        }
+    },
+    Implementation: {
+        type: 'object',
+        properties: {
+            chainId: { type: 'integer' },
+            name: { type: 'string' },
+            configured: { type: 'boolean', description: 'Whether the chain has an RPC URL' },
+            address: { ...ref('Address'), nullable: true, description: 'BatchCallAndSponsor in script/addressBook/<chainId>.json' },
+            recordedCodeHash: { ...ref('Hash'), nullable: true, description: 'Runtime code hash recorded with the deployment' },
+            deployed: { type: 'boolean', nullable: true, description: 'Whether the address has code (null when not checked)' },
+            codeHash: { ...ref('Hash'), nullable: true, description: 'keccak256 of the code at address' },
+            codeHashMatches: { type: 'boolean', nullable: true, description: 'Whether codeHash is the recorded one (null when nothing to compare)' },
+            audited: { type: 'boolean', nullable: true, description: 'Whether codeHash is in AUDITED_CODE_HASHES, so delegations to it are accepted (null when not checked)' },
+            auditStatus: { type: 'string', description: 'When not audited: what to do before delegating to it' },
+            error: { type: 'string', description: 'Why the live check failed' },
+            errorCode: { type: 'string' }
+        }
+    },
+    ImplementationList: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            implementations: { type: 'array', items: ref('Implementation') }
+        }
+    },
+    Simulation: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            chainId: { type: 'integer' },
+            address: ref('Address'),
+            mode: { type: 'string', enum: ['sponsored', 'self'] },
+            calls: { type: 'array', items: ref('Call') },
+            simulation: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    gasEstimate: { type: 'string', nullable: true },
+                    implementation: ref('Address'),
+                    stateOverride: { type: 'boolean' },
+                    revertReason: { type: 'string' },
+                    revertError: { type: 'object', nullable: true },
+                    failedCall: { type: 'object' },
+                    code: { type: 'string' }
+                }
+            }
+        }
+    },
+    BatchDigest: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            address: ref('Address'),
+            chainId: { type: 'integer' },
+            calls: { type: 'array', items: ref('Call') },
+            delegated: { type: 'boolean' },
+            implementation: { ...ref('Address'), description: 'Delegate the nonce was read from (the default implementation when not delegated yet)' },
+            nonce: { type: 'string', description: 'Current BatchCallAndSponsor nonce() of the account' },
+            encodedMessage: { ...ref('HexData'), description: 'abi.encodePacked(nonce, abi.encodePacked(to, value, data)...)' },
+            digest: { ...ref('Hash'), description: 'keccak256(encodedMessage)' },
+            personalSignMessage: { ...ref('HexData'), description: 'Message to give personal_sign: the 32 digest bytes, not the hex string as text' },
+            prefixedMessage: { ...ref('HexData'), description: '"\\x19Ethereum Signed Message:\\n32" || digest' },
+            ethSignedMessageHash: { ...ref('Hash'), description: 'keccak256(prefixedMessage), the hash execute(calls, signature) recovers the account from' }
+        }
+    },
+    BatchSignatureCheck: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            address: ref('Address'),
+            chainId: { type: 'integer' },
+            valid: { type: 'boolean', description: 'Whether execute(calls, signature) would accept the signature now' },
+            signer: { ...ref('Address'), nullable: true, description: 'Address recovered from ethSignedMessageHash' },
+            reason: { type: 'string', nullable: true, description: 'Why it is not valid, naming the encoding mistake when one matches' },
+            nonce: { type: 'string' },
+            digest: ref('Hash'),
+            ethSignedMessageHash: ref('Hash')
+        }
+    },
+    Policy: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            policy: { type: 'object', description: 'Sponsorship policy of the chain, and the account\'s usage today when address is given' }
+        }
+    },
+    Health: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            status: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            environment: { type: 'object' }
+        }
+    },
+    LocalChain: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            chainId: { type: 'integer', example: 31337 },
+            rpcUrl: { type: 'string', example: 'http://127.0.0.1:8545' },
+            mnemonic: { type: 'string' },
+            implementation: ref('Address'),
+            token: {
+                type: 'object',
+                properties: {
+                    address: ref('Address'),
+                    name: { type: 'string' },
+                    symbol: { type: 'string' },
+                    decimals: { type: 'integer' }
+                }
+            },
+            sponsor: ref('Address'),
+            accounts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        address: ref('Address'),
+                        privateKey: { type: 'string' },
+                        balance: { type: 'string', description: 'ETH' },
+                        tokenBalance: { type: 'string', description: 'Mock tokens' }
+                    }
+                }
+            }
+        }
+    },
+    FoundryVersion: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            version: { type: 'string' }
+        }
+    }
+};
+
+const paths = {
+    '/api/health': {
+        get: {
+            operationId: 'getHealth',
+            summary: 'Server status and configuration',
+            tags: ['Server'],
+            responses: { 200: jsonResponse('Server status', ref('Health')) }
+        }
+    },
+    '/api/add-delegation': {
+        post: {
+            operationId: 'addDelegation',
+            summary: 'Delegate an account to an implementation (Type 4 transaction)',
+            tags: ['Delegation'],
+            requestBody: jsonBody(ref('AddDelegationRequest')),
+            responses: responses(JOB_ACCEPTED)
+        }
+    },
+    '/api/remove-delegation': {
+        post: {
+            operationId: 'removeDelegation',
+            summary: 'Remove the delegation of an account (authorization to address(0))',
+            tags: ['Delegation'],
+            requestBody: jsonBody(ref('RemoveDelegationRequest')),
+            responses: responses(JOB_ACCEPTED)
+        }
+    },
+    '/api/send-native': {
+        post: {
+            operationId: 'sendNative',
+            summary: 'Send ETH from a delegated account',
+            tags: ['Transactions'],
+            requestBody: jsonBody(ref('SendNativeRequest')),
+            responses: responses({ ...JOB_ACCEPTED, 422: { $ref: '#/components/responses/Error' } })
+        }
+    },
+    '/api/send-token': {
+        post: {
+            operationId: 'sendToken',
+            summary: 'Send ERC20 tokens from a delegated account',
+            tags: ['Transactions'],
+            requestBody: jsonBody(ref('SendTokenRequest')),
+            responses: responses({ ...JOB_ACCEPTED, 422: { $ref: '#/components/responses/Error' } })
+        }
+    },
+    '/api/batch': {
+        post: {
+            operationId: 'sendBatch',
+            summary: 'Execute a batch of calls from a delegated account',
+            tags: ['Transactions'],
+            requestBody: jsonBody(ref('BatchRequest')),
+            responses: responses({ ...JOB_ACCEPTED, 422: { $ref: '#/components/responses/Error' } })
+        }
+    },
+    '/api/relay': {
+        post: {
+            operationId: 'relayBatch',
+            summary: 'Relay a batch the account signed, gas paid by the sponsor',
+            tags: ['Transactions'],
+            requestBody: jsonBody(ref('RelayRequest')),
+            responses: responses({ ...JOB_ACCEPTED, 422: { $ref: '#/components/responses/Error' } })
+        }
+    },
+    '/api/simulate': {
+        post: {
+            operationId: 'simulateBatch',
+            summary: 'Simulate a batch without broadcasting it',
+            tags: ['Transactions'],
+            requestBody: jsonBody(ref('SimulateRequest')),
+            responses: responses({ 200: jsonResponse('Simulation result (also when the batch would revert)', ref('Simulation')) })
+        }
+    },
+    '/api/batch/digest': {
+        post: {
+            operationId: 'batchDigest',
+            summary: 'Digest an account signs for execute(calls, signature) at its current nonce',
+            tags: ['Transactions'],
+            requestBody: jsonBody(ref('BatchDigestRequest')),
+            responses: responses({ 200: jsonResponse('Nonce, message and hashes to sign', ref('BatchDigest')) })
+        }
+    },
+    '/api/batch/verify': {
+        post: {
+            operationId: 'verifyBatch',
+            summary: 'Check a batch signature against the account\'s current nonce',
+            tags: ['Transactions'],
+            requestBody: jsonBody(ref('VerifyBatchRequest')),
+            responses: responses({ 200: jsonResponse('Signature check (also when it is not valid)', ref('BatchSignatureCheck')) })
+        }
+    },
+    '/api/check-delegation/{address}': {
+        get: {
+            operationId: 'checkDelegation',
+            summary: 'Delegation status and nonces of an account',
+            tags: ['Delegation'],
+            parameters: [
+                pathParameter('address', ref('Address'), 'Account'),
+                queryParameter('chainId', ref('ChainId'))
+            ],
+            responses: responses({ 200: jsonResponse('Delegation status', ref('Delegation')) })
+        }
+    },
+    '/api/prepare-delegation/{address}': {
+        get: {
+            operationId: 'prepareDelegation',
+            summary: 'Authorization tuple to sign, with the nonce for its submitter',
+            tags: ['Delegation'],
+            parameters: [
+                pathParameter('address', ref('Address'), 'Account'),
+                queryParameter('chainId', ref('ChainId')),
+                queryParameter('implementationAddress', ref('Address'), 'Default: the chain\'s BatchCallAndSponsor deployment'),
+                queryParameter('submitter', { type: 'string', enum: ['sponsor', 'self'], default: 'sponsor' }, 'Who sends the Type 4 transaction'),
+                queryParameter('allowUnauditedImplementation', ref('AllowUnauditedImplementation'))
+            ],
+            responses: responses({
+                200: jsonResponse('Authorization to sign', ref('PreparedDelegation')),
+                403: { $ref: '#/components/responses/Forbidden' }
+            })
+        }
+    },
+    '/api/tokens/{address}': {
+        get: {
+            operationId: 'getToken',
+            summary: 'ERC20 token metadata, and the balance of owner',
+            tags: ['Tokens'],
+            parameters: [
+                pathParameter('address', ref('Address'), 'Token'),
+                queryParameter('chainId', ref('ChainId')),
+                queryParameter('owner', ref('Address'), 'Account to read the balance of')
+            ],
+            responses: responses({ 200: jsonResponse('Token metadata', ref('Token')) })
+        }
+    },
+    '/api/implementations': {
+        get: {
+            operationId: 'listImplementations',
+            summary: 'BatchCallAndSponsor deployments per chain, checked on chain',
+            tags: ['Implementations'],
+            parameters: [queryParameter('chainId', ref('ChainId'), 'Only this chain')],
+            responses: responses({ 200: jsonResponse('Deployments', ref('ImplementationList')) })
+        }
+    },
+    '/api/implementations/deploy': {
+        post: {
+            operationId: 'deployImplementation',
+            summary: 'Deploy BatchCallAndSponsor from the sponsor key and record it in the address book',
+            tags: ['Implementations'],
+            requestBody: jsonBody(ref('DeployImplementationRequest')),
+            responses: responses({ ...JOB_ACCEPTED, 409: { $ref: '#/components/responses/Error' } })
+        }
+    },
+    '/api/policy': {
+        get: {
+            operationId: 'getPolicy',
+            summary: 'Sponsorship policy, and an account\'s usage today',
+            tags: ['Server'],
+            parameters: [
+                queryParameter('chainId', ref('ChainId')),
+                queryParameter('address', ref('Address'), 'Account to report the usage of')
+            ],
+            responses: responses({ 200: jsonResponse('Sponsorship policy', ref('Policy')) })
+        }
+    },
+    '/api/transactions': {
+        get: {
+            operationId: 'listTransactions',
+            summary: 'Transaction history, newest first',
+            tags: ['History'],
+            parameters: [
+                queryParameter('address', ref('Address'), 'Account'),
+                queryParameter('chainId', ref('ChainId')),
+                queryParameter('status', { type: 'string', enum: JOB_STATUSES }),
+                queryParameter('from', { type: 'string', format: 'timestamp' }, 'ISO date or unix seconds'),
+                queryParameter('to', { type: 'string', format: 'timestamp' }, 'ISO date or unix seconds'),
+                queryParameter('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }),
+                queryParameter('offset', { type: 'integer', minimum: 0, default: 0 })
+            ],
+            responses: responses({ 200: jsonResponse('One page of transactions', ref('TransactionPage')) })
+        }
+    },
+    '/api/transactions/{hash}': {
+        get: {
+            operationId: 'getTransaction',
+            summary: 'Look up a transaction by hash (or by the hash of one it replaced)',
+            tags: ['History'],
+            parameters: [pathParameter('hash', ref('Hash'), 'Transaction hash')],
+            responses: responses({
+                200: jsonResponse('Transaction', ref('TransactionResponse')),
+                404: { $ref: '#/components/responses/NotFound' }
+            })
+        }
+    },
+    '/api/transactions/{hash}/speed-up': {
+        post: {
+            operationId: 'speedUpTransaction',
+            summary: 'Re-broadcast a pending sponsor transaction with higher fees',
+            tags: ['History'],
+            parameters: [pathParameter('hash', ref('Hash'), 'Transaction hash')],
+            responses: responses({
+                200: jsonResponse('Replacement broadcast', ref('Replacement')),
+                404: { $ref: '#/components/responses/NotFound' },
+                409: { $ref: '#/components/responses/Error' }
+            })
+        }
+    },
+    '/api/transactions/{hash}/cancel': {
+        post: {
+            operationId: 'cancelTransaction',
+            summary: 'Replace a pending sponsor transaction with a zero-value self-send',
+            tags: ['History'],
+            parameters: [pathParameter('hash', ref('Hash'), 'Transaction hash')],
+            responses: responses({
+                200: jsonResponse('Cancellation broadcast', ref('Replacement')),
+                404: { $ref: '#/components/responses/NotFound' },
+                409: { $ref: '#/components/responses/Error' }
+            })
+        }
+    },
+    '/api/jobs/{id}': {
+        get: {
+            operationId: 'getJob',
+            summary: 'Status and result of a job',
+            tags: ['Jobs'],
+            parameters: [pathParameter('id', { type: 'string', format: 'uuid' }, 'Job id')],
+            responses: responses({
+                200: jsonResponse('Job', ref('JobResponse')),
+                404: { $ref: '#/components/responses/NotFound' }
+            })
+        },
+        delete: {
+            operationId: 'cancelJob',
+            summary: 'Cancel a job that has not broadcast yet',
+            tags: ['Jobs'],
+            parameters: [pathParameter('id', { type: 'string', format: 'uuid' }, 'Job id')],
+            responses: responses({
+                200: jsonResponse('Job cancelled', ref('JobResponse')),
+                404: { $ref: '#/components/responses/NotFound' },
+                409: { $ref: '#/components/responses/Error' }
+            })
+        }
+    },
+    '/api/foundry-version': {
+        get: {
+            operationId: 'getFoundryVersion',
+            summary: 'Installed Foundry version (forge mode)',
+            tags: ['Server'],
+            responses: responses({
+                200: jsonResponse('forge --version', ref('FoundryVersion')),
+                503: { $ref: '#/components/responses/Error' }
+            })
+        }
+    },
+    '/api/local/accounts': {
+        get: {
+            operationId: 'getLocalAccounts',
+            summary: 'Funded anvil accounts and the deployed contracts (only with --local)',
+            tags: ['Server'],
+            responses: responses({
+                200: jsonResponse('Local chain', ref('LocalChain')),
+                404: { $ref: '#/components/responses/NotFound' }
+            })
+        }
+    },
+    '/api/openapi.json': {
+        get: {
+            operationId: 'getOpenApi',
+            summary: 'This document',
+            tags: ['Server'],
+            responses: { 200: jsonResponse('OpenAPI document', { type: 'object' }) }
+        }
+    },
+    '/api/docs': {
+        get: {
+            operationId: 'getDocs',
+            summary: 'Interactive documentation of this document',
+            tags: ['Server'],
+            responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+        }
+    }
+};
+
+const document = {
+    openapi: '3.0.3',
+    info: {
+        title: 'EIP-7702 Gasless Transactions API',
+        version: version,
+        description: 'Delegates EOAs to BatchCallAndSponsor and sends their batches, gas paid by a sponsor. '
+            + 'State-changing requests are queued as jobs: they answer 202 with a statusUrl to poll. '
+            + 'API keys with a secret also sign each request: X-Timestamp (unix seconds) and '
+            + 'X-Signature = hex(HMAC-SHA256(secret, `${timestamp}.${method}.${url}.${body}`)).'
+    },
+    servers: [{ url: '/' }],
+    tags: [
+        { name: 'Delegation' },
+        { name: 'Transactions' },
+        { name: 'Jobs' },
+        { name: 'History' },
+        { name: 'Tokens' },
+        { name: 'Implementations' },
+        { name: 'Server' }
+    ],
+    // Required for POST and DELETE when the server has API keys; GET requests may omit it
+    security: [{ ApiKey: [] }, {}],
+    paths: paths,
+    components: {
+        securitySchemes: {
+            ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        schemas: schemas,
+        responses: {
+            BadRequest: jsonResponse('Invalid request', ref('ErrorResponse')),
+            Unauthorized: jsonResponse('Missing or invalid API key or request signature', ref('ErrorResponse')),
+            Forbidden: jsonResponse('Rejected by the sponsorship policy or the API key\'s origins', ref('ErrorResponse')),
+            NotFound: jsonResponse('Not found', ref('ErrorResponse')),
+            RateLimited: jsonResponse('Rate limit exceeded', ref('ErrorResponse')),
+            Error: jsonResponse('Error, see code and retryable', ref('ErrorResponse'))
+        }
+    }
+};
+
+// Swagger UI from its CDN, rendering the document above
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${document.info.title}</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>
+`;
+
+/**
+ * The request schemas of an operation: { params, query, body }, each a JSON
+ * schema or null. Component $refs resolve against the whole document.
+ */
+function requestSchemas(operationId) {
+    for (const item of Object.values(paths)) {
+        for (const operation of Object.values(item)) {
+            if (operation.operationId !== operationId) {
+                continue;
+            }
+
+            const parameters = operation.parameters || [];
+            const objectOf = location => {
+                const selected = parameters.filter(parameter => parameter.in === location);
+                if (selected.length === 0) {
+                    return null;
+                }
+                return {
+                    type: 'object',
+                    required: selected.filter(parameter => parameter.required).map(parameter => parameter.name),
+                    properties: Object.fromEntries(selected.map(parameter => [parameter.name, parameter.schema]))
+                };
+            };
+
+            return {
+                params: objectOf('path'),
+                query: objectOf('query'),
+                body: operation.requestBody ? operation.requestBody.content['application/json'].schema : null
+            };
+        }
+    }
+    throw new Error(`Unknown operation ${operationId}`);
+}
+
+module.exports = {
+    document,
+    DOCS_PAGE,
+    requestSchemas
+};
@@ -0,0 +1,288 @@
+/**
+ * Sponsorship Policy
+ * Rules for what the sponsor key pays for: allowed targets and selectors,
+ * native value caps, token and implementation allowlists, and per-account
+ * daily gas / ETH budgets. Violations carry a machine-readable reason code.
+ */
+
+const { ethers } = require('ethers');
+const path = require('path');
+const fs = require('fs');
+const history = require('./history');
+
+const POLICY_FILE = path.resolve(__dirname, process.env.POLICY_FILE || 'policy.json');
+
+// ERC20 calls whose target must be on the token allowlist
+const ERC20_SELECTORS = new ethers.Interface([
+    'function transfer(address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+    'function transferFrom(address from, address to, uint256 amount)'
+]).fragments.map(fragment => fragment.selector);
+
+// With no policy file only the implementation rule applies
+const DEFAULT_POLICY = {
+    implementations: 'known'
+};
+
+/**
+ * Policy file format (every rule is optional; `chains` overrides per chain id):
+ * {
+ *   "allowNativeTransfers": true,
+ *   "targets": { "0x...": { "selectors": ["transfer(address,uint256)", "0x095ea7b3"] | "*" } },
+ *   "tokens": ["0x..."],
+ *   "maxValuePerCall": "<wei>",
+ *   "maxValuePerBatch": "<wei>",
+ *   "dailyGasBudget": "<gas units>",
+ *   "dailyEthBudget": "<wei of sponsored fees plus the native value sent>",
+ *   "implementations": "known" | ["0x..."],
+ *   "chains": { "11155111": { ... } }
+ * }
+ */
+function loadPolicy() {
+    if (!fs.existsSync(POLICY_FILE)) {
+        return DEFAULT_POLICY;
+    }
+    return { ...DEFAULT_POLICY, ...JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8')) };
+}
+
+const basePolicy = loadPolicy();
+
+// `${chainId}:${account}` -> { day, gasUsed, feeWei, valueWei }; rebuilt from the history on startup
+const usage = new Map();
+
+// Cost of a submission that is not estimated: only what was already spent counts
+const NO_COST = { gas: 0n, fee: 0n, value: 0n };
+
+function toSelector(entry) {
+    return entry.startsWith('0x') ? entry.toLowerCase() : ethers.id(entry.replace(/\s/g, '')).slice(0, 10);
+}
+
+function lowerAll(addresses) {
+    return addresses.map(address => address.toLowerCase());
+}
+
+/**
+ * Effective policy for a chain, normalized for lookups
+ */
+function getPolicy(chainId) {
+    const { chains: chainOverrides, ...shared } = basePolicy;
+    const raw = { ...shared, ...((chainOverrides || {})[chainId] || {}) };
+
+    let targets = null;
+    if (raw.targets) {
+        targets = {};
+        for (const [address, rule] of Object.entries(raw.targets)) {
+            const selectors = rule && Array.isArray(rule.selectors) ? rule.selectors.map(toSelector) : '*';
+            targets[address.toLowerCase()] = selectors;
+        }
+    }
+
+    return {
+        allowNativeTransfers: raw.allowNativeTransfers !== false,
+        targets: targets,
+        tokens: Array.isArray(raw.tokens) ? lowerAll(raw.tokens) : null,
+        maxValuePerCall: raw.maxValuePerCall !== undefined ? BigInt(raw.maxValuePerCall) : null,
+        maxValuePerBatch: raw.maxValuePerBatch !== undefined ? BigInt(raw.maxValuePerBatch) : null,
+        dailyGasBudget: raw.dailyGasBudget !== undefined ? BigInt(raw.dailyGasBudget) : null,
+        dailyEthBudget: raw.dailyEthBudget !== undefined ? BigInt(raw.dailyEthBudget) : null,
+        implementations: Array.isArray(raw.implementations) ? lowerAll(raw.implementations) : raw.implementations || 'known'
+    };
+}
+
+function violation(code, error) {
+    return { code, error };
+}
+
+/**
+ * Check a batch of normalized calls. Returns null or a violation { code, error }.
+ */
+function checkCalls(chainId, calls) {
+    const policy = getPolicy(chainId);
+    let batchValue = 0n;
+
+    for (let i = 0; i < calls.length; i++) {
+        const call = calls[i];
+        const to = call.to.toLowerCase();
+        const value = BigInt(call.value);
+        const selector = call.data.length >= 10 ? call.data.slice(0, 10).toLowerCase() : null;
+        batchValue += value;
+
+        if (policy.maxValuePerCall !== null && value > policy.maxValuePerCall) {
+            return violation('VALUE_PER_CALL_EXCEEDED', `calls[${i}] sends ${ethers.formatEther(value)} ETH, the limit per call is ${ethers.formatEther(policy.maxValuePerCall)} ETH`);
+        }
+
+        if (call.data === '0x') {
+            if (!policy.allowNativeTransfers && !(policy.targets && policy.targets[to])) {
+                return violation('TARGET_NOT_ALLOWED', `calls[${i}]: native transfers to ${call.to} are not sponsored`);
+            }
+            continue;
+        }
+
+        if (selector && ERC20_SELECTORS.includes(selector) && policy.tokens && !policy.tokens.includes(to)) {
+            return violation('TOKEN_NOT_ALLOWED', `calls[${i}]: token ${call.to} is not on the token allowlist`);
+        }
+
+        if (policy.targets) {
+            const allowedSelectors = policy.targets[to];
+            const isAllowlistedToken = policy.tokens && policy.tokens.includes(to) && ERC20_SELECTORS.includes(selector);
+
+            if (!allowedSelectors && !isAllowlistedToken) {
+                return violation('TARGET_NOT_ALLOWED', `calls[${i}]: contract ${call.to} is not on the target allowlist`);
+            }
+            if (allowedSelectors && allowedSelectors !== '*' && !allowedSelectors.includes(selector) && !isAllowlistedToken) {
+                return violation('SELECTOR_NOT_ALLOWED', `calls[${i}]: function ${selector} is not allowed on ${call.to}`);
+            }
+        }
+    }
+
+    if (policy.maxValuePerBatch !== null && batchValue > policy.maxValuePerBatch) {
+        return violation('VALUE_PER_BATCH_EXCEEDED', `Batch sends ${ethers.formatEther(batchValue)} ETH, the limit per batch is ${ethers.formatEther(policy.maxValuePerBatch)} ETH`);
+    }
+
+    return null;
+}
+
+/**
+ * Check a token against the token allowlist
+ */
+function checkToken(chainId, tokenAddress) {
+    const policy = getPolicy(chainId);
+    if (policy.tokens && !policy.tokens.includes(tokenAddress.toLowerCase())) {
+        return violation('TOKEN_NOT_ALLOWED', `Token ${tokenAddress} is not on the token allowlist`);
+    }
+    return null;
+}
+
+/**
+ * Check a delegation target. 'known' allows only the chain's BatchCallAndSponsor
+ * from the address book; address(0) (removing a delegation) is always allowed.
+ */
+function checkImplementation(chain, implementation) {
+    if (implementation.toLowerCase() === ethers.ZeroAddress) {
+        return null;
+    }
+
+    const policy = getPolicy(chain.chainId);
+    const allowed = policy.implementations === 'known'
+        ? (chain.implementation ? [chain.implementation.toLowerCase()] : [])
+        : policy.implementations;
+
+    if (!allowed.includes(implementation.toLowerCase())) {
+        return violation('IMPLEMENTATION_NOT_ALLOWED', `Delegation to ${implementation} is not allowed: not the known BatchCallAndSponsor on chain ${chain.chainId}`);
+    }
+    return null;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * What an account has been sponsored today (UTC)
+ */
+function getUsage(chainId, account) {
+    const entry = usage.get(`${chainId}:${account.toLowerCase()}`);
+    if (!entry || entry.day !== today()) {
+        return { day: today(), gasUsed: 0n, feeWei: 0n, valueWei: 0n };
+    }
+    return entry;
+}
+
+/**
+ * Check the account's daily budgets before sponsoring another transaction.
+ * `cost` ({ gas, fee, value }, see relay.estimateSponsorCost) is what the transaction
+ * is expected to use: it is admitted only if the budgets still cover it.
+ */
+function checkBudget(chainId, account, cost = NO_COST) {
+    const policy = getPolicy(chainId);
+    const spent = getUsage(chainId, account);
+
+    if (policy.dailyGasBudget !== null) {
+        const gas = spent.gasUsed + cost.gas;
+        if (spent.gasUsed >= policy.dailyGasBudget || gas > policy.dailyGasBudget) {
+            return violation('DAILY_GAS_BUDGET_EXCEEDED', `Daily gas budget of ${policy.dailyGasBudget} exceeded for ${account}: ${spent.gasUsed} used, this transaction needs about ${cost.gas}`);
+        }
+    }
+
+    if (policy.dailyEthBudget !== null) {
+        const alreadySpent = spent.feeWei + spent.valueWei;
+        const eth = alreadySpent + cost.fee + cost.value;
+        if (alreadySpent >= policy.dailyEthBudget || eth > policy.dailyEthBudget) {
+            return violation('DAILY_ETH_BUDGET_EXCEEDED', `Daily budget of ${ethers.formatEther(policy.dailyEthBudget)} ETH exceeded for ${account}: ${ethers.formatEther(alreadySpent)} ETH spent, this transaction needs about ${ethers.formatEther(cost.fee + cost.value)} ETH`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Charge a mined sponsored transaction (receipt summary) to the account's budget,
+ * with the native value its calls sent (0 when it reverted)
+ */
+function recordSpend(chainId, account, receipt, value = 0n) {
+    const spent = getUsage(chainId, account);
+    usage.set(`${chainId}:${account.toLowerCase()}`, {
+        day: spent.day,
+        gasUsed: spent.gasUsed + BigInt(receipt.gasUsed),
+        feeWei: spent.feeWei + BigInt(receipt.fee),
+        valueWei: spent.valueWei + BigInt(value)
+    });
+}
+
+/**
+ * Restore today's usage from the transaction history, so a restart does not reset the budgets
+ */
+function loadUsage() {
+    for (const record of history.sponsoredOn(today())) {
+        const value = record.status === 'succeeded'
+            ? record.calls.reduce((sum, call) => sum + BigInt(call.value), 0n)
+            : 0n;
+        recordSpend(record.chainId, record.address, record, value);
+    }
+}
+
+loadUsage();
+
+/**
+ * JSON view of the effective policy, and of an account's usage when given
+ */
+function describe(chain, account = null) {
+    const policy = getPolicy(chain.chainId);
+    const toString = value => (value === null ? null : value.toString());
+
+    const result = {
+        chainId: chain.chainId,
+        allowNativeTransfers: policy.allowNativeTransfers,
+        targets: policy.targets,
+        tokens: policy.tokens,
+        maxValuePerCall: toString(policy.maxValuePerCall),
+        maxValuePerBatch: toString(policy.maxValuePerBatch),
+        dailyGasBudget: toString(policy.dailyGasBudget),
+        dailyEthBudget: toString(policy.dailyEthBudget),
+        implementations: policy.implementations === 'known'
+            ? (chain.implementation ? [chain.implementation] : [])
+            : policy.implementations
+    };
+
+    if (account) {
+        const spent = getUsage(chain.chainId, account);
+        result.usage = {
+            account: account,
+            day: spent.day,
+            gasUsed: spent.gasUsed.toString(),
+            feeWei: spent.feeWei.toString(),
+            valueWei: spent.valueWei.toString()
+        };
+    }
+
+    return result;
+}
+
+module.exports = {
+    POLICY_FILE,
+    checkCalls,
+    checkToken,
+    checkImplementation,
+    checkBudget,
+    recordSpend,
+    describe
+};
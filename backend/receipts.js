@@ -0,0 +1,181 @@
+/**
+ * Receipt Tracking
+ * Waits for transaction receipts and decodes BatchCallAndSponsor events
+ */
+
+const { ethers } = require('ethers');
+const { getProvider, batchInterface } = require('./eip7702');
+const nonces = require('./nonces');
+const { logger } = require('./logger');
+
+// Confirmations to wait for before a transaction is reported as final
+const CONFIRMATIONS_SETTING = (process.env.CONFIRMATIONS || '1').trim();
+const CONFIRMATIONS = Number.parseInt(CONFIRMATIONS_SETTING, 10);
+
+if (!/^[0-9]+$/.test(CONFIRMATIONS_SETTING) || CONFIRMATIONS < 1) {
+    throw new Error(`CONFIRMATIONS: ${CONFIRMATIONS_SETTING} is not a whole number of at least 1`);
+}
+
+// Give up waiting for a receipt after this long
+const RECEIPT_TIMEOUT_MS = Number(process.env.RECEIPT_TIMEOUT_MS || 5 * 60 * 1000);
+
+// How often sponsor transactions that may be replaced are polled
+const REPLACEABLE_POLL_INTERVAL_MS = 2000;
+
+// How long a just-broadcast transaction may take to show up on a lagging or load-balanced RPC
+const TX_LOOKUP_TIMEOUT_MS = Number(process.env.TX_LOOKUP_TIMEOUT_MS || 60 * 1000);
+const TX_LOOKUP_INTERVAL_MS = 1000;
+
+function decodeCall(call) {
+    return {
+        to: call.to,
+        value: call.value.toString(),
+        data: call.data
+    };
+}
+
+/**
+ * Decode BatchExecuted / CallExecuted logs.
+ * Both are emitted by the delegated EOA itself, so log.address is the account.
+ */
+function decodeBatchEvents(logs) {
+    const batches = [];
+    const calls = [];
+
+    for (const log of logs) {
+        let parsed;
+        try {
+            parsed = batchInterface.parseLog({ topics: log.topics, data: log.data });
+        } catch (error) {
+            continue;
+        }
+        if (!parsed) {
+            continue;
+        }
+
+        if (parsed.name === 'BatchExecuted') {
+            batches.push({
+                account: log.address,
+                logIndex: log.index,
+                nonce: parsed.args.nonce.toString(),
+                calls: parsed.args.calls.map(decodeCall)
+            });
+        } else if (parsed.name === 'CallExecuted') {
+            calls.push({
+                account: log.address,
+                logIndex: log.index,
+                sender: parsed.args.sender,
+                to: parsed.args.to,
+                value: parsed.args.value.toString(),
+                data: parsed.args.data
+            });
+        }
+    }
+
+    return { batches, calls };
+}
+
+/**
+ * Plain JSON summary of a receipt
+ */
+function summarizeReceipt(receipt, confirmations) {
+    const effectiveGasPrice = receipt.gasPrice;
+
+    return {
+        transactionHash: receipt.hash,
+        status: receipt.status === 1 ? 'success' : 'reverted',
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        confirmations: confirmations,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: effectiveGasPrice.toString(),
+        effectiveGasPriceGwei: ethers.formatUnits(effectiveGasPrice, 'gwei'),
+        fee: (receipt.gasUsed * effectiveGasPrice).toString(),
+        feeEth: ethers.formatEther(receipt.gasUsed * effectiveGasPrice),
+        events: decodeBatchEvents(receipt.logs)
+    };
+}
+
+/**
+ * Wait for the receipt of a sponsor transaction or of whichever speed-up or
+ * cancellation (nonces.js) replaced it. The timeout restarts on every replacement.
+ */
+async function waitForReplaceable(provider, txHash, confirmations) {
+    for (;;) {
+        for (const hash of nonces.transactionHashes(txHash)) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (receipt && await receipt.confirmations() >= confirmations) {
+                return receipt;
+            }
+        }
+
+        if (Date.now() - nonces.lastBroadcastAt(txHash) > RECEIPT_TIMEOUT_MS) {
+            return null;
+        }
+        await new Promise(resolve => setTimeout(resolve, REPLACEABLE_POLL_INTERVAL_MS));
+    }
+}
+
+/**
+ * Look up a transaction that was just broadcast. The node that answers may not
+ * have indexed it yet, so it is polled for up to TX_LOOKUP_TIMEOUT_MS (any of
+ * its replacements counts too). Returns null when it never shows up.
+ */
+async function findTransaction(provider, txHash) {
+    const startedAt = Date.now();
+    for (;;) {
+        for (const hash of nonces.transactionHashes(txHash)) {
+            const tx = await provider.getTransaction(hash);
+            if (tx) {
+                return tx;
+            }
+        }
+
+        if (Date.now() - startedAt > TX_LOOKUP_TIMEOUT_MS) {
+            return null;
+        }
+        await new Promise(resolve => setTimeout(resolve, TX_LOOKUP_INTERVAL_MS));
+    }
+}
+
+/**
+ * Check that a transaction was really sent by the expected account, then wait
+ * for its receipt with the configured number of confirmations.
+ * Resolves with the receipt summary; reverted transactions resolve too. Its
+ * transactionHash differs from txHash when a replacement was mined instead.
+ */
+async function confirmTransaction(chain, txHash, expectedFrom, confirmations = CONFIRMATIONS) {
+    if (!txHash) {
+        throw new Error('Could not determine the transaction hash of this run');
+    }
+
+    const provider = getProvider(chain.rpcUrl);
+    const tx = await findTransaction(provider, txHash);
+    if (!tx) {
+        throw new Error(`Transaction ${txHash} not found on chain ${chain.chainId} after ${TX_LOOKUP_TIMEOUT_MS / 1000}s`);
+    }
+    if (tx.from.toLowerCase() !== expectedFrom.toLowerCase()) {
+        throw new Error(`Transaction ${txHash} was sent by ${tx.from}, expected ${expectedFrom}`);
+    }
+
+    logger.info(`⏳ Waiting for ${confirmations} confirmation(s): ${txHash}`);
+    const receipt = nonces.lastBroadcastAt(txHash) !== null
+        ? await waitForReplaceable(provider, txHash, confirmations)
+        : await provider.waitForTransaction(txHash, confirmations, RECEIPT_TIMEOUT_MS);
+    if (!receipt) {
+        throw new Error(`Timed out waiting for receipt of ${txHash}`);
+    }
+
+    logger.info(receipt.status === 1
+        ? `✅ Confirmed in block ${receipt.blockNumber}`
+        : `❌ Reverted in block ${receipt.blockNumber}`);
+
+    return summarizeReceipt(receipt, confirmations);
+}
+
+module.exports = {
+    CONFIRMATIONS,
+    decodeBatchEvents,
+    summarizeReceipt,
+    confirmTransaction
+};
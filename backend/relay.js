@@ -0,0 +1,365 @@
+/**
+ * Sponsored Relay
+ * Verifies authorizations and batch signatures produced on the client and
+ * submits them from the sponsor key, so users never hand over a private key
+ */
+
+const { ethers } = require('ethers');
+const eip7702 = require('./eip7702');
+const chains = require('./chains');
+const jobs = require('./jobs');
+const locks = require('./locks');
+const receipts = require('./receipts');
+const policy = require('./policy');
+const batchCalls = require('./calls');
+const nonces = require('./nonces');
+const fees = require('./fees');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+/**
+ * The key that pays for relayed transactions, or null when relaying is disabled
+ */
+function getSponsorKey() {
+    return process.env.SPONSOR_PRIVATE_KEY || null;
+}
+
+/**
+ * Check an authorization tuple signed by `account` for submission by the sponsor.
+ * A third party submits it, so its nonce must be the account's current nonce.
+ * Returns { authorization } or { error, code }.
+ */
+async function verifyAuthorization(chain, account, authorization) {
+    let signedAuthorization;
+    try {
+        signedAuthorization = eip7702.parseAuthorization(authorization);
+    } catch (error) {
+        return { error: 'Invalid authorization format', code: 'INVALID_REQUEST' };
+    }
+
+    let authority;
+    try {
+        authority = eip7702.recoverAuthority(signedAuthorization);
+    } catch (error) {
+        return { error: 'Invalid authorization signature', code: 'INVALID_SIGNATURE' };
+    }
+    if (authority.toLowerCase() !== account.toLowerCase()) {
+        return { error: 'Authorization is not signed by the account', code: 'INVALID_SIGNATURE' };
+    }
+
+    if (signedAuthorization.chainId !== 0n && signedAuthorization.chainId !== BigInt(chain.chainId)) {
+        return { error: `Authorization chainId ${signedAuthorization.chainId} does not match network ${chain.chainId}`, code: 'WRONG_CHAIN' };
+    }
+
+    const eoaNonce = await eip7702.getProvider(chain.rpcUrl).getTransactionCount(account, 'pending');
+    if (signedAuthorization.nonce !== BigInt(eoaNonce)) {
+        const hint = signedAuthorization.nonce === BigInt(eoaNonce) + 1n
+            ? ' (nonce + 1 is only for self-submitted transactions: the sponsor submits this one)'
+            : '';
+        return { error: `Authorization nonce ${signedAuthorization.nonce} does not match account nonce ${eoaNonce}${hint}`, code: 'NONCE_TOO_LOW' };
+    }
+
+    return { authorization: signedAuthorization };
+}
+
+/**
+ * The authorization tuple `account` has to sign to delegate to `implementation`,
+ * with the nonce for whoever submits the Type 4 transaction: the current nonce
+ * when the sponsor (a third party) submits it, the current nonce + 1 when the
+ * account submits it itself (its nonce is bumped before the authorization list
+ * is processed). Also returns the digest to sign and the BatchCallAndSponsor nonce
+ * a first execute(calls, signature) bundled with the authorization is signed for.
+ */
+async function prepareAuthorization(chain, account, implementation, submitter = 'sponsor') {
+    const provider = eip7702.getProvider(chain.rpcUrl);
+    const eoaNonce = await provider.getTransactionCount(account, 'pending');
+
+    const authorization = {
+        chainId: chain.chainId,
+        address: implementation,
+        nonce: submitter === 'self' ? eoaNonce + 1 : eoaNonce
+    };
+
+    let batchNonce = null;
+    try {
+        batchNonce = (await eip7702.readBatchNonce(chain.rpcUrl, account, implementation)).toString();
+    } catch (error) {
+        logger.warn('⚠️ Could not read the batch nonce:', error.shortMessage || error.message);
+    }
+
+    return {
+        submitter: submitter,
+        eoaNonce: eoaNonce,
+        authorization: authorization,
+        // Signed as is (no EIP-191 prefix): keccak256(0x05 || rlp([chainId, address, nonce]))
+        digest: ethers.hashAuthorization(authorization),
+        batchNonce: batchNonce
+    };
+}
+
+/**
+ * Check that `account` signed `calls` for its current batch nonce.
+ * Without an authorization the account must already be delegated.
+ * Returns { nonce } or { error, code }.
+ */
+async function verifyBatchSignature(chain, account, calls, signature, signedAuthorization = null) {
+    if (typeof signature !== 'string' || !signature.match(/^0x[a-fA-F0-9]{130}$/)) {
+        return { error: 'Invalid signature format (must be 65 bytes hex)', code: 'INVALID_REQUEST' };
+    }
+
+    if (!signedAuthorization && await eip7702.getProvider(chain.rpcUrl).getCode(account) === '0x') {
+        return { error: 'Account is not delegated: include a signed authorization', code: 'DELEGATION_MISSING' };
+    }
+
+    const nonce = await eip7702.readBatchNonce(
+        chain.rpcUrl,
+        account,
+        signedAuthorization ? signedAuthorization.address : null
+    );
+    let signer;
+    try {
+        signer = eip7702.recoverBatchSigner(nonce, calls, signature);
+    } catch (error) {
+        return { error: 'Invalid signature: ' + (error.shortMessage || error.message), code: 'INVALID_SIGNATURE' };
+    }
+    if (signer.toLowerCase() !== account.toLowerCase()) {
+        return { error: 'Invalid signature: batch is not signed by the account for nonce ' + nonce, code: 'INVALID_SIGNATURE' };
+    }
+
+    return { nonce };
+}
+
+/**
+ * What `account` has to sign for `calls` to be relayed with execute(calls, signature),
+ * at its current BatchCallAndSponsor nonce. An account that is not delegated yet
+ * reads the nonce from `implementation` (default: the chain's deployment), which
+ * is what a batch bundled with its authorization is checked against.
+ * Returns { nonce, encodedMessage, digest, personalSignMessage, ethSignedMessageHash, ... }
+ * or { error, code }.
+ */
+async function prepareBatch(chain, account, calls, implementation = null) {
+    const code = await eip7702.getProvider(chain.rpcUrl).getCode(account);
+    const delegated = code !== '0x';
+    const nonceSource = delegated ? null : implementation || chain.implementation;
+
+    if (!delegated && !nonceSource) {
+        return {
+            error: `Account is not delegated and there is no BatchCallAndSponsor deployment in script/addressBook/${chain.chainId}.json: pass implementationAddress`,
+            code: 'DELEGATION_MISSING'
+        };
+    }
+
+    const nonce = await eip7702.readBatchNonce(chain.rpcUrl, account, nonceSource);
+    const digest = eip7702.computeBatchDigest(nonce, calls);
+
+    return {
+        delegated: delegated,
+        implementation: delegated ? eip7702.parseDelegationDesignator(code) : ethers.getAddress(nonceSource),
+        nonce: nonce.toString(),
+        // abi.encodePacked(nonce, abi.encodePacked(to, value, data)...)
+        encodedMessage: eip7702.encodeBatchMessage(nonce, calls),
+        digest: digest,
+        // personal_sign takes the 32 digest bytes (not the hex string as text) and adds the EIP-191 prefix
+        personalSignMessage: digest,
+        prefixedMessage: ethers.concat([ethers.toUtf8Bytes(ethers.MessagePrefix + '32'), digest]),
+        ethSignedMessageHash: ethers.hashMessage(ethers.getBytes(digest))
+    };
+}
+
+/**
+ * Check a batch signature against a prepared batch (prepareBatch) and, when it
+ * is not the account's, name the usual encoding mistake it matches.
+ * Returns { valid, signer, reason }.
+ */
+function inspectBatchSignature(prepared, account, calls, signature) {
+    const signedByAccount = (hash) => {
+        try {
+            return ethers.recoverAddress(hash, signature).toLowerCase() === account.toLowerCase();
+        } catch (error) {
+            return false;
+        }
+    };
+
+    let signer;
+    try {
+        signer = ethers.recoverAddress(prepared.ethSignedMessageHash, signature);
+    } catch (error) {
+        return { valid: false, signer: null, reason: 'Invalid signature: ' + (error.shortMessage || error.message) };
+    }
+    if (signer.toLowerCase() === account.toLowerCase()) {
+        return { valid: true, signer: signer, reason: null };
+    }
+
+    const nonce = BigInt(prepared.nonce);
+    const mistakes = [
+        [prepared.digest, 'the raw digest was signed without the EIP-191 prefix: sign the digest bytes with personal_sign'],
+        [ethers.hashMessage(prepared.digest), 'the digest\'s hex string was signed as text: personal_sign must get the 32 digest bytes'],
+        [nonce > 0n ? ethers.hashMessage(ethers.getBytes(eip7702.computeBatchDigest(nonce - 1n, calls))) : null,
+            `it was signed for nonce ${nonce - 1n}, which is already used`]
+    ];
+    for (const [hash, reason] of mistakes) {
+        if (hash && signedByAccount(hash)) {
+            return { valid: false, signer: signer, reason: `Signed by the account, but ${reason}` };
+        }
+    }
+
+    return { valid: false, signer: signer, reason: `Batch is not signed by the account for nonce ${prepared.nonce}` };
+}
+
+/**
+ * Whether the account's code reflects the authorization after it was mined.
+ * An authorization with a stale nonce is skipped without reverting the transaction.
+ */
+async function authorizationApplied(chain, account, signedAuthorization) {
+    const code = await eip7702.getProvider(chain.rpcUrl).getCode(account);
+    const delegate = eip7702.parseDelegationDesignator(code);
+
+    return signedAuthorization.address === ethers.ZeroAddress
+        ? code === '0x'
+        : delegate === signedAuthorization.address;
+}
+
+/**
+ * What sponsoring a submission is expected to cost the account's daily budgets:
+ * the gas of the sponsor transaction, its fee at the current maxFeePerGas and
+ * the native value its calls send. Returns { gas, fee, value }.
+ */
+async function estimateSponsorCost(chain, account, { calls = null, signature = null, authorization = null, feeOptions = undefined }) {
+    const gas = await eip7702.estimateSponsoredGas({
+        rpcUrl: chain.rpcUrl,
+        sponsorAddress: ethers.computeAddress(getSponsorKey()),
+        account: account,
+        calls: calls,
+        signature: signature,
+        authorization: authorization
+    });
+    const { maxFeePerGas } = await fees.estimateFees(eip7702.getProvider(chain.rpcUrl), feeOptions);
+
+    return {
+        gas: gas,
+        fee: gas * maxFeePerGas,
+        value: (calls || []).reduce((sum, call) => sum + BigInt(call.value), 0n)
+    };
+}
+
+/**
+ * Run a sponsored submission as a background job.
+ * With calls (and their signature) the sponsor sends execute(calls, signature),
+ * otherwise it sends only the authorization. `describe(reverted)` supplies the
+ * message and any route-specific result fields; `precheck` runs once the locks are held.
+ * `feeOptions` (fees.parseFeeOptions) tune the fees computed right before broadcasting;
+ * `tenant` owns the job.
+ */
+function runRelayJob(type, chain, account, { calls = null, signature = null, authorization = null, nonce = null, precheck = null, feeOptions = undefined, tenant = null }, describe) {
+    const sponsorPrivateKey = getSponsorKey();
+    const sponsorAddress = ethers.computeAddress(sponsorPrivateKey);
+
+    const job = jobs.createJob(type, {
+        address: account,
+        chainId: chain.chainId,
+        sponsored: true,
+        sponsor: sponsorAddress,
+        implementation: authorization ? authorization.address : undefined,
+        calls: calls ? batchCalls.serializeCalls(calls) : undefined
+    }, tenant);
+
+    jobs.runJob(job, async (context) => {
+        context.setStage('waiting-for-account');
+
+        // The account's nonces are consumed; sponsor nonces come from the nonce
+        // manager, so relays for different accounts broadcast in parallel
+        return locks.withLocks([locks.accountKey(chain.chainId, account)], async () => {
+            context.setStage('preparing');
+
+            if (precheck) {
+                await precheck();
+            }
+
+            // Budgets are checked again here: earlier jobs for this account may have used them up
+            const cost = await estimateSponsorCost(chain, account, { calls, signature, authorization, feeOptions });
+            const overBudget = policy.checkBudget(chain.chainId, account, cost);
+            if (overBudget) {
+                throw new ApiError(overBudget.code, 'Policy violation: ' + overBudget.error);
+            }
+
+            let result;
+            if (calls) {
+                logger.info('🚀 Relaying batch from sponsor...');
+                result = await eip7702.sendSponsoredBatch({
+                    rpcUrl: chain.rpcUrl,
+                    sponsorPrivateKey: sponsorPrivateKey,
+                    account: account,
+                    calls: calls,
+                    signature: signature,
+                    authorization: authorization,
+                    beforeBroadcast: context.markBroadcast,
+                    onReplaced: context.setTxHash,
+                    feeOptions: feeOptions
+                });
+            } else {
+                logger.info('🚀 Relaying authorization from sponsor...');
+                result = await eip7702.sendSponsoredAuthorization({
+                    rpcUrl: chain.rpcUrl,
+                    sponsorPrivateKey: sponsorPrivateKey,
+                    account: account,
+                    authorization: authorization,
+                    beforeBroadcast: context.markBroadcast,
+                    onReplaced: context.setTxHash,
+                    feeOptions: feeOptions
+                });
+            }
+
+            context.setTxHash(result.txHash);
+            const receipt = await receipts.confirmTransaction(chain, result.txHash, sponsorAddress);
+            const txHash = receipt.transactionHash;
+            context.setTxHash(txHash);
+
+            // The sponsor paid for it even if it reverted
+            const valueSent = receipt.status === 'success' && !nonces.isCancellation(txHash) ? cost.value : 0n;
+            policy.recordSpend(chain.chainId, account, receipt, valueSent);
+
+            let reverted = receipt.status !== 'success';
+            let error = reverted ? 'Transaction reverted' : undefined;
+            let errorCode = reverted ? 'CALL_REVERTED' : undefined;
+
+            if (nonces.isCancellation(txHash)) {
+                reverted = true;
+                error = 'Transaction was cancelled (replaced by a zero-value self-send)';
+                errorCode = 'TRANSACTION_CANCELLED';
+            } else if (!reverted && authorization && !(await authorizationApplied(chain, account, authorization))) {
+                reverted = true;
+                error = 'Authorization was not applied (the account nonce changed before it was mined)';
+                errorCode = 'NONCE_TOO_LOW';
+            }
+
+            return {
+                success: !reverted,
+                ...describe(reverted),
+                error: error,
+                errorCode: errorCode,
+                txHash: txHash,
+                explorerUrl: chains.explorerTxUrl(chain, txHash),
+                chainId: chain.chainId,
+                type: authorization ? 'Type 4 (EIP-7702)' : 'Type 2 (EIP-1559)',
+                address: account,
+                sponsor: result.from,
+                nonce: nonce === null ? undefined : nonce.toString(),
+                fees: result.fees,
+                receipt: receipt
+            };
+        });
+    });
+
+    return job;
+}
+
+module.exports = {
+    getSponsorKey,
+    verifyAuthorization,
+    prepareAuthorization,
+    verifyBatchSignature,
+    prepareBatch,
+    inspectBatchSignature,
+    estimateSponsorCost,
+    runRelayJob
+};
@@ -1,52 +1,97 @@
 /**
  * EIP-7702 Backend API Server
- * Executes Foundry scripts for delegation operations
+ * Builds and signs Type 4 transactions natively with ethers,
+ * with Foundry scripts available as a fallback execution mode
  */
 
 const express = require('express');
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const cors = require('cors');
 const { ethers } = require('ethers');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 require('dotenv').config();
 
+// `--local` / LOCAL_CHAIN=1 runs against a fresh anvil: set up before the modules below read their settings
+const local = require('./local');
+local.configureEnvironment();
+
+const eip7702 = require('./eip7702');
+const chains = require('./chains');
+const jobs = require('./jobs');
+const locks = require('./locks');
+const receipts = require('./receipts');
+const batchCalls = require('./calls');
+const tokens = require('./tokens');
+const relay = require('./relay');
+const implementations = require('./implementations');
+const bytecode = require('./bytecode');
+const auth = require('./auth');
+const policy = require('./policy');
+const simulation = require('./simulation');
+const errors = require('./errors');
+const history = require('./history');
+const nonces = require('./nonces');
+const fees = require('./fees');
+const webhooks = require('./webhooks');
+const openapi = require('./openapi');
+const validation = require('./validation');
+const { logger, requestLogger, LOG_FORMAT, LOG_LEVEL } = require('./logger');
+const audit = require('./audit');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Get project root (one level up from backend)
 const PROJECT_ROOT = path.join(__dirname, '..');
 
+// 'native' signs in-process with ethers, 'forge' shells out to `forge script`
+const EXECUTION_MODE = process.env.EXECUTION_MODE === 'forge' ? 'forge' : 'native';
+
+// Clients sign locally and the sponsor key relays; raw private keys only when explicitly allowed
+const ALLOW_PRIVATE_KEYS = process.env.ALLOW_PRIVATE_KEYS === 'true';
+const PRIVATE_KEYS_DISABLED_ERROR = 'Raw private keys are not accepted: sign locally and send the authorization or signature instead';
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(auth.corsOptions()));
+app.use(express.json({ verify: auth.captureRawBody }));
 
-// Logging middleware
-app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-    next();
-});
+// Request ids, secret redaction and one log line per request
+app.use(requestLogger);
+
+// Keep a record of every transaction the backend sends, and of who asked for it
+jobs.onJobUpdate(history.recordJob);
+jobs.onJobUpdate(audit.recordJobUpdate);
+
+// Lifecycle events for requests with a callbackUrl (or an API key with a webhookUrl)
+jobs.onJobUpdate(webhooks.notifyJobUpdate);
+
+// Every error response carries a code and a retryable flag
+app.use('/api', errors.errorShape);
+
+// API keys and per-tenant rate limits
+app.use('/api', auth.authenticate);
 
 /**
- * Extract transaction hash from Foundry broadcast JSON
+ * Extract transaction hash from the Foundry broadcast JSON of a single run
  */
-function extractTxHashFromBroadcast(scriptName) {
+function extractTxHashFromBroadcast(broadcastDir, scriptName, chainId) {
     try {
         // Path to the latest broadcast file
         const baseScriptName = scriptName.split(':')[0];
         
         const broadcastPath = path.join(
-            PROJECT_ROOT,
-            'broadcast',
+            broadcastDir,
             baseScriptName,
-            '11155111',
+            String(chainId),
             'run-latest.json'
         );
 
-        console.log('📁 Looking for broadcast file :', broadcastPath);
+        logger.info('📁 Looking for broadcast file :', broadcastPath);
 
         if (!fs.existsSync(broadcastPath)) {
-            console.warn('⚠️ Broadcast file not found');
+            logger.warn('⚠️ Broadcast file not found');
             return null;
         }
 
@@ -57,55 +102,113 @@ function extractTxHashFromBroadcast(scriptName) {
             // Get the last transaction (usually the main one)
             const lastTx = broadcastData.transactions[broadcastData.transactions.length - 1];
             if (lastTx.hash) {
-                console.log('✅ Extracted tx hash from broadcast:', lastTx.hash);
+                logger.info('✅ Extracted tx hash from broadcast:', lastTx.hash);
                 return lastTx.hash;
             }
         }
 
-        console.warn('⚠️ No transaction hash found in broadcast data');
+        logger.warn('⚠️ No transaction hash found in broadcast data');
         return null;
     } catch (error) {
-        console.error('❌ Error reading broadcast file:', error.message);
+        logger.error('❌ Error reading broadcast file:', error.message);
         return null;
     }
 }
 
 /**
- * Execute Foundry script with proper environment
+ * Execute Foundry script with proper environment against the given chain.
+ * Every run writes its broadcast files to its own temporary directory, so
+ * concurrent runs can never read each other's transaction hash.
+ * When a job context is given, the child process is killed if the job is
+ * cancelled before the script reaches its broadcast phase.
+ * Gas prices come from the fee strategy (fees.js) instead of forge's defaults.
  */
-function executeFoundryScript(scriptName, privateKey, additionalEnv = {}) {
-    return new Promise((resolve, reject) => {
-        // Build the forge command with --skip-simulation to avoid interactive prompts
-        const command = `forge script script/${scriptName} --rpc-url $SEPOLIA_RPC_URL --private-key ${privateKey} --broadcast --skip-simulation -vvv`;
+async function executeFoundryScript(scriptName, privateKey, chain, additionalEnv = {}, context = null, feeOptions = undefined) {
+    const txFees = await fees.estimateFees(eip7702.getProvider(chain.rpcUrl), feeOptions);
 
-        console.log(`\n📝 Executing: ${scriptName}`);
-        console.log(`📂 Working directory: ${PROJECT_ROOT}`);
+    return new Promise((resolve, reject) => {
+        // Build the forge command with --skip-simulation to avoid interactive prompts.
+        // The RPC URL is passed through ETH_RPC_URL, which forge reads natively, and the
+        // key through PRIVATE_KEY, which the scripts broadcast with; neither shows up in `ps`.
+        const args = [
+            'script', `script/${scriptName}`,
+            '--broadcast',
+            '--skip-simulation',
+            '--with-gas-price', txFees.maxFeePerGas.toString(),
+            '--priority-gas-price', txFees.maxPriorityFeePerGas.toString(),
+            '-vvv'
+        ];
+
+        logger.info(`\n📝 Executing: ${scriptName}`);
+        logger.info(`📂 Working directory: ${PROJECT_ROOT}`);
+
+        // Per-run broadcast output (FOUNDRY_BROADCAST overrides foundry.toml's `broadcast`)
+        const broadcastDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eip7702-broadcast-'));
+        const cleanup = () => fs.rmSync(broadcastDir, { recursive: true, force: true });
 
         // Set up environment variables
         const env = {
             ...process.env,
             PRIVATE_KEY: privateKey,
+            ETH_RPC_URL: chain.rpcUrl,
+            FOUNDRY_BROADCAST: broadcastDir,
             ...additionalEnv
         };
 
-        // Execute the command
-        exec(command, {
+        // Spawn without a shell so cancellation kills forge itself
+        const child = spawn('forge', args, {
             cwd: PROJECT_ROOT,
-            maxBuffer: 10 * 1024 * 1024, // 10MB buffer
             env: env
-        }, (error, stdout, stderr) => {
-            // Log output
-            console.log('\n📤 STDOUT:', stdout);
-            if (stderr) console.log('📤 STDERR:', stderr);
+        });
 
-            if (error) {
-                console.error('❌ Execution error:', error.message);
-                reject({
-                    success: false,
-                    error: error.message,
-                    stdout: stdout,
-                    stderr: stderr
-                });
+        let stdout = '';
+        let stderr = '';
+
+        if (context) {
+            context.setStage('running-script');
+            context.onCancel(() => {
+                logger.info(`🛑 Killing forge process ${child.pid}`);
+                child.kill('SIGTERM');
+            });
+        }
+
+        child.stdout.on('data', chunk => {
+            stdout += chunk;
+            // Once the local run is done forge starts broadcasting: no more cancelling
+            if (context && !context.job.broadcast && stdout.includes('Script ran successfully')) {
+                try {
+                    context.markBroadcast();
+                } catch (error) {
+                    // Cancelled meanwhile, the kill handler has already run
+                }
+            }
+        });
+        child.stderr.on('data', chunk => {
+            stderr += chunk;
+        });
+
+        child.on('error', error => {
+            cleanup();
+            logger.error('❌ Execution error:', error.message);
+            reject(error.code === 'ENOENT'
+                ? new errors.ApiError('FOUNDRY_MISSING')
+                : errors.classifyError(error));
+        });
+
+        child.on('close', (code, signal) => {
+            // Log output
+            // Full forge output only at LOG_LEVEL=debug (redacted like every other line)
+            logger.debug('📤 STDOUT:', stdout);
+            if (stderr) logger.debug('📤 STDERR:', stderr);
+
+            if (code !== 0) {
+                cleanup();
+                const message = signal
+                    ? `forge script terminated by ${signal}`
+                    : `forge script exited with code ${code}`;
+                logger.error('❌ Execution error:', message);
+                // The raw output stays in the logs above; clients get a code and the relevant line
+                reject(errors.fromForgeOutput(message, stdout, stderr));
                 return;
             }
 
@@ -113,7 +216,8 @@ function executeFoundryScript(scriptName, privateKey, additionalEnv = {}) {
             let txHash = null;
 
             // Method 1: Try to extract from broadcast JSON file
-            txHash = extractTxHashFromBroadcast(scriptName);
+            txHash = extractTxHashFromBroadcast(broadcastDir, scriptName, chain.chainId);
+            cleanup();
 
             // Method 2: Try regex patterns on stdout
             if (!txHash) {
@@ -128,22 +232,23 @@ function executeFoundryScript(scriptName, privateKey, additionalEnv = {}) {
                     const match = stdout.match(pattern);
                     if (match) {
                         txHash = match[1];
-                        console.log('✅ Extracted tx hash from stdout:', txHash);
+                        logger.info('✅ Extracted tx hash from stdout:', txHash);
                         break;
                     }
                 }
             }
 
-            console.log('✅ Execution completed');
+            logger.info('✅ Execution completed');
             if (txHash) {
-                console.log(`🔗 Transaction hash: ${txHash}`);
+                logger.info(`🔗 Transaction hash: ${txHash}`);
             } else {
-                console.warn('⚠️ Could not extract transaction hash');
+                logger.warn('⚠️ Could not extract transaction hash');
             }
 
             resolve({
                 success: true,
                 txHash: txHash,
+                fees: fees.serializeFees(txFees),
                 output: stdout,
                 stderr: stderr
             });
@@ -151,15 +256,233 @@ function executeFoundryScript(scriptName, privateKey, additionalEnv = {}) {
     });
 }
 
+/**
+ * 202 response for a job that was accepted and runs in the background.
+ * `extra` adds route-specific fields to the response.
+ */
+function sendJobAccepted(res, job, extra = {}) {
+    history.recordJob(job);
+    audit.recordRequest(res.req, job);
+    webhooks.subscribe(job, webhooks.targetFor(res.req));
+
+    res.status(202).json({
+        success: true,
+        message: 'Job accepted',
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        ...extra
+    });
+}
+
+/**
+ * 403 response for a request the sponsorship policy rejects
+ */
+function sendPolicyViolation(res, violation) {
+    logger.info(`🚫 Policy violation (${violation.code}): ${violation.error}`);
+    res.status(403).json({
+        success: false,
+        error: 'Policy violation: ' + violation.error,
+        code: violation.code
+    });
+}
+
+/**
+ * Simulate a batch before it is queued, unless the request opts out with `simulate: false`.
+ * Sends the error response and returns true when the batch would revert.
+ */
+async function rejectFailingBatch(res, chain, simulate, params) {
+    if (simulate === false) {
+        return false;
+    }
+
+    const preflight = await simulation.simulateBatch(chain, params);
+    if (preflight.success) {
+        return false;
+    }
+
+    logger.info(`🧪 Simulation failed: ${preflight.revertReason}`);
+    const failure = new errors.ApiError(preflight.code, 'Simulation failed: ' + preflight.revertReason);
+    res.status(failure.status).json({
+        ...failure.toJSON(),
+        simulation: preflight
+    });
+    return true;
+}
+
+/**
+ * Check the runtime code of a delegation target against the audited builds,
+ * unless the request overrides it with `allowUnauditedImplementation`.
+ * Sends the error response and returns null when the target is refused, else the check.
+ */
+async function guardDelegationTarget(res, chain, implementation, allowUnaudited) {
+    const { check, error, code } = await bytecode.checkDelegationTarget(chain, implementation, allowUnaudited === true);
+    if (error) {
+        logger.info(`🛡️  Delegation target refused (${check.verdict}): ${implementation}`);
+        const failure = new errors.ApiError(code, error);
+        res.status(failure.status).json({
+            ...failure.toJSON(),
+            implementationCheck: check
+        });
+        return null;
+    }
+    if (check.overridden) {
+        logger.warn(`⚠️  Delegating to unaudited code (override): ${implementation} ${check.codeHash}`);
+    }
+    return check;
+}
+
+/**
+ * Parse an ISO date or unix seconds; null when invalid
+ */
+function parseTimestamp(value) {
+    const time = String(value).match(/^[0-9]+$/) ? Number(value) * 1000 : Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time);
+}
+
+/**
+ * Name of the tenant making the request (null without an API key); it owns the jobs the request starts
+ */
+function tenantName(req) {
+    return req.tenant ? req.tenant.name : null;
+}
+
+/**
+ * Whether something owned by `owner` (a tenant name, or null) may be shown to this request
+ */
+function visibleToTenant(req, owner) {
+    return !owner || (req.tenant && req.tenant.name === owner);
+}
+
+/**
+ * History record of a transaction hash (or of one it replaced, or that replaced it),
+ * hiding transactions that belong to another tenant
+ */
+function findTenantTransaction(req, txHash) {
+    for (const hash of nonces.transactionHashes(txHash).reverse()) {
+        const record = history.findTransaction(hash, record => visibleToTenant(req, record.requester));
+        if (record) {
+            return record;
+        }
+    }
+    return null;
+}
+
+/**
+ * Look up a job, hiding jobs that belong to another tenant
+ */
+function findTenantJob(req) {
+    const job = jobs.getJob(req.params.id);
+    if (!job || !visibleToTenant(req, job.tenant)) {
+        return null;
+    }
+    return job;
+}
+
+/**
+ * Verify a batch the account signed locally (plus an optional authorization to
+ * bundle) and relay it from the sponsor key. Sends the 202 job response, or the
+ * error response when the request cannot be relayed.
+ */
+async function relaySignedBatch(res, type, chain, { address, calls, signature, authorization, allowUnauditedImplementation, precheck, simulate, feeOptions }, describe) {
+    if (!relay.getSponsorKey()) {
+        return res.status(503).json({
+            success: false,
+            error: 'Relay unavailable: SPONSOR_PRIVATE_KEY not set'
+        });
+    }
+
+    let signedAuthorization = null;
+    if (authorization) {
+        const verified = await relay.verifyAuthorization(chain, address, authorization);
+        if (verified.error) {
+            return res.status(400).json({
+                success: false,
+                error: verified.error,
+                code: verified.code
+            });
+        }
+        if (verified.authorization.address === ethers.ZeroAddress) {
+            return res.status(400).json({
+                success: false,
+                error: 'Cannot execute a batch with an authorization to address(0)'
+            });
+        }
+        signedAuthorization = verified.authorization;
+    }
+
+    // The sponsor only pays for what the policy allows, executed by an allowed implementation
+    const delegate = signedAuthorization
+        ? signedAuthorization.address
+        : eip7702.parseDelegationDesignator(await eip7702.getProvider(chain.rpcUrl).getCode(address));
+    const violation = policy.checkCalls(chain.chainId, calls)
+        || (delegate && policy.checkImplementation(chain, delegate));
+    if (violation) {
+        return sendPolicyViolation(res, violation);
+    }
+
+    // A bundled authorization delegates the account: only to audited code
+    let implementationCheck = null;
+    if (signedAuthorization) {
+        implementationCheck = await guardDelegationTarget(res, chain, signedAuthorization.address, allowUnauditedImplementation);
+        if (!implementationCheck) {
+            return;
+        }
+    }
+
+    // Check the batch signature off-chain before the sponsor pays for it
+    const verifiedBatch = await relay.verifyBatchSignature(chain, address, calls, signature, signedAuthorization);
+    if (verifiedBatch.error) {
+        return res.status(400).json({
+            success: false,
+            error: verifiedBatch.error,
+            code: verifiedBatch.code
+        });
+    }
+
+    const failed = await rejectFailingBatch(res, chain, simulate, {
+        account: address,
+        calls: calls,
+        signature: signature,
+        sender: ethers.computeAddress(relay.getSponsorKey()),
+        implementation: signedAuthorization ? signedAuthorization.address : null,
+        withAuthorization: signedAuthorization !== null
+    });
+    if (failed) {
+        return;
+    }
+
+    // The batch's value and estimated fee must fit in what is left of the daily budgets
+    const cost = await relay.estimateSponsorCost(chain, address, { calls, signature, authorization: signedAuthorization, feeOptions });
+    const overBudget = policy.checkBudget(chain.chainId, address, cost);
+    if (overBudget) {
+        return sendPolicyViolation(res, overBudget);
+    }
+
+    const job = relay.runRelayJob(type, chain, address, {
+        calls: calls,
+        signature: signature,
+        authorization: signedAuthorization,
+        nonce: verifiedBatch.nonce,
+        precheck: precheck,
+        feeOptions: feeOptions,
+        tenant: tenantName(res.req)
+    }, implementationCheck ? reverted => ({ ...describe(reverted), implementationCheck }) : describe);
+
+    sendJobAccepted(res, job, implementationCheck ? { implementationCheck } : {});
+}
+
 /**
  * Health check endpoint
  */
 app.get('/api/health', (req, res) => {
-    // Check if required environment variables are set
-    const requiredEnvVars = ['SEPOLIA_RPC_URL'];
-    const missing = requiredEnvVars.filter(varName => !process.env[varName]);
+    // At least one chain needs an RPC URL
+    const chainList = chains.listChains();
+    const missing = chainList.some(chain => chain.configured)
+        ? []
+        : chainList.map(chain => chain.rpcEnvVar);
 
-    // Check if Foundry is installed
+    // Check if Foundry is installed (only required in forge mode)
     exec('forge --version', (error, stdout) => {
         const hasFoundry = !error;
 
@@ -169,9 +492,19 @@ app.get('/api/health', (req, res) => {
             timestamp: new Date().toISOString(),
             environment: {
                 nodeVersion: process.version,
+                executionMode: EXECUTION_MODE,
+                localMode: local.LOCAL_MODE,
                 hasFoundry: hasFoundry,
                 foundryVersion: hasFoundry ? stdout.trim() : null,
-                hasRpcUrl: !!process.env.SEPOLIA_RPC_URL,
+                hasRpcUrl: chainList.some(chain => chain.configured),
+                defaultChainId: chains.DEFAULT_CHAIN_ID,
+                chains: chainList,
+                hasSponsorKey: !!relay.getSponsorKey(),
+                feeStrategy: fees.DEFAULT_FEE_STRATEGY,
+                maxFeePerGasGwei: fees.MAX_FEE_PER_GAS === null ? null : ethers.formatUnits(fees.MAX_FEE_PER_GAS, 'gwei'),
+                allowPrivateKeys: ALLOW_PRIVATE_KEYS,
+                apiKeysRequired: auth.isEnabled(),
+                allowedOrigins: auth.allowedOrigins(),
                 projectRoot: PROJECT_ROOT,
                 missingEnvVars: missing
             }
@@ -179,368 +512,1574 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+/**
+ * OpenAPI document of this API
+ * GET /api/openapi.json
+ */
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openapi.document);
+});
+
+/**
+ * API documentation page (Swagger UI over /api/openapi.json)
+ * GET /api/docs
+ */
+app.get('/api/docs', (req, res) => {
+    res.type('html').send(openapi.DOCS_PAGE);
+});
+
+/**
+ * Funded anvil accounts, the sponsor and the deployed contracts (local mode only)
+ * GET /api/local/accounts
+ */
+if (local.LOCAL_MODE) {
+    app.get('/api/local/accounts', async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                ...await local.describeLocalChain()
+            });
+        } catch (error) {
+            logger.error('❌ Local accounts error:', error);
+            errors.sendError(res, error, 'Failed to read the local accounts');
+        }
+    });
+}
+
 /**
  * Add EIP-7702 delegation
  * POST /api/add-delegation
  */
-app.post('/api/add-delegation', async (req, res) => {
+app.post('/api/add-delegation', validation.validate('addDelegation'), webhooks.validateCallback, auth.limitSends, async (req, res) => {
     try {
-        const { address, implementationAddress, privateKey } = req.body;
+        const { address, implementationAddress, authorization, privateKey, chainId, calls, signature, simulate, allowUnauditedImplementation } = req.body;
 
-        console.log('\n🔵 Add Delegation Request');
-        console.log('Address:', address);
-        console.log('Implementation:', implementationAddress);
+        logger.info('\n🔵 Add Delegation Request');
+        logger.info('Address:', address);
+        logger.info('Implementation:', implementationAddress);
+        logger.info('Signed authorization:', !!authorization);
+        logger.info('Bundled calls:', Array.isArray(calls) ? calls.length : 0);
 
-        // Validation
-        if (!address || !implementationAddress || !privateKey) {
+        if (calls && !authorization) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: address, implementationAddress, privateKey'
+                error: 'Bundled calls need a signed authorization: use /api/batch to delegate and execute with a private key'
             });
         }
-
-        // Validate addresses
-        if (!address.match(/^0x[a-fA-F0-9]{40}$/)) {
+        if (calls && !signature) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid address format'
+                error: 'Missing required field: signature (batch signature of the bundled calls)',
+                field: 'signature'
             });
         }
 
-        if (!implementationAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid implementation address format'
+                error: chainError,
+                code: chainErrorCode
             });
         }
 
-        // Validate private key
-        const cleanPrivateKey = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
-        if (!cleanPrivateKey.match(/^0x[a-fA-F0-9]{64}$/)) {
+        const { feeOptions, error: feeError } = fees.parseFeeOptions(req.body);
+        if (feeError) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid private key format (must be 64 hex characters)'
+                error: feeError
             });
         }
 
-        // Execute Foundry script with implementation address
-        console.log('🚀 Executing AddDelegationDynamic.s.sol...');
-        console.log('📝 Using implementation address:', implementationAddress);
-        
-        const result = await executeFoundryScript(
-            'AddDelegationDynamic.s.sol:AddDelegationDynamic',
-            cleanPrivateKey,
-            { IMPLEMENTATION_ADDRESS: implementationAddress }
-        );
+        // Signed request: the account authorized the implementation itself, the sponsor submits it
+        if (authorization) {
+            if (!relay.getSponsorKey()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Relay unavailable: SPONSOR_PRIVATE_KEY not set'
+                });
+            }
 
-        if (result.success) {
-            res.json({
-                success: true,
-                message: 'Delegation added successfully',
-                txHash: result.txHash,
-                explorerUrl: result.txHash 
-                    ? `https://sepolia.etherscan.io/tx/${result.txHash}`
-                    : null,
-                type: 'Type 4 (EIP-7702)',
-                address: address,
-                implementationAddress: implementationAddress
-            });
-        } else {
-            throw new Error(result.error || 'Script execution failed');
-        }
+            const verified = await relay.verifyAuthorization(chain, address, authorization);
+            if (verified.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: verified.error,
+                    code: verified.code
+                });
+            }
 
-    } catch (error) {
-        console.error('❌ Add delegation error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.error || error.message || 'Failed to add delegation',
-            details: error.stderr || error.stdout
-        });
-    }
-});
+            const implementation = verified.authorization.address;
+            if (implementation === ethers.ZeroAddress) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Authorization delegates to address(0): use /api/remove-delegation'
+                });
+            }
 
-/**
- * Remove EIP-7702 delegation
- * POST /api/remove-delegation
- */
-app.post('/api/remove-delegation', async (req, res) => {
-    try {
-        const { address, privateKey } = req.body;
+            if (implementationAddress && ethers.getAddress(implementationAddress) !== implementation) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Authorization is for ${implementation}, not ${implementationAddress}`
+                });
+            }
+
+            // Bundled first batch: one Type 4 transaction delegates and runs execute(calls, signature),
+            // so a wallet without ETH is onboarded and makes its first transfer at once
+            if (calls) {
+                const parsed = batchCalls.normalizeCalls(calls);
+                if (parsed.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: parsed.error
+                    });
+                }
+
+                return await relaySignedBatch(res, 'add-delegation', chain, { address, calls: parsed.calls, signature, authorization, allowUnauditedImplementation, simulate, feeOptions }, reverted => ({
+                    message: reverted ? 'Delegation with bundled batch reverted' : 'Delegation added and bundled batch executed, gas paid by sponsor',
+                    implementationAddress: implementation
+                }));
+            }
+
+            const violation = policy.checkImplementation(chain, implementation)
+                || policy.checkBudget(chain.chainId, address, await relay.estimateSponsorCost(chain, address, { authorization: verified.authorization, feeOptions }));
+            if (violation) {
+                return sendPolicyViolation(res, violation);
+            }
+
+            const implementationCheck = await guardDelegationTarget(res, chain, implementation, allowUnauditedImplementation);
+            if (!implementationCheck) {
+                return;
+            }
 
-        console.log('\n🔴 Remove Delegation Request');
-        console.log('Address:', address);
+            const job = relay.runRelayJob('add-delegation', chain, address, { authorization: verified.authorization, feeOptions, tenant: tenantName(req) }, reverted => ({
+                message: reverted ? 'Delegation transaction reverted' : 'Delegation added successfully, gas paid by sponsor',
+                implementationAddress: implementation,
+                implementationCheck: implementationCheck
+            }));
+
+            return sendJobAccepted(res, job, { implementationCheck });
+        }
 
-        // Validation
-        if (!address || !privateKey) {
+        if (!ALLOW_PRIVATE_KEYS) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: address, privateKey'
+                error: PRIVATE_KEYS_DISABLED_ERROR
             });
         }
 
-        // Validate address
-        if (!address.match(/^0x[a-fA-F0-9]{40}$/)) {
+        // Account that signs and sends the transaction
+        const sender = ethers.computeAddress(privateKey);
+
+        if (sender.toLowerCase() !== address.toLowerCase()) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid address format'
+                error: 'Private key does not match address'
             });
         }
 
-        // Validate private key
-        const cleanPrivateKey = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
-        if (!cleanPrivateKey.match(/^0x[a-fA-F0-9]{64}$/)) {
+        // Fall back to the chain's BatchCallAndSponsor deployment from the address book
+        const implementation = implementationAddress || chain.implementation;
+        if (!implementation) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid private key format (must be 64 hex characters)'
+                error: `Missing implementationAddress: no BatchCallAndSponsor deployment in script/addressBook/${chain.chainId}.json`
             });
         }
 
-        // Execute Foundry script
-        console.log('🚀 Executing RemoveDelegation.s.sol...');
-        const result = await executeFoundryScript(
-            'RemoveDelegation.s.sol:RemoveDelegation',
-            cleanPrivateKey
-        );
+        logger.info('📝 Using implementation address:', implementation);
 
-        if (result.success) {
-            res.json({
-                success: true,
-                message: 'Delegation removed successfully',
-                txHash: result.txHash,
-                explorerUrl: result.txHash 
-                    ? `https://sepolia.etherscan.io/tx/${result.txHash}`
-                    : null,
-                type: 'Type 4 (EIP-7702)',
-                address: address
-            });
-        } else {
-            throw new Error(result.error || 'Script execution failed');
+        const violation = policy.checkImplementation(chain, implementation);
+        if (violation) {
+            return sendPolicyViolation(res, violation);
         }
 
-    } catch (error) {
-        console.error('❌ Remove delegation error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.error || error.message || 'Failed to remove delegation',
-            details: error.stderr || error.stdout
+        const implementationCheck = await guardDelegationTarget(res, chain, implementation, allowUnauditedImplementation);
+        if (!implementationCheck) {
+            return;
+        }
+
+        const job = jobs.createJob('add-delegation', { address: address, chainId: chain.chainId, implementation: implementation }, tenantName(req));
+
+        jobs.runJob(job, async (context) => {
+            context.setStage('waiting-for-account');
+
+            return locks.withLocks([locks.accountKey(chain.chainId, sender)], async () => {
+                context.setStage('preparing');
+
+                let result;
+                if (EXECUTION_MODE === 'forge') {
+                    // Execute Foundry script with implementation address
+                    logger.info('🚀 Executing AddDelegationDynamic.s.sol...');
+                    result = await executeFoundryScript(
+                        'AddDelegationDynamic.s.sol:AddDelegationDynamic',
+                        privateKey,
+                        chain,
+                        { IMPLEMENTATION_ADDRESS: implementation },
+                        context,
+                        feeOptions
+                    );
+                } else {
+                    logger.info('🚀 Signing delegation natively...');
+                    result = await eip7702.sendDelegation({
+                        rpcUrl: chain.rpcUrl,
+                        privateKey: privateKey,
+                        implementationAddress: implementation,
+                        beforeBroadcast: context.markBroadcast,
+                        feeOptions: feeOptions
+                    });
+                }
+
+                context.setTxHash(result.txHash);
+                const receipt = await receipts.confirmTransaction(chain, result.txHash, sender);
+
+                const reverted = receipt.status !== 'success';
+
+                return {
+                    success: !reverted,
+                    message: reverted ? 'Delegation transaction reverted' : 'Delegation added successfully',
+                    error: reverted ? 'Transaction reverted' : undefined,
+                    txHash: result.txHash,
+                    explorerUrl: chains.explorerTxUrl(chain, result.txHash),
+                    chainId: chain.chainId,
+                    type: 'Type 4 (EIP-7702)',
+                    address: address,
+                    implementationAddress: implementation,
+                    implementationCheck: implementationCheck,
+                    fees: result.fees,
+                    receipt: receipt
+                };
+            });
         });
+
+        sendJobAccepted(res, job, { implementationCheck });
+
+    } catch (error) {
+        logger.error('❌ Add delegation error:', error);
+        errors.sendError(res, error, 'Failed to add delegation');
     }
 });
 
 /**
- * Send Native ETH via EIP-7702 (Type 4 Transaction)
- * POST /api/send-native
+ * Remove EIP-7702 delegation
+ * POST /api/remove-delegation
  */
-app.post('/api/send-native', async (req, res) => {
+app.post('/api/remove-delegation', validation.validate('removeDelegation'), webhooks.validateCallback, auth.limitSends, async (req, res) => {
     try {
-        const { privateKey, implementationAddress, recipient, amount } = req.body;
+        const { address, authorization, privateKey, chainId } = req.body;
 
-        console.log('\n💸 Send Native ETH Request (Type 4)');
-        console.log('Recipient:', recipient);
-        console.log('Amount:', amount, 'ETH');
-        console.log('Implementation:', implementationAddress);
+        logger.info('\n🔴 Remove Delegation Request');
+        logger.info('Address:', address);
+        logger.info('Signed authorization:', !!authorization);
 
-        // Validation
-        if (!privateKey || !implementationAddress || !recipient || !amount) {
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: privateKey, implementationAddress, recipient, amount'
+                error: chainError,
+                code: chainErrorCode
             });
         }
 
-        if (!recipient.match(/^0x[a-fA-F0-9]{40}$/)) {
+        const { feeOptions, error: feeError } = fees.parseFeeOptions(req.body);
+        if (feeError) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid recipient address format'
+                error: feeError
             });
         }
 
-        if (!implementationAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+        // Signed request: the account authorized address(0) itself, the sponsor submits it
+        if (authorization) {
+            if (!relay.getSponsorKey()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Relay unavailable: SPONSOR_PRIVATE_KEY not set'
+                });
+            }
+
+            const verified = await relay.verifyAuthorization(chain, address, authorization);
+            if (verified.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: verified.error,
+                    code: verified.code
+                });
+            }
+
+            if (verified.authorization.address !== ethers.ZeroAddress) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Authorization must delegate to address(0) to remove the delegation'
+                });
+            }
+
+            const violation = policy.checkBudget(chain.chainId, address, await relay.estimateSponsorCost(chain, address, { authorization: verified.authorization, feeOptions }));
+            if (violation) {
+                return sendPolicyViolation(res, violation);
+            }
+
+            const job = relay.runRelayJob('remove-delegation', chain, address, { authorization: verified.authorization, feeOptions, tenant: tenantName(req) }, reverted => ({
+                message: reverted ? 'Delegation removal transaction reverted' : 'Delegation removed successfully, gas paid by sponsor'
+            }));
+
+            return sendJobAccepted(res, job);
+        }
+
+        if (!ALLOW_PRIVATE_KEYS) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid implementation address format'
+                error: PRIVATE_KEYS_DISABLED_ERROR
             });
         }
 
-        const cleanPrivateKey = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
-        if (!cleanPrivateKey.match(/^0x[a-fA-F0-9]{64}$/)) {
+        // Account that signs and sends the transaction
+        const sender = ethers.computeAddress(privateKey);
+
+        if (sender.toLowerCase() !== address.toLowerCase()) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid private key format'
+                error: 'Private key does not match address'
             });
         }
 
-        // Convert amount to wei
-        const amountInWei = ethers.parseEther(amount.toString()).toString();
-
-        console.log('🚀 Executing SendEIP7702Transaction.s.sol...');
-        console.log('Amount in Wei:', amountInWei);
-
-        const result = await executeFoundryScript(
-            'SendEIP7702Transaction.s.sol:SendEIP7702Transaction',
-            cleanPrivateKey,
-            {
-                IMPLEMENTATION_ADDRESS: implementationAddress,
-                RECIPIENT_ADDRESS: recipient,
-                AMOUNT: amountInWei,
-                // No TOKEN_ADDRESS means native transfer
-            }
-        );
+        const job = jobs.createJob('remove-delegation', { address: address, chainId: chain.chainId }, tenantName(req));
+
+        jobs.runJob(job, async (context) => {
+            context.setStage('waiting-for-account');
+
+            return locks.withLocks([locks.accountKey(chain.chainId, sender)], async () => {
+                context.setStage('preparing');
+
+                let result;
+                if (EXECUTION_MODE === 'forge') {
+                    logger.info('🚀 Executing RemoveDelegation.s.sol...');
+                    result = await executeFoundryScript(
+                        'RemoveDelegation.s.sol:RemoveDelegation',
+                        privateKey,
+                        chain,
+                        {},
+                        context,
+                        feeOptions
+                    );
+                } else {
+                    logger.info('🚀 Signing delegation removal natively...');
+                    result = await eip7702.sendRemoveDelegation({
+                        rpcUrl: chain.rpcUrl,
+                        privateKey: privateKey,
+                        beforeBroadcast: context.markBroadcast,
+                        feeOptions: feeOptions
+                    });
+                }
 
-        if (result.success) {
-            res.json({
-                success: true,
-                message: 'Native ETH sent successfully via Type 4 transaction',
-                txHash: result.txHash,
-                explorerUrl: result.txHash 
-                    ? `https://sepolia.etherscan.io/tx/${result.txHash}`
-                    : null,
-                type: 'Type 4 (EIP-7702)',
-                recipient: recipient,
-                amount: amount + ' ETH'
+                context.setTxHash(result.txHash);
+                const receipt = await receipts.confirmTransaction(chain, result.txHash, sender);
+
+                const reverted = receipt.status !== 'success';
+
+                return {
+                    success: !reverted,
+                    message: reverted ? 'Delegation removal transaction reverted' : 'Delegation removed successfully',
+                    error: reverted ? 'Transaction reverted' : undefined,
+                    txHash: result.txHash,
+                    explorerUrl: chains.explorerTxUrl(chain, result.txHash),
+                    chainId: chain.chainId,
+                    type: 'Type 4 (EIP-7702)',
+                    address: address,
+                    fees: result.fees,
+                    receipt: receipt
+                };
             });
-        } else {
-            throw new Error(result.error || 'Transaction failed');
-        }
+        });
+
+        sendJobAccepted(res, job);
 
     } catch (error) {
-        console.error('❌ Send native ETH error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.error || error.message || 'Failed to send native ETH',
-            details: error.stderr || error.stdout
-        });
+        logger.error('❌ Remove delegation error:', error);
+        errors.sendError(res, error, 'Failed to remove delegation');
     }
 });
 
 /**
- * Send ERC20 Token via EIP-7702 (Type 4 Transaction)
- * POST /api/send-token
+ * Send Native ETH via EIP-7702 (Type 4 Transaction)
+ * POST /api/send-native
  */
-app.post('/api/send-token', async (req, res) => {
+app.post('/api/send-native', validation.validate('sendNative'), webhooks.validateCallback, auth.limitSends, async (req, res) => {
     try {
-        const { privateKey, implementationAddress, tokenAddress, recipient, amount } = req.body;
+        const { address, signature, authorization, privateKey, implementationAddress, recipient, amount, chainId, simulate, allowUnauditedImplementation } = req.body;
 
-        console.log('\n🪙 Send ERC20 Token Request (Type 4)');
-        console.log('Token:', tokenAddress);
-        console.log('Recipient:', recipient);
-        console.log('Amount:', amount);
-        console.log('Implementation:', implementationAddress);
+        logger.info('\n💸 Send Native ETH Request (Type 4)');
+        logger.info('Recipient:', recipient);
+        logger.info('Amount:', amount, 'ETH');
+        logger.info('Implementation:', implementationAddress);
+
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
+            return res.status(400).json({
+                success: false,
+                error: chainError,
+                code: chainErrorCode
+            });
+        }
 
-        // Validation
-        if (!privateKey || !implementationAddress || !tokenAddress || !recipient || !amount) {
+        const { feeOptions, error: feeError } = fees.parseFeeOptions(req.body);
+        if (feeError) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: privateKey, implementationAddress, tokenAddress, recipient, amount'
+                error: feeError
             });
         }
 
-        if (!tokenAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+        // Convert amount to wei
+        const parsedAmount = tokens.parseTokenAmount(amount, 18);
+        if (parsedAmount.error) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid token address format'
+                error: parsedAmount.error
             });
         }
+        const amountInWei = parsedAmount.amount.toString();
+
+        logger.info('Amount in Wei:', amountInWei);
+
+        // Signed request: the account signed the transfer as a one-call batch, the sponsor relays it
+        if (signature) {
+            const calls = [{ to: recipient, value: BigInt(amountInWei), data: '0x' }];
+
+            return await relaySignedBatch(res, 'send-native', chain, { address, calls, signature, authorization, allowUnauditedImplementation, simulate, feeOptions }, reverted => ({
+                message: reverted ? 'Native ETH transaction reverted' : 'Native ETH sent successfully, gas paid by sponsor',
+                recipient: recipient,
+                amount: amount + ' ETH'
+            }));
+        }
 
-        if (!recipient.match(/^0x[a-fA-F0-9]{40}$/)) {
+        if (!ALLOW_PRIVATE_KEYS) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid recipient address format'
+                error: PRIVATE_KEYS_DISABLED_ERROR
             });
         }
 
-        if (!implementationAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+        // Account that signs and sends the transaction
+        const sender = ethers.computeAddress(privateKey);
+
+        if (address && sender.toLowerCase() !== address.toLowerCase()) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid implementation address format'
+                error: 'Private key does not match address'
             });
         }
 
-        const cleanPrivateKey = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
-        if (!cleanPrivateKey.match(/^0x[a-fA-F0-9]{64}$/)) {
+        // Fall back to the chain's BatchCallAndSponsor deployment from the address book
+        const implementation = implementationAddress || chain.implementation;
+        if (!implementation) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid private key format'
+                error: `Missing implementationAddress: no BatchCallAndSponsor deployment in script/addressBook/${chain.chainId}.json`
             });
         }
 
-        // Convert amount to smallest unit (assuming 18 decimals)
-        const amountInWei = ethers.parseEther(amount.toString()).toString();
+        if (!await guardDelegationTarget(res, chain, implementation, allowUnauditedImplementation)) {
+            return;
+        }
 
-        console.log('🚀 Executing SendEIP7702Transaction.s.sol...');
-        console.log('Amount in Wei:', amountInWei);
+        // The transaction re-delegates to the implementation and runs execute(calls) on the account
+        const failed = await rejectFailingBatch(res, chain, simulate, {
+            account: sender,
+            calls: [{ to: recipient, value: BigInt(amountInWei), data: '0x' }],
+            implementation: implementation,
+            withAuthorization: true
+        });
+        if (failed) {
+            return;
+        }
 
-        const result = await executeFoundryScript(
-            'SendEIP7702Transaction.s.sol:SendEIP7702Transaction',
-            cleanPrivateKey,
-            {
-                IMPLEMENTATION_ADDRESS: implementationAddress,
-                RECIPIENT_ADDRESS: recipient,
-                TOKEN_ADDRESS: tokenAddress,
-                AMOUNT: amountInWei
-            }
-        );
+        const job = jobs.createJob('send-native', {
+            address: sender,
+            chainId: chain.chainId,
+            implementation: implementation,
+            calls: batchCalls.serializeCalls([{ to: recipient, value: BigInt(amountInWei), data: '0x' }])
+        }, tenantName(req));
+
+        jobs.runJob(job, async (context) => {
+            context.setStage('waiting-for-account');
+
+            return locks.withLocks([locks.accountKey(chain.chainId, sender)], async () => {
+                context.setStage('preparing');
+
+                let result;
+                if (EXECUTION_MODE === 'forge') {
+                    logger.info('🚀 Executing SendEIP7702Transaction.s.sol...');
+                    result = await executeFoundryScript(
+                        'SendEIP7702Transaction.s.sol:SendEIP7702Transaction',
+                        privateKey,
+                        chain,
+                        {
+                            IMPLEMENTATION_ADDRESS: implementation,
+                            RECIPIENT_ADDRESS: recipient,
+                            AMOUNT: amountInWei,
+                            // No TOKEN_ADDRESS means native transfer
+                        },
+                        context,
+                        feeOptions
+                    );
+                } else {
+                    logger.info('🚀 Sending Type 4 transaction natively...');
+                    result = await eip7702.sendBatch({
+                        rpcUrl: chain.rpcUrl,
+                        privateKey: privateKey,
+                        implementationAddress: implementation,
+                        calls: [{ to: recipient, value: amountInWei, data: '0x' }],
+                        beforeBroadcast: context.markBroadcast,
+                        feeOptions: feeOptions
+                    });
+                }
 
-        if (result.success) {
-            res.json({
-                success: true,
-                message: 'ERC20 token sent successfully via Type 4 transaction',
-                txHash: result.txHash,
-                explorerUrl: result.txHash 
-                    ? `https://sepolia.etherscan.io/tx/${result.txHash}`
-                    : null,
-                type: 'Type 4 (EIP-7702)',
-                tokenAddress: tokenAddress,
-                recipient: recipient,
-                amount: amount
+                context.setTxHash(result.txHash);
+                const receipt = await receipts.confirmTransaction(chain, result.txHash, sender);
+
+                const reverted = receipt.status !== 'success';
+
+                return {
+                    success: !reverted,
+                    message: reverted ? 'Native ETH transaction reverted' : 'Native ETH sent successfully via Type 4 transaction',
+                    error: reverted ? 'Transaction reverted' : undefined,
+                    txHash: result.txHash,
+                    explorerUrl: chains.explorerTxUrl(chain, result.txHash),
+                    chainId: chain.chainId,
+                    type: 'Type 4 (EIP-7702)',
+                    recipient: recipient,
+                    amount: amount + ' ETH',
+                    fees: result.fees,
+                    receipt: receipt
+                };
             });
-        } else {
-            throw new Error(result.error || 'Transaction failed');
-        }
+        });
+
+        sendJobAccepted(res, job);
 
     } catch (error) {
-        console.error('❌ Send token error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.error || error.message || 'Failed to send token',
-            details: error.stderr || error.stdout
-        });
+        logger.error('❌ Send native ETH error:', error);
+        errors.sendError(res, error, 'Failed to send native ETH');
     }
 });
 
 /**
- * Check delegation status
- * GET /api/check-delegation/:address
+ * Send ERC20 Token via EIP-7702 (Type 4 Transaction)
+ * POST /api/send-token
  */
-app.get('/api/check-delegation/:address', async (req, res) => {
+app.post('/api/send-token', validation.validate('sendToken'), webhooks.validateCallback, auth.limitSends, async (req, res) => {
     try {
-        const { address } = req.params;
-
-        // Validation
-        if (!address.match(/^0x[a-fA-F0-9]{40}$/)) {
-            return res.status(400).json({
+        const { address, signature, authorization, privateKey, implementationAddress, tokenAddress, recipient, amount, chainId, simulate, allowUnauditedImplementation } = req.body;
+
+        logger.info('\n🪙 Send ERC20 Token Request (Type 4)');
+        logger.info('Token:', tokenAddress);
+        logger.info('Recipient:', recipient);
+        logger.info('Amount:', amount);
+        logger.info('Implementation:', implementationAddress);
+
+        // Signed requests are sent from `address`, otherwise from the private key's account
+        let sender = address;
+        if (!signature) {
+            if (!ALLOW_PRIVATE_KEYS) {
+                return res.status(400).json({
+                    success: false,
+                    error: PRIVATE_KEYS_DISABLED_ERROR
+                });
+            }
+
+            sender = ethers.computeAddress(privateKey);
+            if (address && sender.toLowerCase() !== address.toLowerCase()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Private key does not match address'
+                });
+            }
+        }
+
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
+            return res.status(400).json({
+                success: false,
+                error: chainError,
+                code: chainErrorCode
+            });
+        }
+
+        const { feeOptions, error: feeError } = fees.parseFeeOptions(req.body);
+        if (feeError) {
+            return res.status(400).json({
+                success: false,
+                error: feeError
+            });
+        }
+
+        // Sponsored transfers are limited to the token allowlist
+        const tokenViolation = signature && policy.checkToken(chain.chainId, tokenAddress);
+        if (tokenViolation) {
+            return sendPolicyViolation(res, tokenViolation);
+        }
+
+        // Read decimals, symbol and balance from the token itself
+        let token;
+        try {
+            token = await tokens.readTokenMetadata(chain.rpcUrl, tokenAddress, sender);
+        } catch (error) {
+            return errors.sendError(res, error, 'Failed to read the token');
+        }
+
+        // Convert amount to the token's smallest unit
+        const parsedAmount = tokens.parseTokenAmount(amount, token.decimals);
+        if (parsedAmount.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsedAmount.error
+            });
+        }
+        const amountInUnits = parsedAmount.amount.toString();
+
+        if (parsedAmount.amount > BigInt(token.balance)) {
+            return res.status(400).json({
+                success: false,
+                error: `Insufficient ${token.symbol || 'token'} balance: ${token.balanceFormatted} available, ${amount} requested`
+            });
+        }
+
+        logger.info('Token:', token.symbol, `(${token.decimals} decimals)`);
+        logger.info('Amount in smallest unit:', amountInUnits);
+
+        const transferCall = {
+            to: tokenAddress,
+            value: 0n,
+            data: tokens.ERC20_INTERFACE.encodeFunctionData('transfer', [recipient, amountInUnits])
+        };
+
+        // An earlier send from this account may have spent the balance meanwhile
+        const checkBalance = async () => {
+            const balance = await tokens.readTokenBalance(chain.rpcUrl, tokenAddress, sender);
+            if (parsedAmount.amount > balance) {
+                throw new Error(`Insufficient ${token.symbol || 'token'} balance: ${ethers.formatUnits(balance, token.decimals)} available, ${amount} requested`);
+            }
+        };
+
+        const tokenResultFields = {
+            tokenAddress: tokenAddress,
+            recipient: recipient,
+            amount: token.symbol ? `${amount} ${token.symbol}` : amount,
+            amountInUnits: amountInUnits,
+            decimals: token.decimals
+        };
+
+        // Signed request: the account signed the transfer as a one-call batch, the sponsor relays it
+        if (signature) {
+            return await relaySignedBatch(res, 'send-token', chain, {
+                address,
+                calls: [transferCall],
+                signature,
+                authorization,
+                allowUnauditedImplementation,
+                precheck: checkBalance,
+                simulate,
+                feeOptions
+            }, reverted => ({
+                message: reverted ? 'ERC20 token transaction reverted' : 'ERC20 token sent successfully, gas paid by sponsor',
+                ...tokenResultFields
+            }));
+        }
+
+        // Fall back to the chain's BatchCallAndSponsor deployment from the address book
+        const implementation = implementationAddress || chain.implementation;
+        if (!implementation) {
+            return res.status(400).json({
                 success: false,
-                error: 'Invalid address format'
+                error: `Missing implementationAddress: no BatchCallAndSponsor deployment in script/addressBook/${chain.chainId}.json`
             });
         }
 
-        // This would require ethers.js or web3.js to check on-chain
-        // For now, return a message that frontend should check via MetaMask
+        if (!await guardDelegationTarget(res, chain, implementation, allowUnauditedImplementation)) {
+            return;
+        }
+
+        // The transaction re-delegates to the implementation and runs execute(calls) on the account
+        const failed = await rejectFailingBatch(res, chain, simulate, {
+            account: sender,
+            calls: [transferCall],
+            implementation: implementation,
+            withAuthorization: true
+        });
+        if (failed) {
+            return;
+        }
+
+        const job = jobs.createJob('send-token', {
+            address: sender,
+            chainId: chain.chainId,
+            implementation: implementation,
+            calls: batchCalls.serializeCalls([transferCall])
+        }, tenantName(req));
+
+        jobs.runJob(job, async (context) => {
+            context.setStage('waiting-for-account');
+
+            return locks.withLocks([locks.accountKey(chain.chainId, sender)], async () => {
+                context.setStage('preparing');
+
+                await checkBalance();
+
+                let result;
+                if (EXECUTION_MODE === 'forge') {
+                    logger.info('🚀 Executing SendEIP7702Transaction.s.sol...');
+                    result = await executeFoundryScript(
+                        'SendEIP7702Transaction.s.sol:SendEIP7702Transaction',
+                        privateKey,
+                        chain,
+                        {
+                            IMPLEMENTATION_ADDRESS: implementation,
+                            RECIPIENT_ADDRESS: recipient,
+                            TOKEN_ADDRESS: tokenAddress,
+                            AMOUNT: amountInUnits
+                        },
+                        context,
+                        feeOptions
+                    );
+                } else {
+                    logger.info('🚀 Sending Type 4 transaction natively...');
+                    result = await eip7702.sendBatch({
+                        rpcUrl: chain.rpcUrl,
+                        privateKey: privateKey,
+                        implementationAddress: implementation,
+                        calls: [transferCall],
+                        beforeBroadcast: context.markBroadcast,
+                        feeOptions: feeOptions
+                    });
+                }
+
+                context.setTxHash(result.txHash);
+                const receipt = await receipts.confirmTransaction(chain, result.txHash, sender);
+
+                const reverted = receipt.status !== 'success';
+
+                return {
+                    success: !reverted,
+                    message: reverted ? 'ERC20 token transaction reverted' : 'ERC20 token sent successfully via Type 4 transaction',
+                    error: reverted ? 'Transaction reverted' : undefined,
+                    txHash: result.txHash,
+                    explorerUrl: chains.explorerTxUrl(chain, result.txHash),
+                    chainId: chain.chainId,
+                    type: 'Type 4 (EIP-7702)',
+                    ...tokenResultFields,
+                    fees: result.fees,
+                    receipt: receipt
+                };
+            });
+        });
+
+        sendJobAccepted(res, job);
+
+    } catch (error) {
+        logger.error('❌ Send token error:', error);
+        errors.sendError(res, error, 'Failed to send token');
+    }
+});
+
+/**
+ * Execute a batch of arbitrary calls atomically via EIP-7702 (Type 4 Transaction)
+ * POST /api/batch
+ */
+app.post('/api/batch', validation.validate('sendBatch'), webhooks.validateCallback, auth.limitSends, async (req, res) => {
+    try {
+        const { address, signature, authorization, privateKey, implementationAddress, calls, chainId, simulate, allowUnauditedImplementation } = req.body;
+
+        logger.info('\n📦 Batch Request (Type 4)');
+        logger.info('Calls:', Array.isArray(calls) ? calls.length : 0);
+        logger.info('Implementation:', implementationAddress);
+
+        // Raw data or human-readable function signatures, encoded here
+        const parsed = batchCalls.normalizeCalls(calls);
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
+            return res.status(400).json({
+                success: false,
+                error: chainError,
+                code: chainErrorCode
+            });
+        }
+
+        const { feeOptions, error: feeError } = fees.parseFeeOptions(req.body);
+        if (feeError) {
+            return res.status(400).json({
+                success: false,
+                error: feeError
+            });
+        }
+
+        // Signed request: the account signed the encoded calls, the sponsor relays them
+        if (signature) {
+            return await relaySignedBatch(res, 'batch', chain, { address, calls: parsed.calls, signature, authorization, allowUnauditedImplementation, simulate, feeOptions }, reverted => ({
+                message: reverted ? 'Batch reverted' : 'Batch executed successfully, gas paid by sponsor',
+                calls: batchCalls.serializeCalls(parsed.calls)
+            }));
+        }
+
+        if (!ALLOW_PRIVATE_KEYS) {
+            return res.status(400).json({
+                success: false,
+                error: PRIVATE_KEYS_DISABLED_ERROR
+            });
+        }
+
+        if (EXECUTION_MODE === 'forge') {
+            return res.status(501).json({
+                success: false,
+                error: 'Arbitrary batches are only supported with EXECUTION_MODE=native'
+            });
+        }
+
+        // Account that signs and sends the transaction
+        const sender = ethers.computeAddress(privateKey);
+
+        if (address && sender.toLowerCase() !== address.toLowerCase()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Private key does not match address'
+            });
+        }
+
+        // Fall back to the chain's BatchCallAndSponsor deployment from the address book
+        const implementation = implementationAddress || chain.implementation;
+        if (!implementation) {
+            return res.status(400).json({
+                success: false,
+                error: `Missing implementationAddress: no BatchCallAndSponsor deployment in script/addressBook/${chain.chainId}.json`
+            });
+        }
+
+        if (!await guardDelegationTarget(res, chain, implementation, allowUnauditedImplementation)) {
+            return;
+        }
+
+        // The transaction re-delegates to the implementation and runs execute(calls) on the account
+        const failed = await rejectFailingBatch(res, chain, simulate, {
+            account: sender,
+            calls: parsed.calls,
+            implementation: implementation,
+            withAuthorization: true
+        });
+        if (failed) {
+            return;
+        }
+
+        const job = jobs.createJob('batch', {
+            address: sender,
+            chainId: chain.chainId,
+            implementation: implementation,
+            calls: batchCalls.serializeCalls(parsed.calls)
+        }, tenantName(req));
+
+        jobs.runJob(job, async (context) => {
+            context.setStage('waiting-for-account');
+
+            return locks.withLocks([locks.accountKey(chain.chainId, sender)], async () => {
+                context.setStage('preparing');
+
+                logger.info('🚀 Sending batch of', parsed.calls.length, 'call(s) natively...');
+                const result = await eip7702.sendBatch({
+                    rpcUrl: chain.rpcUrl,
+                    privateKey: privateKey,
+                    implementationAddress: implementation,
+                    calls: parsed.calls,
+                    beforeBroadcast: context.markBroadcast,
+                    feeOptions: feeOptions
+                });
+
+                context.setTxHash(result.txHash);
+                const receipt = await receipts.confirmTransaction(chain, result.txHash, sender);
+
+                const reverted = receipt.status !== 'success';
+
+                return {
+                    success: !reverted,
+                    message: reverted ? 'Batch reverted' : 'Batch executed successfully via Type 4 transaction',
+                    error: reverted ? 'Transaction reverted' : undefined,
+                    txHash: result.txHash,
+                    explorerUrl: chains.explorerTxUrl(chain, result.txHash),
+                    chainId: chain.chainId,
+                    type: 'Type 4 (EIP-7702)',
+                    address: sender,
+                    calls: batchCalls.serializeCalls(parsed.calls),
+                    fees: result.fees,
+                    receipt: receipt
+                };
+            });
+        });
+
+        sendJobAccepted(res, job);
+
+    } catch (error) {
+        logger.error('❌ Batch error:', error);
+        errors.sendError(res, error, 'Failed to execute batch');
+    }
+});
+
+/**
+ * Relay a user-signed batch, paid for by the backend's sponsor key
+ * POST /api/relay
+ */
+app.post('/api/relay', validation.validate('relayBatch'), webhooks.validateCallback, auth.limitSends, async (req, res) => {
+    try {
+        const { address, calls, signature, authorization, chainId, simulate, allowUnauditedImplementation } = req.body;
+
+        logger.info('\n⛽ Sponsored Relay Request');
+        logger.info('Account:', address);
+        logger.info('Calls:', Array.isArray(calls) ? calls.length : 0);
+        logger.info('With authorization:', !!authorization);
+
+        const parsed = batchCalls.normalizeCalls(calls);
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
+            return res.status(400).json({
+                success: false,
+                error: chainError,
+                code: chainErrorCode
+            });
+        }
+
+        const { feeOptions, error: feeError } = fees.parseFeeOptions(req.body);
+        if (feeError) {
+            return res.status(400).json({
+                success: false,
+                error: feeError
+            });
+        }
+
+        await relaySignedBatch(res, 'relay', chain, { address, calls: parsed.calls, signature, authorization, allowUnauditedImplementation, simulate, feeOptions }, reverted => ({
+            message: reverted ? 'Relayed batch reverted' : 'Batch relayed successfully, gas paid by sponsor'
+        }));
+
+    } catch (error) {
+        logger.error('❌ Relay error:', error);
+        errors.sendError(res, error, 'Failed to relay batch');
+    }
+});
+
+/**
+ * Simulate a batch without broadcasting it
+ * POST /api/simulate
+ */
+app.post('/api/simulate', validation.validate('simulateBatch'), async (req, res) => {
+    try {
+        const { address, calls, signature, authorization, implementationAddress, errors: errorSignatures, chainId } = req.body;
+
+        logger.info('\n🧪 Simulation Request');
+        logger.info('Account:', address);
+        logger.info('Calls:', Array.isArray(calls) ? calls.length : 0);
+
+        const parsed = batchCalls.normalizeCalls(calls);
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
+            return res.status(400).json({
+                success: false,
+                error: chainError,
+                code: chainErrorCode
+            });
+        }
+
+        let signedAuthorization = null;
+        if (authorization) {
+            const verified = await relay.verifyAuthorization(chain, address, authorization);
+            if (verified.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: verified.error,
+                    code: verified.code
+                });
+            }
+            signedAuthorization = verified.authorization;
+        }
+
+        // An account that is not delegated yet is simulated against the known implementation
+        const code = await eip7702.getProvider(chain.rpcUrl).getCode(address);
+        const implementation = signedAuthorization
+            ? signedAuthorization.address
+            : implementationAddress || (code === '0x' ? chain.implementation : null);
+
+        if (code === '0x' && !implementation) {
+            return res.status(400).json({
+                success: false,
+                error: `Account is not delegated and there is no BatchCallAndSponsor deployment in script/addressBook/${chain.chainId}.json: pass implementationAddress or an authorization`,
+                code: 'DELEGATION_MISSING'
+            });
+        }
+
+        const sponsorKey = relay.getSponsorKey();
+        const result = await simulation.simulateBatch(chain, {
+            account: address,
+            calls: parsed.calls,
+            signature: signature || null,
+            sender: signature && sponsorKey ? ethers.computeAddress(sponsorKey) : null,
+            implementation: implementation,
+            withAuthorization: signedAuthorization !== null,
+            errorSignatures: errorSignatures || []
+        });
+
+        logger.info(result.success ? `✅ Simulation succeeded (gas: ${result.gasEstimate})` : `🧪 Simulation failed: ${result.revertReason}`);
+
         res.json({
             success: true,
-            message: 'Please check delegation status via frontend',
-            address: address
+            chainId: chain.chainId,
+            address: address,
+            mode: signature ? 'sponsored' : 'self',
+            calls: batchCalls.serializeCalls(parsed.calls),
+            simulation: result
         });
 
     } catch (error) {
-        console.error('❌ Check delegation error:', error);
-        res.status(500).json({
+        logger.error('❌ Simulation error:', error);
+        errors.sendError(res, error, 'Failed to simulate batch');
+    }
+});
+
+/**
+ * Resolve the calls, chain and current batch nonce of a digest or verify request.
+ * Sends the 400 and returns null when the request cannot be prepared.
+ */
+async function prepareBatchRequest(res, { address, calls, implementationAddress, chainId }) {
+    const parsed = batchCalls.normalizeCalls(calls);
+    if (parsed.error) {
+        res.status(400).json({
+            success: false,
+            error: parsed.error
+        });
+        return null;
+    }
+
+    const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+    if (chainError) {
+        res.status(400).json({
             success: false,
-            error: error.message || 'Failed to check delegation'
+            error: chainError,
+            code: chainErrorCode
         });
+        return null;
+    }
+
+    const prepared = await relay.prepareBatch(chain, address, parsed.calls, implementationAddress || null);
+    if (prepared.error) {
+        res.status(400).json({
+            success: false,
+            error: prepared.error,
+            code: prepared.code
+        });
+        return null;
+    }
+
+    return { chain, calls: parsed.calls, prepared };
+}
+
+/**
+ * What an account signs for execute(calls, signature): its current batch nonce,
+ * the packed message, the digest and the EIP-191 hash BatchCallAndSponsor recovers
+ * POST /api/batch/digest
+ */
+app.post('/api/batch/digest', validation.validate('batchDigest'), async (req, res) => {
+    try {
+        const { address } = req.body;
+
+        logger.info('\n🔏 Batch Digest Request');
+        logger.info('Account:', address);
+
+        const batch = await prepareBatchRequest(res, req.body);
+        if (!batch) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            address: address,
+            chainId: batch.chain.chainId,
+            calls: batchCalls.serializeCalls(batch.calls),
+            ...batch.prepared
+        });
+
+    } catch (error) {
+        logger.error('❌ Batch digest error:', error);
+        errors.sendError(res, error, 'Failed to compute batch digest');
     }
 });
 
+/**
+ * Check a batch signature against the account's current batch nonce
+ * POST /api/batch/verify
+ */
+app.post('/api/batch/verify', validation.validate('verifyBatch'), async (req, res) => {
+    try {
+        const { address, signature } = req.body;
+
+        logger.info('\n🔏 Batch Signature Check');
+        logger.info('Account:', address);
+
+        const batch = await prepareBatchRequest(res, req.body);
+        if (!batch) {
+            return;
+        }
+
+        const result = relay.inspectBatchSignature(batch.prepared, address, batch.calls, signature);
+        logger.info(result.valid ? '✅ Batch signature is valid' : `❌ ${result.reason}`);
+
+        res.json({
+            success: true,
+            address: address,
+            chainId: batch.chain.chainId,
+            ...result,
+            nonce: batch.prepared.nonce,
+            digest: batch.prepared.digest,
+            ethSignedMessageHash: batch.prepared.ethSignedMessageHash
+        });
+
+    } catch (error) {
+        logger.error('❌ Batch verify error:', error);
+        errors.sendError(res, error, 'Failed to verify batch signature');
+    }
+});
+
+/**
+ * Check delegation status
+ * GET /api/check-delegation/:address
+ */
+app.get('/api/check-delegation/:address', validation.validate('checkDelegation'), async (req, res) => {
+    try {
+        const { address } = req.params;
+        const { chainId } = req.query;
+
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
+            return res.status(400).json({
+                success: false,
+                error: chainError,
+                code: chainErrorCode
+            });
+        }
+
+        const provider = eip7702.getProvider(chain.rpcUrl);
+
+        const [code, eoaNonce] = await Promise.all([
+            provider.getCode(address),
+            provider.getTransactionCount(address, 'latest')
+        ]);
+
+        const delegate = eip7702.parseDelegationDesignator(code);
+        const knownImplementation = chain.implementation;
+
+        // Whether the account runs an audited BatchCallAndSponsor build
+        const delegateCheck = delegate ? await bytecode.verifyImplementation(chain, delegate) : null;
+
+        // The contract-level nonce only exists if the delegate is a BatchCallAndSponsor
+        let contractNonce = null;
+        if (delegate) {
+            try {
+                contractNonce = (await eip7702.readBatchNonce(chain.rpcUrl, address)).toString();
+            } catch (error) {
+                logger.warn('⚠️ Could not read nonce() from delegate:', error.shortMessage || error.message);
+            }
+        }
+
+        res.json({
+            success: true,
+            address: address,
+            chainId: chain.chainId,
+            delegated: !!delegate,
+            delegate: delegate,
+            isKnownImplementation: !!delegate && !!knownImplementation && delegate === knownImplementation,
+            knownImplementation: knownImplementation,
+            delegateCheck: delegateCheck,
+            codeLength: (code.length - 2) / 2,
+            designator: delegate ? code : null,
+            eoaNonce: eoaNonce,
+            contractNonce: contractNonce
+        });
+
+    } catch (error) {
+        logger.error('❌ Check delegation error:', error);
+        errors.sendError(res, error, 'Failed to check delegation');
+    }
+});
+
+/**
+ * The authorization tuple an account signs to be delegated, with the nonce for its
+ * submitter: the sponsor (current nonce, default) or the account itself (nonce + 1)
+ * GET /api/prepare-delegation/:address?implementationAddress=&submitter=sponsor|self
+ */
+app.get('/api/prepare-delegation/:address', validation.validate('prepareDelegation'), async (req, res) => {
+    try {
+        const { address } = req.params;
+        const { chainId, implementationAddress, allowUnauditedImplementation } = req.query;
+        const submitter = req.query.submitter || 'sponsor';
+
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
+            return res.status(400).json({
+                success: false,
+                error: chainError,
+                code: chainErrorCode
+            });
+        }
+
+        // Fall back to the chain's BatchCallAndSponsor deployment from the address book
+        const implementation = implementationAddress ? ethers.getAddress(implementationAddress) : chain.implementation;
+        if (!implementation) {
+            return res.status(400).json({
+                success: false,
+                error: `Missing implementationAddress: no BatchCallAndSponsor deployment in script/addressBook/${chain.chainId}.json`
+            });
+        }
+
+        // No point in signing what the sponsor will refuse to submit
+        if (submitter === 'sponsor') {
+            const violation = policy.checkImplementation(chain, implementation);
+            if (violation) {
+                return sendPolicyViolation(res, violation);
+            }
+        }
+
+        const implementationCheck = await guardDelegationTarget(res, chain, implementation, allowUnauditedImplementation);
+        if (!implementationCheck) {
+            return;
+        }
+
+        const prepared = await relay.prepareAuthorization(chain, address, implementation, submitter);
+
+        res.json({
+            success: true,
+            address: address,
+            chainId: chain.chainId,
+            ...prepared,
+            implementationCheck: implementationCheck
+        });
+
+    } catch (error) {
+        logger.error('❌ Prepare delegation error:', error);
+        errors.sendError(res, error, 'Failed to prepare delegation');
+    }
+});
+
+/**
+ * Get ERC20 token metadata (and balance when owner is given)
+ * GET /api/tokens/:address?owner=0x...
+ */
+app.get('/api/tokens/:address', validation.validate('getToken'), async (req, res) => {
+    try {
+        const { address } = req.params;
+        const { chainId, owner } = req.query;
+
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
+            return res.status(400).json({
+                success: false,
+                error: chainError,
+                code: chainErrorCode
+            });
+        }
+
+        let token;
+        try {
+            token = await tokens.readTokenMetadata(chain.rpcUrl, address, owner || null);
+        } catch (error) {
+            return errors.sendError(res, error, 'Failed to read the token');
+        }
+
+        res.json({
+            success: true,
+            chainId: chain.chainId,
+            ...token
+        });
+
+    } catch (error) {
+        logger.error('❌ Token metadata error:', error);
+        errors.sendError(res, error, 'Failed to read token metadata');
+    }
+});
+
+/**
+ * BatchCallAndSponsor deployments per chain, with a live check of their code
+ * GET /api/implementations?chainId=
+ */
+app.get('/api/implementations', validation.validate('listImplementations'), async (req, res) => {
+    try {
+        const chainId = req.query.chainId || null;
+
+        if (chainId !== null && !chains.getChain(chainId)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported chainId ${chainId}`,
+                code: 'WRONG_CHAIN'
+            });
+        }
+
+        res.json({
+            success: true,
+            implementations: await implementations.listImplementations(chainId)
+        });
+
+    } catch (error) {
+        logger.error('❌ Implementations error:', error);
+        errors.sendError(res, error, 'Failed to list implementations');
+    }
+});
+
+/**
+ * Deploy BatchCallAndSponsor from the sponsor key and record it in the address book
+ * POST /api/implementations/deploy
+ */
+app.post('/api/implementations/deploy', validation.validate('deployImplementation'), webhooks.validateCallback, auth.limitSends, async (req, res) => {
+    try {
+        const { chainId, redeploy } = req.body;
+
+        logger.info('\n🏗️  Deploy Implementation Request');
+
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
+            return res.status(400).json({
+                success: false,
+                error: chainError,
+                code: chainErrorCode
+            });
+        }
+        logger.info('Chain:', chain.chainId);
+
+        const { feeOptions, error: feeError } = fees.parseFeeOptions(req.body);
+        if (feeError) {
+            return res.status(400).json({
+                success: false,
+                error: feeError
+            });
+        }
+
+        if (!relay.getSponsorKey()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Deployment unavailable: SPONSOR_PRIVATE_KEY not set'
+            });
+        }
+
+        // Replacing a live deployment changes the known implementation, so it has to be asked for
+        if (chain.implementation && !redeploy
+            && await eip7702.getProvider(chain.rpcUrl).getCode(chain.implementation) !== '0x') {
+            return res.status(409).json({
+                success: false,
+                error: `BatchCallAndSponsor is already deployed on chain ${chain.chainId} at ${chain.implementation}: set redeploy to replace it`,
+                code: 'CONFLICT'
+            });
+        }
+
+        const job = implementations.runDeployJob(chain, { redeploy, feeOptions, tenant: tenantName(req) });
+        sendJobAccepted(res, job);
+
+    } catch (error) {
+        logger.error('❌ Deploy implementation error:', error);
+        errors.sendError(res, error, 'Failed to deploy implementation');
+    }
+});
+
+/**
+ * Get the sponsorship policy (and an account's usage today when address is given)
+ * GET /api/policy?address=0x...
+ */
+app.get('/api/policy', validation.validate('getPolicy'), async (req, res) => {
+    try {
+        const { chainId, address } = req.query;
+
+        const { chain, error: chainError, code: chainErrorCode } = await chains.resolveChain(chainId);
+        if (chainError) {
+            return res.status(400).json({
+                success: false,
+                error: chainError,
+                code: chainErrorCode
+            });
+        }
+
+        res.json({
+            success: true,
+            policy: policy.describe(chain, address || null)
+        });
+
+    } catch (error) {
+        logger.error('❌ Policy error:', error);
+        errors.sendError(res, error, 'Failed to read policy');
+    }
+});
+
+/**
+ * Query the transaction history, newest first
+ * GET /api/transactions?address=&chainId=&status=&from=&to=&limit=&offset=
+ */
+app.get('/api/transactions', validation.validate('listTransactions'), (req, res) => {
+    try {
+        const { address, chainId, status, from, to, limit, offset } = req.query;
+
+        const fromDate = from ? parseTimestamp(from) : null;
+        const toDate = to ? parseTimestamp(to) : null;
+        const pageSize = limit === undefined ? history.DEFAULT_PAGE_SIZE : limit;
+        const pageOffset = offset === undefined ? 0 : offset;
+
+        const { total, transactions } = history.queryTransactions({
+            address: address,
+            chainId: chainId || null,
+            status: status,
+            from: fromDate,
+            to: toDate,
+            limit: pageSize,
+            offset: pageOffset
+        }, record => visibleToTenant(req, record.requester));
+
+        res.json({
+            success: true,
+            total: total,
+            limit: pageSize,
+            offset: pageOffset,
+            nextOffset: pageOffset + transactions.length < total ? pageOffset + transactions.length : null,
+            transactions: transactions
+        });
+
+    } catch (error) {
+        logger.error('❌ Transaction history error:', error);
+        errors.sendError(res, error, 'Failed to query transaction history');
+    }
+});
+
+/**
+ * Look up a transaction in the history by hash
+ * GET /api/transactions/:hash
+ */
+app.get('/api/transactions/:hash', validation.validate('getTransaction'), (req, res) => {
+    const transaction = findTenantTransaction(req, req.params.hash);
+    if (!transaction) {
+        return res.status(404).json({
+            success: false,
+            error: 'Transaction not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        transaction: transaction
+    });
+});
+
+/**
+ * Replace a pending sponsor transaction: the same transaction with higher
+ * fees (speed-up) or a zero-value self-send (cancel), both with the same nonce
+ */
+async function replaceSponsorTransaction(req, res, cancel) {
+    const action = cancel ? 'Cancel' : 'Speed-up';
+    logger.info(`\n${cancel ? '🛑' : '⏫'} ${action} Transaction Request:`, req.params.hash);
+
+    // Only the tenant that sent it may replace it
+    if (nonces.chainIdOf(req.params.hash) === null || !findTenantTransaction(req, req.params.hash)) {
+        return res.status(404).json({
+            success: false,
+            error: 'No pending sponsor transaction with this hash'
+        });
+    }
+
+    try {
+        const result = cancel
+            ? await nonces.cancelTransaction(req.params.hash)
+            : await nonces.speedUpTransaction(req.params.hash);
+
+        res.json({
+            success: true,
+            message: cancel ? 'Cancellation broadcast' : 'Replacement broadcast',
+            ...result,
+            explorerUrl: chains.explorerTxUrl(chains.getChain(result.chainId), result.txHash)
+        });
+
+    } catch (error) {
+        logger.error(`❌ ${action} error:`, error);
+        errors.sendError(res, error, `${action} failed`);
+    }
+}
+
+/**
+ * Speed up a pending sponsor transaction
+ * POST /api/transactions/:hash/speed-up
+ */
+app.post('/api/transactions/:hash/speed-up', validation.validate('speedUpTransaction'), auth.limitSends, (req, res) => replaceSponsorTransaction(req, res, false));
+
+/**
+ * Cancel a pending sponsor transaction
+ * POST /api/transactions/:hash/cancel
+ */
+app.post('/api/transactions/:hash/cancel', validation.validate('cancelTransaction'), auth.limitSends, (req, res) => replaceSponsorTransaction(req, res, true));
+
+/**
+ * Get job status
+ * GET /api/jobs/:id
+ */
+app.get('/api/jobs/:id', validation.validate('getJob'), (req, res) => {
+    const job = findTenantJob(req);
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        job: jobs.serializeJob(job)
+    });
+});
+
+/**
+ * Cancel a job that has not broadcast yet
+ * DELETE /api/jobs/:id
+ */
+app.delete('/api/jobs/:id', validation.validate('cancelJob'), (req, res) => {
+    logger.info('\n🛑 Cancel Job Request:', req.params.id);
+
+    if (!findTenantJob(req)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    const { job, error, status } = jobs.cancelJob(req.params.id);
+    if (error) {
+        return res.status(status).json({
+            success: false,
+            error: error
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Job cancelled',
+        job: jobs.serializeJob(job)
+    });
+});
+
 /**
  * Get Foundry version
  * GET /api/foundry-version
@@ -548,11 +2087,7 @@ app.get('/api/check-delegation/:address', async (req, res) => {
 app.get('/api/foundry-version', (req, res) => {
     exec('forge --version', (error, stdout, stderr) => {
         if (error) {
-            return res.status(500).json({
-                success: false,
-                error: 'Foundry not installed or not in PATH',
-                details: error.message
-            });
+            return errors.sendError(res, new errors.ApiError('FOUNDRY_MISSING', null, error.message));
         }
 
         res.json({
@@ -566,12 +2101,14 @@ app.get('/api/foundry-version', (req, res) => {
  * Error handling middleware
  */
 app.use((err, req, res, next) => {
-    console.error('💥 Unhandled error:', err);
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error',
-        message: err.message
-    });
+    // express.json() rejects malformed bodies with a 400 SyntaxError. It is the client's
+    // mistake, and the error carries the raw body (keys and all), so only its type is logged.
+    if (err.type === 'entity.parse.failed') {
+        logger.event('warn', '⚠️ Malformed JSON body', { type: err.type, method: req.method, path: req.path });
+        return errors.sendError(res, new errors.ApiError('INVALID_REQUEST', 'Invalid JSON body'));
+    }
+    logger.error('💥 Unhandled error:', err);
+    errors.sendError(res, err, 'Internal server error');
 });
 
 /**
@@ -585,39 +2122,99 @@ app.use((req, res) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('🚀 EIP-7702 Backend API Server');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log(`📡 Server running at: http://localhost:${PORT}`);
-    console.log(`📂 Project root: ${PROJECT_ROOT}`);
-    console.log(`\n🔗 Available Endpoints:`);
-    console.log(`   GET  /api/health`);
-    console.log(`   POST /api/add-delegation`);
-    console.log(`   POST /api/remove-delegation`);
-    console.log(`   POST /api/send-native`);
-    console.log(`   POST /api/send-token`);
-    console.log(`   GET  /api/check-delegation/:address`);
-    console.log(`   GET  /api/foundry-version`);
-    console.log(`\n⚠️  SECURITY WARNING:`);
-    console.log(`   This server handles private keys!`);
-    console.log(`   Only use on localhost or secure network`);
-    console.log(`   Never deploy to public internet without proper security`);
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+// Start server (in local mode once anvil runs and the contracts are deployed,
+// trusting the build it deployed there)
+const ready = local.LOCAL_MODE
+    ? local.startLocalChain().then(deployment => bytecode.trustLocalBuild(local.LOCAL_CHAIN_ID, deployment.codeHash))
+    : Promise.resolve();
+
+ready.then(() => app.listen(PORT, () => {
+    logger.info('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info('🚀 EIP-7702 Backend API Server');
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info(`📡 Server running at: http://localhost:${PORT}`);
+    logger.info(`📂 Project root: ${PROJECT_ROOT}`);
+    logger.info(`⚙️  Execution mode: ${EXECUTION_MODE}`);
+    if (local.LOCAL_MODE) {
+        logger.info(`⛓️  Local mode: anvil at ${local.ANVIL_RPC_URL}, funded accounts at GET /api/local/accounts`);
+    }
+    logger.info(`\n🔗 Available Endpoints:`);
+    logger.info(`   GET  /api/health`);
+    logger.info(`   POST /api/add-delegation`);
+    logger.info(`   POST /api/remove-delegation`);
+    logger.info(`   POST /api/send-native`);
+    logger.info(`   POST /api/send-token`);
+    logger.info(`   POST /api/batch`);
+    logger.info(`   POST /api/relay`);
+    logger.info(`   POST /api/simulate`);
+    logger.info(`   POST /api/batch/digest`);
+    logger.info(`   POST /api/batch/verify`);
+    logger.info(`   GET  /api/check-delegation/:address`);
+    logger.info(`   GET  /api/prepare-delegation/:address`);
+    logger.info(`   GET  /api/tokens/:address`);
+    logger.info(`   GET  /api/implementations`);
+    logger.info(`   POST /api/implementations/deploy`);
+    logger.info(`   GET  /api/policy`);
+    logger.info(`   GET  /api/transactions`);
+    logger.info(`   GET  /api/transactions/:hash`);
+    logger.info(`   POST /api/transactions/:hash/speed-up`);
+    logger.info(`   POST /api/transactions/:hash/cancel`);
+    logger.info(`   GET  /api/jobs/:id`);
+    logger.info(`   DELETE /api/jobs/:id`);
+    logger.info(`   GET  /api/foundry-version`);
+    logger.info(`   GET  /api/openapi.json`);
+    logger.info(`   GET  /api/docs`);
+    if (local.LOCAL_MODE) {
+        logger.info(`   GET  /api/local/accounts`);
+    }
+    if (ALLOW_PRIVATE_KEYS) {
+        logger.warn(`\n⚠️  SECURITY WARNING:`);
+        logger.info(`   ALLOW_PRIVATE_KEYS is set: this server accepts raw private keys!`);
+        logger.info(`   Only use on localhost or secure network`);
+        logger.info(`   Never deploy to public internet without proper security`);
+    }
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
     
     // Check environment
-    if (!process.env.SEPOLIA_RPC_URL) {
-        console.log('⚠️  WARNING: SEPOLIA_RPC_URL not set in .env');
+    const configuredChains = chains.listChains().filter(chain => chain.configured);
+    if (configuredChains.length === 0) {
+        logger.warn('⚠️  WARNING: no chain RPC URL set in .env (e.g. SEPOLIA_RPC_URL)');
+    } else {
+        logger.info(`🌐 Configured chains: ${configuredChains.map(chain => `${chain.name} (${chain.chainId})`).join(', ')}`);
+    }
+    logger.info(`🌐 Default chain: ${chains.DEFAULT_CHAIN_ID}`);
+    if (!relay.getSponsorKey()) {
+        logger.warn('⚠️  WARNING: SPONSOR_PRIVATE_KEY not set, signed requests cannot be relayed');
     }
+    if (auth.isEnabled()) {
+        logger.info(`🔑 API keys required (${auth.API_KEYS_FILE})`);
+    } else if (auth.ALLOW_UNAUTHENTICATED) {
+        logger.warn(`⚠️  WARNING: no API keys in ${auth.API_KEYS_FILE} and ALLOW_UNAUTHENTICATED is set, state-changing routes are open`);
+    } else {
+        logger.warn(`⚠️  WARNING: no API keys in ${auth.API_KEYS_FILE}, routes that send transactions are disabled (ALLOW_UNAUTHENTICATED=1 opens them)`);
+    }
+    logger.info(`🌍 Allowed origins: ${auth.allowedOrigins().join(', ')}`);
+    logger.info(`📜 Sponsorship policy: ${fs.existsSync(policy.POLICY_FILE) ? policy.POLICY_FILE : 'defaults (known implementations only)'}`);
+    logger.info(`🗂️  Transaction history: ${history.HISTORY_FILE}`);
+    logger.info(`🧾 Audit log: ${audit.AUDIT_LOG_FILE}`);
+    logger.info(`⛽ Fee strategy: ${fees.DEFAULT_FEE_STRATEGY}, ceiling: ${fees.MAX_FEE_PER_GAS === null ? 'none' : ethers.formatUnits(fees.MAX_FEE_PER_GAS, 'gwei') + ' gwei'}`);
+    logger.info(`📨 Webhooks: ${webhooks.WEBHOOK_SECRET ? 'enabled' : 'only for API keys with a webhookSecret (WEBHOOK_SECRET not set)'}`);
+    logger.info(`⏫ Stuck sponsor transactions sped up after ${nonces.STUCK_TX_TIMEOUT_MS / 1000}s (+${nonces.FEE_BUMP_PERCENT}% fees)`);
+    logger.info(`📝 Logging: ${LOG_FORMAT}, level ${LOG_LEVEL}`);
     
-    // Check Foundry installation
-    exec('forge --version', (error, stdout) => {
-        if (error) {
-            console.log('⚠️  WARNING: Foundry not found. Please install Foundry.');
-            console.log('   Install: curl -L https://foundry.paradigm.xyz | bash');
-        } else {
-            console.log(`✅ Foundry detected: ${stdout.trim()}`);
-        }
+    // Check Foundry installation (only needed for the forge fallback)
+    if (EXECUTION_MODE === 'forge') {
+        exec('forge --version', (error, stdout) => {
+            if (error) {
+                logger.warn('⚠️  WARNING: Foundry not found. Please install Foundry.');
+                logger.info('   Install: curl -L https://foundry.paradigm.xyz | bash');
+            } else {
+                logger.info(`✅ Foundry detected: ${stdout.trim()}`);
+            }
+        });
+    }
+}))
+    .catch(error => {
+        logger.error('❌ Local chain failed to start:', error.message);
+        process.exit(1);
     });
-});
\ No newline at end of file
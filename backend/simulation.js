@@ -0,0 +1,249 @@
+/**
+ * Batch Simulation
+ * Dry-runs BatchCallAndSponsor.execute with eth_call before anything is broadcast,
+ * estimates its gas and decodes why it would revert
+ */
+
+const { ethers } = require('ethers');
+const eip7702 = require('./eip7702');
+const errors = require('./errors');
+
+// Intrinsic gas EIP-7702 charges per authorization in the list (before refunds)
+const PER_AUTHORIZATION_GAS = 25000n;
+
+// Errors of the OpenZeppelin code BatchCallAndSponsor uses, and of OpenZeppelin ERC20 tokens
+const KNOWN_ERRORS = [
+    'error ECDSAInvalidSignature()',
+    'error ECDSAInvalidSignatureLength(uint256 length)',
+    'error ECDSAInvalidSignatureS(bytes32 s)',
+    'error ReentrancyGuardReentrantCall()',
+    'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+    'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+    'error ERC20InvalidSender(address sender)',
+    'error ERC20InvalidReceiver(address receiver)',
+    'error ERC20InvalidApprover(address approver)',
+    'error ERC20InvalidSpender(address spender)'
+];
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_REASONS = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x31: 'pop on an empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory'
+};
+
+// BatchCallAndSponsor reverts with this when one of the calls fails, hiding the call's own reason
+const CALL_REVERTED = 'Call reverted';
+
+function toJsonValue(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toJsonValue);
+    }
+    return value;
+}
+
+/**
+ * Decode revert data: Error(string), Panic(uint256), or a custom error from
+ * KNOWN_ERRORS / `errorSignatures` (human-readable, e.g. "error NotOwner(address)").
+ * Returns { reason, error } where error is { name, signature, selector, args } or null.
+ */
+function decodeRevert(data, errorSignatures = []) {
+    if (!data || data === '0x') {
+        return { reason: 'Reverted without a reason', error: null };
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            const [message] = abiCoder.decode(['string'], ethers.dataSlice(data, 4));
+            return {
+                reason: message,
+                error: { name: 'Error', signature: 'Error(string)', selector: selector, args: [message] }
+            };
+        }
+
+        if (selector === PANIC_SELECTOR) {
+            const [code] = abiCoder.decode(['uint256'], ethers.dataSlice(data, 4));
+            const description = PANIC_REASONS[Number(code)] || 'unknown panic code';
+            return {
+                reason: `Panic(0x${code.toString(16)}): ${description}`,
+                error: { name: 'Panic', signature: 'Panic(uint256)', selector: selector, args: [code.toString()] }
+            };
+        }
+
+        const errorInterface = new ethers.Interface([...KNOWN_ERRORS, ...errorSignatures]);
+        const parsed = errorInterface.parseError(data);
+        if (parsed) {
+            const args = toJsonValue(Array.from(parsed.args));
+            return {
+                reason: `${parsed.name}(${args.join(', ')})`,
+                error: { name: parsed.name, signature: parsed.signature, selector: selector, args: args }
+            };
+        }
+    } catch (error) {
+        // Malformed revert data: fall through to the raw selector
+    }
+
+    return {
+        reason: `Unknown custom error ${selector}`,
+        error: { name: null, signature: null, selector: selector, args: [], data: data }
+    };
+}
+
+/**
+ * eth_call that reports reverts instead of throwing.
+ * Returns { returnData } or { revertData }.
+ */
+async function tryCall(provider, tx, stateOverride) {
+    const params = stateOverride ? [tx, 'latest', stateOverride] : [tx, 'latest'];
+    try {
+        return { returnData: await provider.send('eth_call', params) };
+    } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION') {
+            throw error;
+        }
+        const revertData = error.data || (error.info && error.info.error && error.info.error.data) || null;
+        return { revertData: typeof revertData === 'string' ? revertData : null };
+    }
+}
+
+function toCallRequest(from, to, value, data) {
+    return { from: from, to: to, value: ethers.toQuantity(value), data: data };
+}
+
+/**
+ * Find which call made BatchCallAndSponsor revert with "Call reverted":
+ * execute ever longer prefixes of the batch as the account itself, then run the
+ * failing call alone to recover the target's own revert reason.
+ * Native value beyond the account's balance is reported without a call.
+ */
+async function findFailingCall(provider, account, calls, stateOverride, errorSignatures) {
+    const balance = await provider.getBalance(account);
+    let valueSent = 0n;
+
+    for (let i = 0; i < calls.length; i++) {
+        const call = calls[i];
+        valueSent += BigInt(call.value);
+
+        // Nodes do not always report this as a revert of the call itself
+        if (valueSent > balance) {
+            return {
+                index: i,
+                to: call.to,
+                reason: `Insufficient ETH balance: the account has ${ethers.formatEther(balance)} ETH, the calls up to here send ${ethers.formatEther(valueSent)} ETH`,
+                error: null
+            };
+        }
+
+        const prefix = calls.slice(0, i + 1);
+        const prefixCall = await tryCall(
+            provider,
+            toCallRequest(account, account, 0n, eip7702.encodeExecute(prefix)),
+            stateOverride
+        );
+        if (prefixCall.revertData === undefined) {
+            continue;
+        }
+
+        const alone = await tryCall(provider, toCallRequest(account, call.to, call.value, call.data || '0x'), stateOverride);
+
+        // Alone the call may succeed: it then depends on state left by the calls before it
+        const decoded = alone.revertData === undefined
+            ? { reason: CALL_REVERTED, error: null }
+            : decodeRevert(alone.revertData, errorSignatures);
+
+        return {
+            index: i,
+            to: call.to,
+            reason: decoded.reason,
+            error: decoded.error
+        };
+    }
+    return null;
+}
+
+/**
+ * Simulate BatchCallAndSponsor.execute on `account` without broadcasting.
+ *
+ * With a signature, `sender` (the sponsor) calls execute(calls, signature);
+ * without one the account calls execute(calls) on itself. When `implementation`
+ * differs from the account's current delegate (or the account is not delegated
+ * yet), its delegation designator is injected with a state override.
+ * `withAuthorization` adds the authorization's intrinsic gas to the estimate.
+ */
+async function simulateBatch(chain, { account, calls, signature = null, sender = null, implementation = null, withAuthorization = false, errorSignatures = [] }) {
+    const provider = eip7702.getProvider(chain.rpcUrl);
+    const currentDelegate = eip7702.parseDelegationDesignator(await provider.getCode(account));
+    const delegate = implementation ? ethers.getAddress(implementation) : currentDelegate;
+
+    if (!delegate) {
+        throw new Error('Account is not delegated: pass an implementation to simulate against');
+    }
+
+    let stateOverride = null;
+    if (delegate !== currentDelegate) {
+        if (await provider.getCode(delegate) === '0x') {
+            throw new Error(`Implementation ${delegate} has no code`);
+        }
+        stateOverride = { [account]: { code: eip7702.DELEGATION_PREFIX + delegate.slice(2).toLowerCase() } };
+    }
+
+    const tx = signature
+        ? toCallRequest(sender || account, account, 0n, eip7702.encodeExecuteWithSignature(calls, signature))
+        : toCallRequest(account, account, 0n, eip7702.encodeExecute(calls));
+
+    const simulation = {
+        success: false,
+        gasEstimate: null,
+        implementation: delegate,
+        stateOverride: stateOverride !== null
+    };
+
+    const result = await tryCall(provider, tx, stateOverride);
+
+    if (result.revertData !== undefined) {
+        const decoded = decodeRevert(result.revertData, errorSignatures);
+        simulation.revertReason = decoded.reason;
+        simulation.revertError = decoded.error;
+
+        if (decoded.reason === CALL_REVERTED) {
+            const failedCall = await findFailingCall(provider, account, calls, stateOverride, errorSignatures);
+            if (failedCall) {
+                simulation.failedCall = failedCall;
+                simulation.revertReason = `calls[${failedCall.index}] to ${failedCall.to} reverted: ${failedCall.reason}`;
+            }
+        }
+        simulation.code = errors.codeForRevert(simulation.revertReason);
+        return simulation;
+    }
+
+    simulation.success = true;
+
+    try {
+        const params = stateOverride ? [tx, 'latest', stateOverride] : [tx, 'latest'];
+        const gas = BigInt(await provider.send('eth_estimateGas', params));
+        simulation.gasEstimate = (gas + (withAuthorization ? PER_AUTHORIZATION_GAS : 0n)).toString();
+    } catch (error) {
+        // Not every node accepts a state override in eth_estimateGas
+        simulation.gasEstimateError = error.shortMessage || error.message;
+    }
+
+    return simulation;
+}
+
+module.exports = {
+    KNOWN_ERRORS,
+    decodeRevert,
+    simulateBatch
+};
@@ -0,0 +1,222 @@
+/**
+ * API Authentication Tests
+ * Key lookup, HMAC-signed requests, rate limits and the refusal to send without keys
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const TENANTS = [
+    { name: 'web', key: 'web-key', origins: ['http://localhost:3000'] },
+    { name: 'signed', key: 'signed-key', secret: 'hmac-secret' },
+    { name: 'busy', key: 'busy-key', requestsPerMinute: 2 },
+    { name: 'sender', key: 'sender-key', sendsPerHour: 1 }
+];
+
+/**
+ * Load a fresh auth module under the given environment, mounted on an app
+ * with a read route and a send route
+ */
+async function startApp(env) {
+    for (const name of ['API_KEYS_FILE', 'ALLOW_UNAUTHENTICATED']) {
+        if (env[name] === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = env[name];
+        }
+    }
+    delete require.cache[require.resolve('../auth')];
+    const auth = require('../auth');
+
+    const app = express();
+    app.use(express.json({ verify: auth.captureRawBody }));
+    app.use('/api', auth.authenticate);
+    app.get('/api/balance', (req, res) => res.json({ success: true, tenant: req.tenant || null }));
+    app.post('/api/send', auth.limitSends, (req, res) => res.json({ success: true, tenant: req.tenant || null }));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function request(url, { method = 'POST', headers = {}, body } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: method === 'GET' ? undefined : JSON.stringify(body || {})
+    });
+    return { status: response.status, headers: response.headers, data: await response.json() };
+}
+
+function sign(secret, timestamp, method, url, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${method}.${url}.${body}`).digest('hex');
+}
+
+describe('with an API keys file', () => {
+    let dir;
+    let app;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+        const keysFile = path.join(dir, 'api-keys.json');
+        fs.writeFileSync(keysFile, JSON.stringify({ tenants: TENANTS }));
+        app = await startApp({ API_KEYS_FILE: keysFile });
+    });
+
+    after(() => {
+        app.server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('attributes a request to the tenant of its key', async () => {
+        const { status, data } = await request(`${app.url}/api/send`, { headers: { 'X-API-Key': 'web-key' } });
+        assert.equal(status, 200);
+        assert.equal(data.tenant.name, 'web');
+        assert.match(data.tenant.keyId, /^[0-9a-f]{12}$/);
+    });
+
+    it('needs a key to send but not to read', async () => {
+        const missing = await request(`${app.url}/api/send`);
+        assert.equal(missing.status, 401);
+        assert.equal(missing.data.error, 'Missing X-API-Key header');
+
+        const read = await request(`${app.url}/api/balance`, { method: 'GET' });
+        assert.equal(read.status, 200);
+        assert.equal(read.data.tenant, null);
+    });
+
+    it('refuses an unknown key', async () => {
+        const { status, data } = await request(`${app.url}/api/balance`, { method: 'GET', headers: { 'X-API-Key': 'nope' } });
+        assert.equal(status, 401);
+        assert.equal(data.error, 'Invalid API key');
+    });
+
+    it('refuses an origin that is not on the key\'s allowlist', async () => {
+        const { status } = await request(`${app.url}/api/send`, {
+            headers: { 'X-API-Key': 'web-key', Origin: 'https://evil.example' }
+        });
+        assert.equal(status, 403);
+    });
+
+    describe('HMAC-signed requests', () => {
+        const body = JSON.stringify({ amount: '1' });
+
+        function signedHeaders(timestamp, signature) {
+            return { 'X-API-Key': 'signed-key', 'X-Timestamp': String(timestamp), 'X-Signature': signature };
+        }
+
+        async function send(headers) {
+            const response = await fetch(`${app.url}/api/send?chainId=31337`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body
+            });
+            return { status: response.status, data: await response.json() };
+        }
+
+        it('accepts a signature over timestamp, method, URL and body', async () => {
+            const now = Math.floor(Date.now() / 1000);
+            const { status, data } = await send(signedHeaders(now, sign('hmac-secret', now, 'POST', '/api/send?chainId=31337', body)));
+            assert.equal(status, 200);
+            assert.equal(data.tenant.name, 'signed');
+        });
+
+        it('refuses a missing, wrong or tampered signature', async () => {
+            const now = Math.floor(Date.now() / 1000);
+
+            assert.match((await send({ 'X-API-Key': 'signed-key' })).data.error, /Missing X-Timestamp or X-Signature/);
+            assert.equal((await send(signedHeaders(now, sign('other-secret', now, 'POST', '/api/send?chainId=31337', body)))).data.error, 'Invalid request signature');
+            assert.equal((await send(signedHeaders(now, sign('hmac-secret', now, 'POST', '/api/send?chainId=1', body)))).data.error, 'Invalid request signature');
+            assert.equal((await send(signedHeaders(now, 'short'))).status, 401);
+        });
+
+        it('refuses a signature with non-ASCII characters instead of failing', async () => {
+            const now = Math.floor(Date.now() / 1000);
+            const signature = '\u00e9' + sign('hmac-secret', now, 'POST', '/api/send?chainId=31337', body).slice(1);
+
+            const { status, data } = await send(signedHeaders(now, signature));
+            assert.equal(status, 401);
+            assert.equal(data.error, 'Invalid request signature');
+        });
+
+        it('refuses timestamps outside the five-minute window', async () => {
+            const now = Math.floor(Date.now() / 1000);
+
+            for (const timestamp of [now - 6 * 60, now + 6 * 60]) {
+                const { status, data } = await send(signedHeaders(timestamp, sign('hmac-secret', timestamp, 'POST', '/api/send?chainId=31337', body)));
+                assert.equal(status, 401);
+                assert.match(data.error, /too old or too far in the future/);
+            }
+
+            const inWindow = now - 4 * 60;
+            assert.equal((await send(signedHeaders(inWindow, sign('hmac-secret', inWindow, 'POST', '/api/send?chainId=31337', body)))).status, 200);
+        });
+
+        it('refuses a timestamp that is not Unix seconds', async () => {
+            const { data } = await send(signedHeaders('abc', sign('hmac-secret', 'abc', 'POST', '/api/send?chainId=31337', body)));
+            assert.equal(data.error, 'X-Timestamp must be Unix time in seconds');
+        });
+    });
+
+    it('limits requests per minute for each tenant', async () => {
+        const headers = { 'X-API-Key': 'busy-key' };
+
+        assert.equal((await request(`${app.url}/api/balance`, { method: 'GET', headers })).status, 200);
+        assert.equal((await request(`${app.url}/api/balance`, { method: 'GET', headers })).status, 200);
+
+        const limited = await request(`${app.url}/api/balance`, { method: 'GET', headers });
+        assert.equal(limited.status, 429);
+        assert.match(limited.data.error, /2 requests per minute/);
+        assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+
+        // Other tenants have their own window
+        assert.equal((await request(`${app.url}/api/balance`, { method: 'GET', headers: { 'X-API-Key': 'web-key' } })).status, 200);
+    });
+
+    it('limits sends per hour for each tenant, but not reads', async () => {
+        const headers = { 'X-API-Key': 'sender-key' };
+
+        assert.equal((await request(`${app.url}/api/send`, { headers })).status, 200);
+
+        const limited = await request(`${app.url}/api/send`, { headers });
+        assert.equal(limited.status, 429);
+        assert.match(limited.data.error, /1 sends per hour/);
+        assert.ok(Number(limited.headers.get('Retry-After')) > 3500);
+
+        assert.equal((await request(`${app.url}/api/balance`, { method: 'GET', headers })).status, 200);
+    });
+});
+
+describe('without an API keys file', () => {
+    const missingFile = path.join(os.tmpdir(), 'auth-test-missing', 'api-keys.json');
+
+    it('refuses to send but still serves reads', async () => {
+        const app = await startApp({ API_KEYS_FILE: missingFile });
+        try {
+            const send = await request(`${app.url}/api/send`);
+            assert.equal(send.status, 503);
+            assert.match(send.data.error, /no API keys configured/);
+
+            assert.equal((await request(`${app.url}/api/balance`, { method: 'GET' })).status, 200);
+        } finally {
+            app.server.close();
+        }
+    });
+
+    it('sends when ALLOW_UNAUTHENTICATED is set', async () => {
+        const app = await startApp({ API_KEYS_FILE: missingFile, ALLOW_UNAUTHENTICATED: '1' });
+        try {
+            assert.equal((await request(`${app.url}/api/send`)).status, 200);
+        } finally {
+            app.server.close();
+        }
+    });
+});
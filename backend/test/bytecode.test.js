@@ -0,0 +1,95 @@
+/**
+ * Implementation Bytecode Guard Tests
+ * The AUDITED_CODE_HASHES startup checks, and delegation targets checked
+ * against the list with the runtime code stubbed
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { ethers } = require('ethers');
+const eip7702 = require('../eip7702');
+
+const HASH = '0x' + 'ab'.repeat(32);
+
+/**
+ * Load bytecode.js in a child process with the given environment
+ */
+function load(env) {
+    return spawnSync(process.execPath, ['-e', 'console.log(require("./bytecode").auditedCodeHashes().join())'], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, LOG_LEVEL: 'error', LOCAL_CHAIN: '', ...env },
+        encoding: 'utf8'
+    });
+}
+
+describe('AUDITED_CODE_HASHES', () => {
+    it('loads the listed hashes, lowercased', () => {
+        const child = load({ AUDITED_CODE_HASHES: ` 0x${HASH.slice(2).toUpperCase()}, ${HASH}` });
+        assert.equal(child.status, 0, child.stderr);
+        assert.equal(child.stdout.trim(), HASH);
+    });
+
+    it('starts with a warning without audited hashes outside local mode', () => {
+        const child = load({ AUDITED_CODE_HASHES: '', LOG_LEVEL: 'warn' });
+        assert.equal(child.status, 0, child.stderr);
+        assert.match(child.stderr, /AUDITED_CODE_HASHES is empty, so every delegation will be refused/);
+        assert.match(child.stderr, /cast keccak/);
+    });
+
+    it('needs no list in local mode', () => {
+        const child = load({ AUDITED_CODE_HASHES: '', LOCAL_CHAIN: '1', LOG_LEVEL: 'warn' });
+        assert.equal(child.status, 0, child.stderr);
+        assert.equal(child.stderr, '');
+    });
+
+    it('refuses a malformed hash', () => {
+        const child = load({ AUDITED_CODE_HASHES: '0x1234' });
+        assert.notEqual(child.status, 0);
+        assert.match(child.stderr, /AUDITED_CODE_HASHES: 0x1234 is not a 32-byte hex hash/);
+    });
+});
+
+describe('checkDelegationTarget with an empty AUDITED_CODE_HASHES', () => {
+    const CHAIN = { chainId: 11155111, rpcUrl: 'http://stub' };
+    const IMPLEMENTATION = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+    const CODE = '0x6080604052';
+    let bytecode;
+
+    before(() => {
+        process.env.AUDITED_CODE_HASHES = '';
+        process.env.LOCAL_CHAIN = '';
+        delete require.cache[require.resolve('../bytecode')];
+        bytecode = require('../bytecode');
+        mock.method(eip7702, 'getProvider', () => ({ getCode: async () => CODE }));
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('refuses the delegation at request time', async () => {
+        const { error, code, check } = await bytecode.checkDelegationTarget(CHAIN, IMPLEMENTATION);
+        assert.equal(code, 'IMPLEMENTATION_NOT_AUDITED');
+        assert.match(error, /runs unaudited code/);
+        assert.equal(check.codeHash, ethers.keccak256(CODE));
+        assert.equal(check.verdict, 'unaudited');
+    });
+
+    it('accepts it with the per-request override', async () => {
+        const { error, check } = await bytecode.checkDelegationTarget(CHAIN, IMPLEMENTATION, true);
+        assert.equal(error, undefined);
+        assert.equal(check.overridden, true);
+    });
+
+    it('accepts the build local mode deployed on its own chain', async () => {
+        bytecode.trustLocalBuild(CHAIN.chainId, ethers.keccak256(CODE));
+        const { error, check } = await bytecode.checkDelegationTarget(CHAIN, IMPLEMENTATION);
+        assert.equal(error, undefined);
+        assert.equal(check.verdict, 'audited');
+        assert.equal(check.overridden, false);
+    });
+});
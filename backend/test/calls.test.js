@@ -0,0 +1,53 @@
+/**
+ * Batch Call Tests
+ * Validation and human-readable ABI encoding of batch calls
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const batchCalls = require('../calls');
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const RECIPIENT = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const ERC20 = new ethers.Interface(['function transfer(address to, uint256 amount) returns (bool)']);
+
+describe('encodeFunctionCall', () => {
+    it('encodes a bare signature and a full fragment alike', () => {
+        const expected = ERC20.encodeFunctionData('transfer', [RECIPIENT, 5n]);
+
+        assert.equal(batchCalls.encodeFunctionCall('transfer(address,uint256)', [RECIPIENT, '5']), expected);
+        assert.equal(batchCalls.encodeFunctionCall(' function transfer(address to, uint256 amount) ', [RECIPIENT, 5]), expected);
+    });
+});
+
+describe('normalizeCalls', () => {
+    it('defaults value and data and encodes function calls', () => {
+        const { calls, error } = batchCalls.normalizeCalls([
+            { to: RECIPIENT },
+            { to: TOKEN, function: 'transfer(address,uint256)', args: [RECIPIENT, '7'] },
+            { to: RECIPIENT, value: '1000', data: '0x1234' }
+        ]);
+
+        assert.equal(error, undefined);
+        assert.deepEqual(calls[0], { to: RECIPIENT, value: 0n, data: '0x' });
+        assert.equal(calls[1].data, ERC20.encodeFunctionData('transfer', [RECIPIENT, 7n]));
+        assert.deepEqual(batchCalls.serializeCalls(calls)[2], { to: RECIPIENT, value: '1000', data: '0x1234' });
+    });
+
+    it('names the offending call', () => {
+        const cases = [
+            [[], /non-empty array/],
+            [[{ to: '0x1234' }], /calls\[0\]\.to/],
+            [[{ to: RECIPIENT }, { to: RECIPIENT, value: '1.5' }], /Invalid value in calls\[1\]/],
+            [[{ to: TOKEN, data: '0x', function: 'transfer(address,uint256)' }], /either data or function/],
+            [[{ to: TOKEN, function: 'transfer(address,uint256)', args: 'x' }], /must be an array/],
+            [[{ to: TOKEN, function: 'transfer(address,uint256)', args: ['not-an-address', 1] }], /Cannot encode calls\[0\]\.function/],
+            [[{ to: TOKEN, data: '0x123' }], /Invalid data in calls\[0\]/]
+        ];
+
+        for (const [calls, message] of cases) {
+            assert.match(batchCalls.normalizeCalls(calls).error, message);
+        }
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Chain Registry Tests
+ * Chain resolution against a stub JSON-RPC server that only answers eth_chainId
+ */
+
+process.env.LOG_LEVEL = 'error';
+process.env.DEFAULT_CHAIN_ID = '31337';
+delete process.env.MAINNET_RPC_URL;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const chains = require('../chains');
+
+/**
+ * JSON-RPC server that serves `chainId`; resolves with its URL
+ */
+async function startRpc(chainId) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const payload = JSON.parse(body);
+            const answer = request => ({ jsonrpc: '2.0', id: request.id, result: '0x' + chainId.toString(16) });
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('resolveChain', () => {
+    let local;
+    let wrong;
+
+    before(async () => {
+        local = await startRpc(31337);
+        wrong = await startRpc(1);
+    });
+
+    after(() => {
+        local.server.close();
+        wrong.server.close();
+    });
+
+    it('falls back to DEFAULT_CHAIN_ID and checks the RPC serves it', async () => {
+        process.env.LOCALHOST_RPC_URL = local.url;
+
+        const { chain, error } = await chains.resolveChain(undefined);
+        assert.equal(error, undefined);
+        assert.equal(chain.chainId, 31337);
+        assert.equal(chain.rpcUrl, local.url);
+    });
+
+    it('refuses an RPC URL that serves another chain', async () => {
+        process.env.LOCALHOST_RPC_URL = wrong.url;
+
+        const { error, code } = await chains.resolveChain('31337');
+        assert.equal(code, 'WRONG_CHAIN');
+        assert.match(error, /LOCALHOST_RPC_URL serves chain 1, expected 31337/);
+    });
+
+    it('refuses invalid, unsupported and unconfigured chains', async () => {
+        assert.equal((await chains.resolveChain('abc')).code, 'INVALID_REQUEST');
+        assert.equal((await chains.resolveChain(-1)).code, 'INVALID_REQUEST');
+        assert.equal((await chains.resolveChain(999)).code, 'WRONG_CHAIN');
+
+        const { error, code } = await chains.resolveChain(1);
+        assert.equal(code, 'WRONG_CHAIN');
+        assert.match(error, /MAINNET_RPC_URL not set/);
+    });
+});
+
+describe('getChain', () => {
+    it('reads the deployment from the address book, ignoring address(0)', () => {
+        const chain = chains.getChain(11155111);
+        assert.equal(chain.name, 'Sepolia Testnet');
+        assert.equal(chain.implementation, null);
+    });
+
+    it('returns null for an unsupported chain', () => {
+        assert.equal(chains.getChain(999), null);
+    });
+
+    it('links transactions on the chain\'s explorer', () => {
+        assert.equal(chains.explorerTxUrl(chains.getChain(1), '0xabc'), 'https://etherscan.io/tx/0xabc');
+        assert.equal(chains.explorerTxUrl(chains.getChain(31337), '0xabc'), null);
+    });
+});
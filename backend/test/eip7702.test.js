@@ -0,0 +1,127 @@
+/**
+ * EIP-7702 Transaction Builder Tests
+ * Authorization signing, BatchCallAndSponsor calldata and the batch digest,
+ * without a chain
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const eip7702 = require('../eip7702');
+
+// Anvil's second account (ALICE_PK in test/BatchCallAndSponsor.t.sol)
+const ALICE = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const IMPLEMENTATION = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+describe('signAuthorization', () => {
+    it('signs the (chainId, address, nonce) tuple for the wallet', async () => {
+        const authorization = await eip7702.signAuthorization(ALICE, IMPLEMENTATION, 31337n, 5);
+
+        assert.equal(authorization.address, IMPLEMENTATION);
+        assert.equal(authorization.chainId, 31337n);
+        assert.equal(authorization.nonce, 5n);
+        assert.equal(ethers.verifyAuthorization({ address: IMPLEMENTATION, chainId: 31337n, nonce: 5n }, authorization.signature), ALICE.address);
+    });
+});
+
+describe('encodeExecute', () => {
+    it('encodes execute(calls) with an empty data default', () => {
+        const data = eip7702.encodeExecute([{ to: BOB, value: 1000n }]);
+        const decoded = eip7702.batchInterface.decodeFunctionData('execute((address,uint256,bytes)[])', data);
+
+        assert.equal(data.slice(0, 10), eip7702.batchInterface.getFunction('execute((address,uint256,bytes)[])').selector);
+        assert.equal(decoded.calls[0].to, BOB);
+        assert.equal(decoded.calls[0].value, 1000n);
+        assert.equal(decoded.calls[0].data, '0x');
+    });
+});
+
+describe('batch digest', () => {
+    // Nonce 3, 1 ETH to Bob, then a call to the token carrying transfer's selector
+    const CALLS = [
+        { to: BOB, value: ethers.parseEther('1'), data: '0x' },
+        { to: IMPLEMENTATION, value: 0n, data: '0xa9059cbb' }
+    ];
+    // abi.encodePacked(nonce, to, value, data, to, value, data) as the contract builds it
+    const MESSAGE = '0x'
+        + '0000000000000000000000000000000000000000000000000000000000000003'
+        + '3c44cdddb6a900fa2b585dd299e03d12fa4293bc'
+        + '0000000000000000000000000000000000000000000000000de0b6b3a7640000'
+        + '5fbdb2315678afecb367f032d93f642f64180aa3'
+        + '0000000000000000000000000000000000000000000000000000000000000000'
+        + 'a9059cbb';
+    const DIGEST = '0xa845eedf45a698f5a0d30e9a43434335f0ea01eb7215a2e76b4f252bc98ce7be';
+    // Alice's personal_sign of DIGEST
+    const SIGNATURE = '0x0fea365eee3db8efeaa59d366c3512273459b3942bfc4e0f73010a2aaee299dc'
+        + '01c31786fcc588e1a1e45f5bb29482630a78de202060848a15cb7b7cba07231f1b';
+
+    it('packs nonce, to, value and data without padding', () => {
+        assert.equal(eip7702.encodeBatchMessage(3n, CALLS), MESSAGE);
+    });
+
+    it('hashes the packed message', () => {
+        assert.equal(ethers.keccak256(MESSAGE), DIGEST);
+        assert.equal(eip7702.computeBatchDigest(3n, CALLS), DIGEST);
+    });
+
+    it('recovers the account from the EIP-191 signature of the digest', () => {
+        assert.equal(eip7702.recoverBatchSigner(3n, CALLS, SIGNATURE), ALICE.address);
+        assert.notEqual(eip7702.recoverBatchSigner(4n, CALLS, SIGNATURE), ALICE.address);
+    });
+
+    it('encodes execute(calls, signature)', () => {
+        const data = eip7702.encodeExecuteWithSignature(CALLS, SIGNATURE);
+        const decoded = eip7702.batchInterface.decodeFunctionData('execute((address,uint256,bytes)[],bytes)', data);
+
+        assert.equal(decoded.calls.length, 2);
+        assert.equal(decoded.calls[1].data, '0xa9059cbb');
+        assert.equal(decoded.signature, SIGNATURE);
+    });
+});
+
+describe('client-signed authorizations', () => {
+    const tuple = { chainId: 31337, address: IMPLEMENTATION, nonce: 7 };
+    const signed = ALICE.authorizeSync(tuple);
+
+    it('parses a serialized signature and recovers the authority', () => {
+        const authorization = eip7702.parseAuthorization({ ...tuple, signature: signed.signature.serialized });
+
+        assert.equal(authorization.chainId, 31337n);
+        assert.equal(authorization.nonce, 7n);
+        assert.equal(eip7702.recoverAuthority(authorization), ALICE.address);
+    });
+
+    it('parses yParity, r and s', () => {
+        const authorization = eip7702.parseAuthorization({
+            ...tuple,
+            yParity: signed.signature.yParity,
+            r: signed.signature.r,
+            s: signed.signature.s
+        });
+
+        assert.equal(eip7702.recoverAuthority(authorization), ALICE.address);
+    });
+
+    it('recovers someone else for a different nonce', () => {
+        const authorization = eip7702.parseAuthorization({ ...tuple, nonce: 8, signature: signed.signature.serialized });
+        assert.notEqual(eip7702.recoverAuthority(authorization), ALICE.address);
+    });
+});
+
+describe('parseDelegationDesignator', () => {
+    it('reads the delegate of 0xef0100 || address', () => {
+        assert.equal(eip7702.parseDelegationDesignator('0xef0100' + IMPLEMENTATION.slice(2).toLowerCase()), IMPLEMENTATION);
+        assert.equal(eip7702.parseDelegationDesignator('0xEF0100' + IMPLEMENTATION.slice(2)), IMPLEMENTATION);
+    });
+
+    it('returns null for an EOA, contract code or a malformed designator', () => {
+        assert.equal(eip7702.parseDelegationDesignator('0x'), null);
+        assert.equal(eip7702.parseDelegationDesignator('0x6080604052348015600e575f80fd5b50603e80601a5f395ff3fe'), null);
+        assert.equal(eip7702.parseDelegationDesignator('0xef0100' + IMPLEMENTATION.slice(2, 40)), null);
+        assert.equal(eip7702.parseDelegationDesignator('0xef0000' + IMPLEMENTATION.slice(2)), null);
+        assert.equal(eip7702.parseDelegationDesignator(null), null);
+    });
+});
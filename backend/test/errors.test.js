@@ -0,0 +1,110 @@
+/**
+ * API Error Tests
+ * Classification of ethers, RPC and forge errors into stable codes
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const errors = require('../errors');
+
+/**
+ * An ethers v6 error as thrown for a JSON-RPC error the node returned
+ */
+function rpcError(code, message) {
+    const error = new Error(`could not coalesce error (error={ "code": -32000, "message": "${message}" })`);
+    error.code = code;
+    error.shortMessage = 'could not coalesce error';
+    error.error = { code: -32000, message: message };
+    return error;
+}
+
+describe('classifyError', () => {
+    it('maps node messages to codes', () => {
+        const cases = [
+            ['nonce too low: next nonce 5, tx nonce 4', 'NONCE_TOO_LOW'],
+            ['replacement transaction underpriced', 'NONCE_TOO_LOW'],
+            ['already known', 'ALREADY_SUBMITTED'],
+            ['insufficient funds for gas * price + value', 'INSUFFICIENT_FUNDS'],
+            ['chain id mismatch', 'WRONG_CHAIN'],
+            ['execution reverted: Call reverted', 'CALL_REVERTED'],
+            ['something nobody expected', 'RPC_UNAVAILABLE']
+        ];
+
+        for (const [message, code] of cases) {
+            const apiError = errors.classifyError(rpcError('UNKNOWN_ERROR', message));
+            assert.equal(apiError.code, code, message);
+            assert.equal(apiError.message, message);
+        }
+    });
+
+    it('does not ask for a new signature when the node already has the transaction', () => {
+        const apiError = errors.classifyError(rpcError('UNKNOWN_ERROR', 'already known'));
+        assert.equal(apiError.status, 409);
+        assert.equal(apiError.retryable, false);
+    });
+
+    it('maps ethers error codes', () => {
+        const expired = Object.assign(new Error('nonce has already been used'), { code: 'NONCE_EXPIRED' });
+        const network = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8545'), { code: 'NETWORK_ERROR' });
+
+        assert.equal(errors.classifyError(expired).code, 'NONCE_TOO_LOW');
+        assert.equal(errors.classifyError(network).code, 'RPC_UNAVAILABLE');
+        assert.equal(errors.classifyError(network).retryable, true);
+    });
+
+    it('tells a bad signature from another revert in a CALL_EXCEPTION', () => {
+        const signature = Object.assign(new Error('execution reverted: "Invalid signature"'), { code: 'CALL_EXCEPTION', shortMessage: 'execution reverted: "Invalid signature"' });
+        const revert = Object.assign(new Error('execution reverted: "Call reverted"'), { code: 'CALL_EXCEPTION', shortMessage: 'execution reverted: "Call reverted"' });
+
+        assert.equal(errors.classifyError(signature).code, 'INVALID_SIGNATURE');
+        assert.equal(errors.classifyError(revert).code, 'CALL_REVERTED');
+        assert.equal(errors.classifyError(revert).status, 422);
+    });
+
+    it('keeps the fallback message for errors it cannot classify', () => {
+        const apiError = errors.classifyError(new Error('boom'), 'Failed to relay batch');
+        assert.equal(apiError.code, 'INTERNAL_ERROR');
+        assert.equal(apiError.message, 'Failed to relay batch: boom');
+        assert.equal(errors.classifyError(null, 'Failed').message, 'Failed');
+    });
+
+    it('passes ApiErrors through', () => {
+        const apiError = new errors.ApiError('FEE_TOO_HIGH');
+        assert.equal(errors.classifyError(apiError), apiError);
+        assert.equal(new errors.ApiError('NO_SUCH_CODE').code, 'INTERNAL_ERROR');
+    });
+
+    it('redacts RPC credentials from the response body', () => {
+        const apiError = errors.classifyError(new Error('request to https://eth-sepolia.g.alchemy.com/v2/abcdef0123456789abcdef failed, reason: ECONNRESET'));
+        const body = apiError.toJSON();
+
+        assert.equal(body.code, 'RPC_UNAVAILABLE');
+        assert.doesNotMatch(body.error, /abcdef0123456789abcdef/);
+    });
+});
+
+describe('fromForgeOutput', () => {
+    it('classifies forge output and keeps the line that explains it', () => {
+        const stdout = '\u001b[31mError:\u001b[0m script failed: nonce too low\nTraces:';
+        const apiError = errors.fromForgeOutput('Command failed: forge script', stdout);
+
+        assert.equal(apiError.code, 'NONCE_TOO_LOW');
+        assert.equal(apiError.details, 'Error: script failed: nonce too low');
+    });
+
+    it('reports a missing forge', () => {
+        assert.equal(errors.fromForgeOutput('spawn forge ENOENT').code, 'FOUNDRY_MISSING');
+    });
+});
+
+describe('codeForRevert', () => {
+    it('only singles out signature and balance failures', () => {
+        assert.equal(errors.codeForRevert('ECDSAInvalidSignature()'), 'INVALID_SIGNATURE');
+        assert.equal(errors.codeForRevert('ERC20InsufficientBalance(0x1, 5, 10)'), 'CALL_REVERTED');
+        assert.equal(errors.codeForRevert('Insufficient MOCK balance'), 'INSUFFICIENT_FUNDS');
+        assert.equal(errors.codeForRevert('nonce too low'), 'CALL_REVERTED');
+        assert.equal(errors.codeForRevert(null), 'CALL_REVERTED');
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Fee Strategy Tests
+ * Fees from eth_feeHistory, per-request overrides and the MAX_FEE_PER_GAS_GWEI ceiling
+ */
+
+process.env.MAX_FEE_PER_GAS_GWEI = '50';
+delete process.env.FEE_STRATEGY;
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const fees = require('../fees');
+
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+/**
+ * Provider answering eth_feeHistory with the next block's base fee and per-block rewards
+ */
+function feeProvider(baseFeeGwei, rewardsGwei, suggestedPriorityGwei = 1) {
+    const calls = [];
+    return {
+        calls: calls,
+        send: async (method, params) => {
+            calls.push([method, params]);
+            return {
+                baseFeePerGas: [ethers.toQuantity(gwei(baseFeeGwei)), ethers.toQuantity(gwei(baseFeeGwei))],
+                reward: rewardsGwei.map(reward => [ethers.toQuantity(gwei(reward))])
+            };
+        },
+        getFeeData: async () => ({ maxPriorityFeePerGas: gwei(suggestedPriorityGwei) })
+    };
+}
+
+describe('estimateFees', () => {
+    it('uses the median reward of recent blocks and twice the base fee', async () => {
+        const provider = feeProvider(10, [3, 1, 2]);
+        const estimate = await fees.estimateFees(provider);
+
+        assert.deepEqual(provider.calls[0], ['eth_feeHistory', ['0xa', 'latest', [50]]]);
+        assert.equal(estimate.strategy, 'normal');
+        assert.equal(estimate.maxPriorityFeePerGas, gwei(2));
+        assert.equal(estimate.maxFeePerGas, gwei(22));
+        assert.equal(estimate.capped, false);
+    });
+
+    it('falls back to the node\'s priority fee when recent blocks were empty', async () => {
+        const estimate = await fees.estimateFees(feeProvider(10, [0, 0], 1.5), { strategy: 'slow' });
+
+        assert.equal(estimate.maxPriorityFeePerGas, gwei(1.5));
+        assert.equal(estimate.maxFeePerGas, gwei(12.5) + gwei(1.5));
+    });
+
+    it('takes per-request fees as given', async () => {
+        const estimate = await fees.estimateFees(feeProvider(10, [2]), { maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(4) });
+
+        assert.equal(estimate.strategy, 'custom');
+        assert.equal(estimate.maxFeePerGas, gwei(30));
+        assert.equal(estimate.maxPriorityFeePerGas, gwei(4));
+    });
+
+    it('caps maxFeePerGas at the ceiling while the base fee fits under it', async () => {
+        const estimate = await fees.estimateFees(feeProvider(40, [5]));
+
+        assert.equal(estimate.maxFeePerGas, gwei(50));
+        assert.equal(estimate.maxPriorityFeePerGas, gwei(5));
+        assert.equal(estimate.capped, true);
+    });
+
+    it('refuses with FEE_TOO_HIGH when the base fee is above the ceiling or the requested maximum', async () => {
+        await assert.rejects(fees.estimateFees(feeProvider(51, [1])), error => {
+            assert.equal(error.code, 'FEE_TOO_HIGH');
+            assert.match(error.message, /above the MAX_FEE_PER_GAS_GWEI ceiling of 50\.0 gwei/);
+            return true;
+        });
+        await assert.rejects(fees.estimateFees(feeProvider(20, [1]), { maxFeePerGas: gwei(15) }), /above the requested maxFeePerGasGwei/);
+    });
+
+    it('never lets the priority fee exceed maxFeePerGas', async () => {
+        const estimate = await fees.estimateFees(feeProvider(5, [2]), { maxFeePerGas: gwei(6) });
+        assert.equal(estimate.maxPriorityFeePerGas, gwei(2));
+
+        const tight = await fees.estimateFees(feeProvider(5, [9]), { maxFeePerGas: gwei(6) });
+        assert.equal(tight.maxPriorityFeePerGas, gwei(6));
+    });
+});
+
+describe('checkFeeCeiling', () => {
+    it('throws FEE_TOO_HIGH above the ceiling only', () => {
+        assert.doesNotThrow(() => fees.checkFeeCeiling(gwei(50)));
+        assert.throws(() => fees.checkFeeCeiling(gwei(50) + 1n), { code: 'FEE_TOO_HIGH' });
+    });
+});
+
+describe('parseFeeOptions', () => {
+    it('reads the strategy and gwei amounts', () => {
+        assert.deepEqual(fees.parseFeeOptions({ feeStrategy: 'fast', maxFeePerGasGwei: '30.5', maxPriorityFeePerGasGwei: 2 }).feeOptions, {
+            strategy: 'fast',
+            maxFeePerGas: gwei(30.5),
+            maxPriorityFeePerGas: gwei(2)
+        });
+        assert.deepEqual(fees.parseFeeOptions().feeOptions, { strategy: 'normal', maxFeePerGas: null, maxPriorityFeePerGas: null });
+    });
+
+    it('refuses invalid fee fields', () => {
+        const cases = [
+            [{ feeStrategy: 'turbo' }, /Invalid feeStrategy/],
+            [{ feeStrategy: 'toString' }, /Invalid feeStrategy/],
+            [{ maxFeePerGasGwei: '0' }, /must be a positive amount/],
+            [{ maxFeePerGasGwei: '1.0000000001' }, /Invalid maxFeePerGasGwei/],
+            [{ maxPriorityFeePerGasGwei: '-1' }, /Invalid maxPriorityFeePerGasGwei/],
+            [{ maxFeePerGasGwei: '2', maxPriorityFeePerGasGwei: '3' }, /cannot exceed/]
+        ];
+
+        for (const [body, message] of cases) {
+            assert.match(fees.parseFeeOptions(body).error, message);
+        }
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Transaction History Tests
+ * Job records, tenant visibility, queries and reloading the JSON Lines file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+
+process.env.LOG_LEVEL = 'error';
+process.env.HISTORY_FILE = path.join(DIR, 'history.jsonl');
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jobs = require('../jobs');
+const history = require('../history');
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const everything = () => true;
+const tenant = name => record => !record.requester || record.requester === name;
+
+function recordedJob(type, params, owner, fields = {}) {
+    const job = jobs.createJob(type, params, owner);
+    Object.assign(job, fields);
+    history.recordJob(job);
+    return job;
+}
+
+after(() => {
+    fs.rmSync(DIR, { recursive: true, force: true });
+});
+
+describe('recordJob', () => {
+    it('records the job\'s owner from its first update', async () => {
+        jobs.onJobUpdate(history.recordJob);
+
+        const job = jobs.createJob('batch', { address: ALICE, chainId: 31337 }, 'web');
+        jobs.runJob(job, async (context) => {
+            context.setTxHash('0xbb');
+            return { success: true };
+        });
+        while (job.status !== 'succeeded') {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        const snapshots = fs.readFileSync(process.env.HISTORY_FILE, 'utf8').trim().split('\n')
+            .map(line => JSON.parse(line))
+            .filter(record => record.id === job.id);
+        assert.deepEqual(snapshots.map(record => [record.status, record.requester]), [
+            ['running', 'web'],
+            ['running', 'web'],
+            ['succeeded', 'web']
+        ]);
+    });
+});
+
+describe('queryTransactions', () => {
+    const base = Date.parse('2026-01-01T00:00:00Z');
+
+    recordedJob('send-native', { address: BOB, chainId: 1 }, 'mobile', { status: 'succeeded', txHash: '0xAA', createdAt: new Date(base).toISOString() });
+    recordedJob('send-native', { address: BOB, chainId: 1 }, null, { status: 'failed', createdAt: new Date(base + 1000).toISOString() });
+    recordedJob('batch', { address: BOB, chainId: 137 }, 'web', { status: 'succeeded', createdAt: new Date(base + 2000).toISOString() });
+
+    it('filters, hides other tenants\' records and returns the newest first', () => {
+        const all = history.queryTransactions({ address: BOB.toLowerCase() }, everything);
+        assert.equal(all.total, 3);
+        assert.deepEqual(all.transactions.map(record => record.chainId), [137, 1, 1]);
+
+        const web = history.queryTransactions({ address: BOB }, tenant('web'));
+        assert.deepEqual(web.transactions.map(record => record.requester), ['web', null]);
+
+        assert.equal(history.queryTransactions({ address: BOB, chainId: 1, status: 'succeeded' }, everything).total, 1);
+        assert.equal(history.queryTransactions({ address: BOB, from: new Date(base + 1000), to: new Date(base + 1000) }, everything).total, 1);
+    });
+
+    it('pages with limit and offset', () => {
+        const page = history.queryTransactions({ address: BOB, limit: 1, offset: 1 }, everything);
+        assert.equal(page.total, 3);
+        assert.equal(page.transactions.length, 1);
+        assert.equal(page.transactions[0].status, 'failed');
+    });
+
+    it('finds a transaction by hash only for its tenant', () => {
+        assert.equal(history.findTransaction('0xaa', tenant('mobile')).requester, 'mobile');
+        assert.equal(history.findTransaction('0xaa', tenant('web')), null);
+    });
+});
+
+describe('loading the file', () => {
+    it('keeps the last snapshot of each job and skips a line cut short', () => {
+        const job = recordedJob('relay', { address: ALICE, chainId: 31337, sponsored: true }, 'web');
+        job.status = 'succeeded';
+        history.recordJob(job);
+        fs.appendFileSync(process.env.HISTORY_FILE, '{"id":"cut-sh');
+
+        delete require.cache[require.resolve('../history')];
+        const reloaded = require('../history');
+
+        const records = reloaded.queryTransactions({ address: ALICE }, everything).transactions;
+        assert.equal(records.length, 2);
+        assert.equal(records.find(record => record.id === job.id).status, 'succeeded');
+    });
+});
@@ -0,0 +1,549 @@
+/**
+ * Integration Tests
+ * Starts the backend in local mode (anvil + freshly deployed BatchCallAndSponsor
+ * and MockERC20) and exercises every route against the real contract.
+ * Needs anvil (Foundry) and the forge build in out/ (or forge to build it):
+ * without them the suites are skipped.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn, spawnSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { ethers } = require('ethers');
+
+const PORT = Number(process.env.TEST_PORT || 3101);
+const ANVIL_PORT = Number(process.env.TEST_ANVIL_PORT || 8555);
+const API_URL = `http://127.0.0.1:${PORT}/api`;
+const CHAIN_ID = 31337;
+
+const SERVER_START_TIMEOUT_MS = 120 * 1000;
+const JOB_TIMEOUT_MS = 60 * 1000;
+
+const ERC20 = new ethers.Interface([
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function balanceOf(address owner) view returns (uint256)'
+]);
+
+/**
+ * Why local mode cannot start here, or false when it can
+ */
+function missingFoundry() {
+    const runs = command => !spawnSync(command, ['--version'], { stdio: 'ignore', timeout: 10 * 1000 }).error;
+
+    if (!runs(process.env.ANVIL_PATH || 'anvil')) {
+        return 'anvil not found (install Foundry or set ANVIL_PATH)';
+    }
+    const artifact = path.join(__dirname, '..', '..', 'out', 'BatchCallAndSponsor.sol', 'BatchCallAndSponsor.json');
+    if (!fs.existsSync(artifact) && !runs('forge')) {
+        return 'no forge build in out/ and forge not found';
+    }
+    return false;
+}
+
+const SKIP = missingFoundry();
+
+let server;
+let dataDir;
+let provider;
+let local;
+
+/**
+ * Call the API. Returns { status, body }.
+ */
+async function api(method, route, body) {
+    const response = await fetch(`${API_URL}${route}`, {
+        method: method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Poll a job until it is final
+ */
+async function waitForJob(jobId) {
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        const { body } = await api('GET', `/jobs/${jobId}`);
+        if (['succeeded', 'failed', 'cancelled'].includes(body.job.status)) {
+            return body.job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error(`Job ${jobId} did not finish within ${JOB_TIMEOUT_MS / 1000}s`);
+}
+
+/**
+ * POST a request that starts a job, check it is accepted and wait for it to succeed
+ */
+async function runJob(route, body) {
+    const accepted = await api('POST', route, body);
+    assert.equal(accepted.status, 202, JSON.stringify(accepted.body));
+    assert.equal(accepted.body.statusUrl, `/api/jobs/${accepted.body.jobId}`);
+
+    const job = await waitForJob(accepted.body.jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.equal(job.result.success, true);
+    return job;
+}
+
+/**
+ * Authorization signed for the sponsor to submit (the account's current nonce)
+ */
+async function signAuthorization(wallet, implementation) {
+    const nonce = await provider.getTransactionCount(wallet.address, 'pending');
+    const authorization = wallet.authorizeSync({ chainId: CHAIN_ID, address: implementation, nonce: nonce });
+    return { chainId: CHAIN_ID, address: implementation, nonce: nonce, signature: authorization.signature.serialized };
+}
+
+/**
+ * Batch signature as BatchCallAndSponsor.execute(calls, signature) checks it,
+ * computed here independently of the backend
+ */
+async function signBatch(wallet, calls, nonce = null) {
+    if (nonce === null) {
+        nonce = await new ethers.Contract(wallet.address, ['function nonce() view returns (uint256)'], provider).nonce();
+    }
+    const types = ['uint256'];
+    const values = [nonce];
+    for (const call of calls) {
+        types.push('address', 'uint256', 'bytes');
+        values.push(call.to, call.value || 0, call.data || '0x');
+    }
+    const digest = ethers.keccak256(ethers.solidityPacked(types, values));
+    return wallet.signMessage(ethers.getBytes(digest));
+}
+
+function tokenBalance(owner) {
+    return new ethers.Contract(local.token.address, ERC20, provider).balanceOf(owner);
+}
+
+function transferCall(recipient, amount) {
+    return { to: local.token.address, value: '0', data: ERC20.encodeFunctionData('transfer', [recipient, amount]) };
+}
+
+/**
+ * Start `node server.js --local` with its state in a temporary directory and
+ * settings that a developer's .env cannot override (dotenv keeps what is set)
+ */
+async function startServer() {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eip7702-backend-test-'));
+
+    server = spawn(process.execPath, ['server.js', '--local'], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            ANVIL_PORT: String(ANVIL_PORT),
+            EXECUTION_MODE: 'native',
+            ALLOW_PRIVATE_KEYS: 'true',
+            CONFIRMATIONS: '1',
+            API_KEYS_FILE: path.join(dataDir, 'api-keys.json'),
+            POLICY_FILE: path.join(dataDir, 'policy.json'),
+            HISTORY_FILE: path.join(dataDir, 'history.jsonl'),
+            AUDIT_LOG_FILE: path.join(dataDir, 'audit.jsonl'),
+            AUDITED_CODE_HASHES: '',
+            WEBHOOK_SECRET: '',
+            LOG_FORMAT: 'json',
+            LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'warn'
+        },
+        stdio: ['ignore', 'inherit', 'inherit']
+    });
+
+    const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (server.exitCode !== null) {
+            throw new Error(`Server exited during startup with code ${server.exitCode}`);
+        }
+        try {
+            const { status } = await api('GET', '/health');
+            if (status === 200) {
+                return;
+            }
+        } catch (error) {
+            // Not listening yet: anvil is starting or the contracts are being deployed
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error(`Server did not start within ${SERVER_START_TIMEOUT_MS / 1000}s`);
+}
+
+before(async () => {
+    if (SKIP) {
+        return;
+    }
+    await startServer();
+
+    const { status, body } = await api('GET', '/local/accounts');
+    assert.equal(status, 200);
+    local = body;
+    provider = new ethers.JsonRpcProvider(local.rpcUrl, CHAIN_ID, { staticNetwork: true, cacheTimeout: -1 });
+});
+
+after(async () => {
+    if (provider) {
+        provider.destroy();
+    }
+    if (server && server.exitCode === null) {
+        // The server stops anvil when it exits
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill('SIGTERM');
+        await exited;
+    }
+    if (dataDir) {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+describe('server', { skip: SKIP }, () => {
+    it('GET /api/health reports the local chain', async () => {
+        const { status, body } = await api('GET', '/health');
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+    });
+
+    it('GET /api/local/accounts lists funded accounts and the contracts', async () => {
+        assert.equal(local.chainId, CHAIN_ID);
+        assert.equal(local.accounts.length, 9);
+        assert.notEqual(await provider.getCode(local.implementation), '0x');
+        assert.ok(await tokenBalance(local.accounts[0].address) > 0n);
+    });
+
+    it('GET /api/openapi.json and /api/docs describe the API', async () => {
+        const { status, body } = await api('GET', '/openapi.json');
+        assert.equal(status, 200);
+        assert.ok(body.paths['/api/relay']);
+
+        const docs = await fetch(`${API_URL}/docs`);
+        assert.equal(docs.status, 200);
+    });
+
+    it('GET /api/foundry-version answers with the version or FOUNDRY_MISSING', async () => {
+        const { status, body } = await api('GET', '/foundry-version');
+        assert.ok(status === 200 || body.code === 'FOUNDRY_MISSING', JSON.stringify(body));
+    });
+
+    it('rejects invalid requests and unknown routes', async () => {
+        const invalid = await api('GET', '/check-delegation/0x1234');
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.code, 'INVALID_REQUEST');
+
+        const missing = await api('GET', '/does-not-exist');
+        assert.equal(missing.status, 404);
+    });
+});
+
+describe('sponsored flow (keys stay on the client)', { skip: SKIP }, () => {
+    let wallet;
+    let recipient;
+
+    before(() => {
+        wallet = new ethers.Wallet(local.accounts[0].privateKey);
+        recipient = local.accounts[8].address;
+    });
+
+    it('GET /api/check-delegation/:address reports an undelegated account', async () => {
+        const { status, body } = await api('GET', `/check-delegation/${wallet.address}?chainId=${CHAIN_ID}`);
+        assert.equal(status, 200);
+        assert.equal(body.delegated, false);
+        assert.equal(body.knownImplementation, local.implementation);
+    });
+
+    it('GET /api/prepare-delegation/:address returns the tuple the sponsor submits', async () => {
+        const { status, body } = await api('GET', `/prepare-delegation/${wallet.address}?chainId=${CHAIN_ID}`);
+        assert.equal(status, 200);
+        assert.equal(body.submitter, 'sponsor');
+        assert.equal(body.authorization.nonce, await provider.getTransactionCount(wallet.address, 'pending'));
+        assert.equal(body.digest, ethers.hashAuthorization(body.authorization));
+        assert.equal(body.batchNonce, '0');
+
+        const self = await api('GET', `/prepare-delegation/${wallet.address}?chainId=${CHAIN_ID}&submitter=self`);
+        assert.equal(self.body.authorization.nonce, body.authorization.nonce + 1);
+    });
+
+    it('POST /api/add-delegation relays a signed authorization', async () => {
+        const job = await runJob('/add-delegation', {
+            address: wallet.address,
+            authorization: await signAuthorization(wallet, local.implementation),
+            chainId: CHAIN_ID
+        });
+        assert.equal(job.result.type, 'Type 4 (EIP-7702)');
+
+        const { body } = await api('GET', `/check-delegation/${wallet.address}?chainId=${CHAIN_ID}`);
+        assert.equal(body.delegated, true);
+        assert.equal(body.delegate, local.implementation);
+        assert.equal(body.contractNonce, '0');
+    });
+
+    it('POST /api/batch/digest and /api/batch/verify match the contract\'s encoding', async () => {
+        const calls = [transferCall(recipient, 1n)];
+
+        const digest = await api('POST', '/batch/digest', { address: wallet.address, calls: calls, chainId: CHAIN_ID });
+        assert.equal(digest.status, 200);
+        assert.equal(digest.body.nonce, '0');
+        assert.equal(digest.body.ethSignedMessageHash, ethers.hashMessage(ethers.getBytes(digest.body.digest)));
+
+        const valid = await api('POST', '/batch/verify', { address: wallet.address, calls: calls, signature: await signBatch(wallet, calls), chainId: CHAIN_ID });
+        assert.equal(valid.body.valid, true);
+
+        const unprefixed = wallet.signingKey.sign(digest.body.digest).serialized;
+        const invalid = await api('POST', '/batch/verify', { address: wallet.address, calls: calls, signature: unprefixed, chainId: CHAIN_ID });
+        assert.equal(invalid.body.valid, false);
+        assert.match(invalid.body.reason, /EIP-191 prefix/);
+    });
+
+    it('POST /api/simulate dry-runs a batch and decodes a revert', async () => {
+        const ok = await api('POST', '/simulate', { address: wallet.address, calls: [transferCall(recipient, 1n)], chainId: CHAIN_ID });
+        assert.equal(ok.status, 200);
+        assert.equal(ok.body.simulation.success, true);
+
+        const tooMuch = (await tokenBalance(wallet.address)) + 1n;
+        const failing = await api('POST', '/simulate', { address: wallet.address, calls: [transferCall(recipient, tooMuch)], chainId: CHAIN_ID });
+        assert.equal(failing.body.simulation.success, false);
+        assert.match(failing.body.simulation.revertReason, /ERC20InsufficientBalance/);
+    });
+
+    it('POST /api/relay executes a signed batch paid by the sponsor', async () => {
+        const before = await tokenBalance(recipient);
+        const calls = [transferCall(recipient, 5n), { to: recipient, value: '1000', data: '0x' }];
+
+        const job = await runJob('/relay', { address: wallet.address, calls: calls, signature: await signBatch(wallet, calls), chainId: CHAIN_ID });
+        assert.equal(job.result.sponsor, local.sponsor);
+        assert.equal(job.result.receipt.events.batches.length, 1);
+        assert.equal(await tokenBalance(recipient), before + 5n);
+    });
+
+    it('POST /api/relay refuses a replayed signature', async () => {
+        const calls = [transferCall(recipient, 5n)];
+        const stale = await signBatch(wallet, calls, 0n);
+
+        const { status, body } = await api('POST', '/relay', { address: wallet.address, calls: calls, signature: stale, chainId: CHAIN_ID });
+        assert.equal(status, 400);
+        assert.equal(body.code, 'INVALID_SIGNATURE');
+    });
+
+    it('POST /api/send-native sends ETH from a signed one-call batch', async () => {
+        const before = await provider.getBalance(recipient);
+        const calls = [{ to: recipient, value: ethers.parseEther('0.01').toString(), data: '0x' }];
+
+        await runJob('/send-native', { address: wallet.address, recipient: recipient, amount: '0.01', signature: await signBatch(wallet, calls), chainId: CHAIN_ID });
+        assert.equal(await provider.getBalance(recipient), before + ethers.parseEther('0.01'));
+    });
+
+    it('POST /api/send-token sends tokens from a signed one-call batch', async () => {
+        const before = await tokenBalance(recipient);
+        const calls = [transferCall(recipient, ethers.parseUnits('2.5', 18))];
+
+        await runJob('/send-token', {
+            address: wallet.address,
+            tokenAddress: local.token.address,
+            recipient: recipient,
+            amount: '2.5',
+            signature: await signBatch(wallet, calls),
+            chainId: CHAIN_ID
+        });
+        assert.equal(await tokenBalance(recipient), before + ethers.parseUnits('2.5', 18));
+    });
+
+    it('POST /api/batch executes human-readable calls', async () => {
+        const before = await tokenBalance(recipient);
+        const calls = [
+            { to: local.token.address, function: 'transfer(address,uint256)', args: [recipient, '7'] },
+            { to: local.token.address, function: 'transfer(address,uint256)', args: [recipient, '8'] }
+        ];
+        const encoded = calls.map(call => transferCall(call.args[0], BigInt(call.args[1])));
+
+        await runJob('/batch', { address: wallet.address, calls: calls, signature: await signBatch(wallet, encoded), chainId: CHAIN_ID });
+        assert.equal(await tokenBalance(recipient), before + 15n);
+    });
+
+    it('POST /api/remove-delegation relays an authorization to address(0)', async () => {
+        await runJob('/remove-delegation', {
+            address: wallet.address,
+            authorization: await signAuthorization(wallet, ethers.ZeroAddress),
+            chainId: CHAIN_ID
+        });
+        assert.equal(await provider.getCode(wallet.address), '0x');
+    });
+});
+
+describe('onboarding a wallet without ETH', { skip: SKIP }, () => {
+    it('POST /api/add-delegation bundles the first batch with the authorization', async () => {
+        const wallet = ethers.Wallet.createRandom();
+        const funder = new ethers.Wallet(local.accounts[1].privateKey, provider);
+        await (await funder.sendTransaction({
+            to: local.token.address,
+            data: ERC20.encodeFunctionData('transfer', [wallet.address, 100n])
+        })).wait();
+
+        const prepared = await api('GET', `/prepare-delegation/${wallet.address}?chainId=${CHAIN_ID}`);
+        const calls = [transferCall(local.accounts[8].address, 40n)];
+
+        const job = await runJob('/add-delegation', {
+            address: wallet.address,
+            authorization: { ...prepared.body.authorization, signature: wallet.signingKey.sign(prepared.body.digest).serialized },
+            calls: calls,
+            signature: await signBatch(wallet, calls, BigInt(prepared.body.batchNonce)),
+            chainId: CHAIN_ID
+        });
+        assert.equal(job.result.type, 'Type 4 (EIP-7702)');
+        assert.equal(await provider.getBalance(wallet.address), 0n);
+        assert.equal(await tokenBalance(wallet.address), 60n);
+    });
+});
+
+describe('private-key flow (ALLOW_PRIVATE_KEYS)', { skip: SKIP }, () => {
+    let account;
+    let recipient;
+
+    before(() => {
+        account = local.accounts[2];
+        recipient = local.accounts[7].address;
+    });
+
+    it('POST /api/add-delegation signs and sends the Type 4 transaction itself', async () => {
+        await runJob('/add-delegation', { address: account.address, privateKey: account.privateKey, chainId: CHAIN_ID });
+        assert.equal(eip7702Delegate(await provider.getCode(account.address)), local.implementation);
+    });
+
+    it('refuses a private key that does not match the address', async () => {
+        const { status, body } = await api('POST', '/send-native', {
+            address: local.accounts[3].address,
+            privateKey: account.privateKey,
+            recipient: recipient,
+            amount: '0.01',
+            chainId: CHAIN_ID
+        });
+        assert.equal(status, 400);
+        assert.match(body.error, /does not match address/);
+    });
+
+    it('POST /api/send-native', async () => {
+        const before = await provider.getBalance(recipient);
+        await runJob('/send-native', { address: account.address, privateKey: account.privateKey, recipient: recipient, amount: '0.02', chainId: CHAIN_ID });
+        assert.equal(await provider.getBalance(recipient), before + ethers.parseEther('0.02'));
+    });
+
+    it('POST /api/send-token', async () => {
+        const before = await tokenBalance(recipient);
+        await runJob('/send-token', { privateKey: account.privateKey, tokenAddress: local.token.address, recipient: recipient, amount: '1', chainId: CHAIN_ID });
+        assert.equal(await tokenBalance(recipient), before + ethers.parseUnits('1', 18));
+    });
+
+    it('POST /api/batch', async () => {
+        const before = await tokenBalance(recipient);
+        await runJob('/batch', { privateKey: account.privateKey, calls: [transferCall(recipient, 3n)], chainId: CHAIN_ID });
+        assert.equal(await tokenBalance(recipient), before + 3n);
+    });
+
+    it('POST /api/remove-delegation', async () => {
+        await runJob('/remove-delegation', { address: account.address, privateKey: account.privateKey, chainId: CHAIN_ID });
+        assert.equal(await provider.getCode(account.address), '0x');
+    });
+});
+
+describe('reads', { skip: SKIP }, () => {
+    it('GET /api/tokens/:address returns metadata and the owner\'s balance', async () => {
+        const owner = local.accounts[7].address;
+        const { status, body } = await api('GET', `/tokens/${local.token.address}?owner=${owner}&chainId=${CHAIN_ID}`);
+        assert.equal(status, 200);
+        assert.equal(body.symbol, local.token.symbol);
+        assert.equal(body.decimals, 18);
+        assert.equal(body.balance, (await tokenBalance(owner)).toString());
+    });
+
+    it('GET /api/policy returns the policy and the account\'s usage', async () => {
+        const { status, body } = await api('GET', `/policy?chainId=${CHAIN_ID}&address=${local.accounts[0].address}`);
+        assert.equal(status, 200);
+        assert.deepEqual(body.policy.implementations, [local.implementation]);
+        assert.ok(BigInt(body.policy.usage.gasUsed) > 0n);
+    });
+
+    it('GET /api/transactions and /api/transactions/:hash return the history', async () => {
+        const list = await api('GET', `/transactions?address=${local.accounts[0].address}&status=succeeded`);
+        assert.equal(list.status, 200);
+        assert.ok(list.body.total >= 6);
+
+        const record = list.body.transactions[0];
+        const { status, body } = await api('GET', `/transactions/${record.txHash}`);
+        assert.equal(status, 200);
+        assert.equal(body.transaction.id, record.id);
+    });
+
+    it('GET /api/jobs/:id and DELETE /api/jobs/:id on a finished job', async () => {
+        const { body: list } = await api('GET', `/transactions?address=${local.accounts[0].address}`);
+        const jobId = list.transactions[0].id;
+
+        const job = await api('GET', `/jobs/${jobId}`);
+        assert.equal(job.status, 200);
+        assert.equal(job.body.job.id, jobId);
+
+        const cancel = await api('DELETE', `/jobs/${jobId}`);
+        assert.equal(cancel.status, 409);
+
+        const unknown = await api('GET', `/jobs/${'0'.repeat(8)}-0000-4000-8000-${'0'.repeat(12)}`);
+        assert.equal(unknown.status, 404);
+    });
+
+    it('POST /api/transactions/:hash/speed-up and /cancel refuse a mined transaction', async () => {
+        const { body: list } = await api('GET', `/transactions?address=${local.accounts[0].address}&status=succeeded`);
+        const txHash = list.transactions[0].txHash;
+
+        for (const action of ['speed-up', 'cancel']) {
+            const { status, body } = await api('POST', `/transactions/${txHash}/${action}`);
+            assert.equal(status, 409);
+            assert.equal(body.code, 'CONFLICT');
+        }
+    });
+});
+
+describe('implementations', { skip: SKIP }, () => {
+    it('GET /api/implementations checks the local deployment on chain', async () => {
+        const { status, body } = await api('GET', `/implementations?chainId=${CHAIN_ID}`);
+        assert.equal(status, 200);
+        const [entry] = body.implementations;
+        assert.equal(entry.address, local.implementation);
+        assert.equal(entry.deployed, true);
+        assert.equal(entry.codeHashMatches, true);
+        assert.equal(entry.audited, true);
+    });
+
+    it('refuses to delegate to a build that is not in AUDITED_CODE_HASHES', async () => {
+        const route = `/prepare-delegation/${local.accounts[4].address}?chainId=${CHAIN_ID}&submitter=self`;
+
+        const refused = await api('GET', `${route}&implementationAddress=${local.token.address}`);
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.code, 'IMPLEMENTATION_NOT_AUDITED');
+
+        const overridden = await api('GET', `${route}&implementationAddress=${local.token.address}&allowUnauditedImplementation=true`);
+        assert.equal(overridden.status, 200);
+    });
+
+    it('POST /api/implementations/deploy refuses to replace a live deployment', async () => {
+        const { status, body } = await api('POST', '/implementations/deploy', { chainId: CHAIN_ID });
+        assert.equal(status, 409);
+        assert.equal(body.code, 'CONFLICT');
+    });
+
+    it('POST /api/implementations/deploy with redeploy records the new deployment', async () => {
+        const job = await runJob('/implementations/deploy', { chainId: CHAIN_ID, redeploy: true });
+        assert.notEqual(job.result.address, local.implementation);
+        assert.equal(ethers.keccak256(await provider.getCode(job.result.address)), job.result.codeHash);
+        // Same build as the one local mode trusts
+        assert.equal(job.result.audited, true);
+
+        const { body } = await api('GET', `/implementations?chainId=${CHAIN_ID}`);
+        assert.equal(body.implementations[0].address, job.result.address);
+    });
+});
+
+/**
+ * Delegate address of an EIP-7702 delegation designator (0xef0100 || address)
+ */
+function eip7702Delegate(code) {
+    return code.length === 48 && code.startsWith('0xef0100') ? ethers.getAddress('0x' + code.slice(8)) : null;
+}
@@ -0,0 +1,144 @@
+/**
+ * Job Registry Tests
+ * Job lifecycle, failure classification and cancellation
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jobs = require('../jobs');
+
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+async function settled(job) {
+    while (!FINAL_STATUSES.includes(job.status)) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    return job;
+}
+
+describe('runJob', () => {
+    it('runs the executor in the background and keeps its result', async () => {
+        const updates = [];
+        const job = jobs.createJob('test', { address: '0x1' });
+        jobs.onJobUpdate(updated => {
+            if (updated.id === job.id) {
+                updates.push([updated.status, updated.txHash]);
+            }
+        });
+
+        jobs.runJob(job, async (context) => {
+            context.setStage('signing');
+            context.setTxHash('0xabc');
+            return { success: true, value: 42 };
+        });
+        assert.equal(job.status, 'running');
+
+        await settled(job);
+        assert.equal(job.status, 'succeeded');
+        assert.equal(job.txHash, '0xabc');
+        assert.deepEqual(job.result, { success: true, value: 42 });
+        assert.deepEqual(updates, [['running', null], ['running', '0xabc'], ['succeeded', '0xabc']]);
+    });
+
+    it('fails with CALL_REVERTED when the result reports a revert', async () => {
+        const job = jobs.runJob(jobs.createJob('test'), async () => ({ success: false, txHash: '0xdef', error: 'Transaction reverted' }));
+
+        await settled(job);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.errorCode, 'CALL_REVERTED');
+        assert.equal(job.txHash, '0xdef');
+        assert.equal(job.retryable, false);
+    });
+
+    it('keeps the result of a failure with an error code it does not know', async () => {
+        const job = jobs.runJob(jobs.createJob('test'), async () => ({ success: false, txHash: '0xdef', error: 'Odd failure', errorCode: 'NOT_A_CODE' }));
+
+        await settled(job);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.errorCode, 'NOT_A_CODE');
+        assert.equal(job.error, 'Odd failure');
+        assert.equal(job.result.txHash, '0xdef');
+        assert.equal(job.retryable, false);
+    });
+
+    it('classifies a thrown error', async () => {
+        const job = jobs.runJob(jobs.createJob('test'), async () => {
+            throw Object.assign(new Error('insufficient funds for gas * price + value'), { code: 'INSUFFICIENT_FUNDS' });
+        });
+
+        await settled(job);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.errorCode, 'INSUFFICIENT_FUNDS');
+    });
+});
+
+describe('cancelJob', () => {
+    it('cancels before broadcast and stops the executor at its next stage', async () => {
+        let release;
+        let cancelled = false;
+        let reachedBroadcast = false;
+        const job = jobs.createJob('test');
+
+        jobs.runJob(job, async (context) => {
+            context.onCancel(() => {
+                cancelled = true;
+            });
+            await new Promise(resolve => {
+                release = resolve;
+            });
+            context.markBroadcast();
+            reachedBroadcast = true;
+        });
+        await new Promise(resolve => setImmediate(resolve));
+
+        const { job: cancelledJob, error } = jobs.cancelJob(job.id);
+        assert.equal(error, undefined);
+        assert.equal(cancelledJob.status, 'cancelled');
+        assert.equal(cancelled, true);
+
+        release();
+        await settled(job);
+        assert.equal(job.status, 'cancelled');
+        assert.equal(reachedBroadcast, false);
+    });
+
+    it('refuses once the transaction is broadcast', async () => {
+        let release;
+        const job = jobs.runJob(jobs.createJob('test'), async (context) => {
+            context.markBroadcast();
+            await new Promise(resolve => {
+                release = resolve;
+            });
+            return { success: true };
+        });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(jobs.cancelJob(job.id).status, 409);
+        assert.equal(jobs.serializeJob(job).cancellable, false);
+
+        release();
+        await settled(job);
+        assert.equal(job.status, 'succeeded');
+        assert.equal(jobs.cancelJob(job.id).status, 409);
+    });
+
+    it('returns 404 for an unknown job', () => {
+        assert.equal(jobs.cancelJob('00000000-0000-4000-8000-000000000000').status, 404);
+    });
+});
+
+describe('serializeJob', () => {
+    it('leaves out the internal state', () => {
+        const job = jobs.createJob('test', { chainId: 1 });
+        const view = jobs.serializeJob(job);
+
+        assert.equal(view.id, job.id);
+        assert.equal(view.cancellable, true);
+        for (const field of ['tenant', 'cancelRequested', 'broadcast', 'cancelHandlers']) {
+            assert.equal(field in view, false);
+        }
+        assert.equal(jobs.getJob(job.id), job);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Account Lock Tests
+ * Holders of the same key run one at a time, in arrival order
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const locks = require('../locks');
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+describe('withLocks', () => {
+    it('serializes holders of the same key in arrival order', async () => {
+        const order = [];
+        const first = deferred();
+
+        const a = locks.withLocks(['1:0xaa'], async () => {
+            order.push('a:start');
+            await first.promise;
+            order.push('a:end');
+        });
+        const b = locks.withLocks(['1:0xaa'], async () => {
+            order.push('b');
+        });
+        const other = locks.withLocks(['1:0xbb'], async () => {
+            order.push('other');
+        });
+
+        await other;
+        assert.deepEqual(order, ['a:start', 'other']);
+        assert.equal(locks.isLocked('1:0xaa'), true);
+
+        first.resolve();
+        await Promise.all([a, b]);
+        assert.deepEqual(order, ['a:start', 'other', 'a:end', 'b']);
+        assert.equal(locks.isLocked('1:0xaa'), false);
+    });
+
+    it('releases the lock when the holder throws', async () => {
+        await assert.rejects(locks.withLocks(['key'], async () => {
+            throw new Error('boom');
+        }), /boom/);
+
+        assert.equal(locks.isLocked('key'), false);
+        assert.equal(await locks.withLocks(['key'], async () => 'next'), 'next');
+    });
+
+    it('takes several keys in sorted order so crossed requests do not deadlock', { timeout: 5000 }, async () => {
+        const results = await Promise.all([
+            locks.withLocks(['x', 'y'], async () => 'xy'),
+            locks.withLocks(['y', 'x', 'y'], async () => 'yx')
+        ]);
+        assert.deepEqual(results, ['xy', 'yx']);
+    });
+});
+
+describe('accountKey', () => {
+    it('ignores the address checksum', () => {
+        assert.equal(locks.accountKey(1, '0xAbC'), locks.accountKey(1, '0xabc'));
+        assert.notEqual(locks.accountKey(1, '0xabc'), locks.accountKey(137, '0xabc'));
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Sponsor Nonce Manager Tests
+ * Nonce reuse, filling gaps below broadcast nonces and the automatic speed-up,
+ * against an in-memory mempool
+ */
+
+process.env.LOG_LEVEL = 'error';
+// Every pending transaction counts as stuck; the sweep is run by the tests, not the timer
+process.env.STUCK_TX_TIMEOUT_MS = '0';
+process.env.STUCK_CHECK_INTERVAL_MS = String(60 * 60 * 1000);
+process.env.MAX_AUTO_SPEED_UPS = '1';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const nonces = require('../nonces');
+
+const GWEI = 10n ** 9n;
+
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((done, fail) => {
+        resolve = done;
+        reject = fail;
+    });
+    // Rejected before anything awaits it
+    promise.catch(() => {});
+    return { promise, resolve, reject };
+}
+
+/**
+ * A signer whose transactions land in an in-memory mempool. `hold(nonce)` makes
+ * populating that nonce wait for the returned deferred.
+ */
+function fakeSigner() {
+    const wallet = ethers.Wallet.createRandom();
+    const chain = { mined: 0, mempool: new Map(), sent: [], held: new Map() };
+
+    const provider = {
+        getNetwork: async () => ({ chainId: 31337n }),
+        getTransactionCount: async (address, tag) => {
+            let count = chain.mined;
+            while (tag === 'pending' && chain.mempool.has(count)) {
+                count++;
+            }
+            return count;
+        },
+        getFeeData: async () => ({ maxFeePerGas: 2n * GWEI, maxPriorityFeePerGas: GWEI }),
+        send: async () => ({ baseFeePerGas: ['0x3b9aca00', '0x3b9aca00'], reward: [['0x3b9aca00']] })
+    };
+
+    const signer = {
+        address: wallet.address,
+        provider: provider,
+        populateTransaction: async request => {
+            const held = chain.held.get(request.nonce);
+            if (held) {
+                chain.held.delete(request.nonce);
+                await held.promise;
+            }
+            return { ...request, type: 2, maxFeePerGas: 2n * GWEI, maxPriorityFeePerGas: GWEI };
+        },
+        sendTransaction: async request => {
+            const hash = ethers.id(`${wallet.address}:${chain.sent.length}`);
+            chain.sent.push({ ...request, hash });
+            chain.mempool.set(request.nonce, { ...request, hash });
+            return { hash };
+        }
+    };
+
+    chain.hold = nonce => {
+        chain.held.set(nonce, deferred());
+        return chain.held.get(nonce);
+    };
+    return { signer, chain };
+}
+
+async function waitFor(condition) {
+    const deadline = Date.now() + 2000;
+    while (!condition()) {
+        assert.ok(Date.now() < deadline, 'timed out');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('sendTransaction', () => {
+    it('hands out consecutive nonces and reuses one that was never broadcast', async () => {
+        const { signer, chain } = fakeSigner();
+        const request = { to: signer.address, value: 1n };
+
+        await nonces.sendTransaction(signer, request);
+        chain.hold(1).reject(new Error('gas estimation failed'));
+        await assert.rejects(nonces.sendTransaction(signer, request), /gas estimation failed/);
+        await nonces.sendTransaction(signer, request);
+
+        assert.deepEqual(chain.sent.map(tx => tx.nonce), [0, 1]);
+    });
+
+    it('fills a released nonce that later broadcast nonces wait for', { timeout: 5000 }, async () => {
+        const { signer, chain } = fakeSigner();
+        const request = { to: ethers.ZeroAddress, value: 5n, data: '0x' };
+
+        const failing = chain.hold(0);
+        const first = nonces.sendTransaction(signer, request);
+        await waitFor(() => chain.held.size === 0);
+        const second = await nonces.sendTransaction(signer, request);
+
+        failing.reject(new Error('insufficient funds'));
+        await assert.rejects(first, /insufficient funds/);
+        await waitFor(() => chain.mempool.has(0));
+
+        const filler = chain.mempool.get(0);
+        assert.equal(filler.to, signer.address);
+        assert.equal(filler.value, 0n);
+        assert.equal(filler.data, '0x');
+        assert.equal(filler.gasLimit, 21000n);
+        assert.equal(nonces.isCancellation(filler.hash), true);
+        assert.equal(nonces.isCancellation(second.hash), false);
+
+        // The filled nonce is not handed out again
+        await nonces.sendTransaction(signer, request);
+        assert.deepEqual(chain.sent.map(tx => tx.nonce), [1, 0, 2]);
+    });
+
+    it('does not fill a released nonce above every broadcast one', async () => {
+        const { signer, chain } = fakeSigner();
+
+        await nonces.sendTransaction(signer, { to: signer.address });
+        chain.hold(1).reject(new Error('boom'));
+        await assert.rejects(nonces.sendTransaction(signer, { to: signer.address }));
+        await nonces.checkPendingTransactions();
+
+        assert.equal(chain.sent.some(tx => tx.nonce === 1), false);
+    });
+});
+
+describe('checkPendingTransactions', () => {
+    it('speeds up a stuck transaction with bumped fees, up to MAX_AUTO_SPEED_UPS times', async () => {
+        const { signer, chain } = fakeSigner();
+        const tx = await nonces.sendTransaction(signer, { to: ethers.ZeroAddress, value: 1n });
+
+        await nonces.checkPendingTransactions();
+        const hashes = nonces.transactionHashes(tx.hash);
+        assert.equal(hashes.length, 2);
+
+        const replacement = chain.sent.at(-1);
+        assert.equal(replacement.hash, hashes[1]);
+        assert.equal(replacement.nonce, 0);
+        assert.equal(replacement.value, 1n);
+        assert.equal(replacement.maxFeePerGas, 2n * GWEI * (100n + BigInt(nonces.FEE_BUMP_PERCENT)) / 100n);
+        assert.notEqual(nonces.lastBroadcastAt(hashes[1]), null);
+
+        await nonces.checkPendingTransactions();
+        assert.equal(nonces.transactionHashes(tx.hash).length, 2);
+    });
+
+    it('forgets mined transactions', async () => {
+        const { signer, chain } = fakeSigner();
+        const tx = await nonces.sendTransaction(signer, { to: ethers.ZeroAddress });
+
+        chain.mined = 1;
+        await nonces.checkPendingTransactions();
+
+        assert.equal(chain.sent.length, 1);
+        await assert.rejects(nonces.speedUpTransaction(tx.hash), { code: 'NOT_FOUND' });
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Sponsorship Policy Tests
+ * Target, selector, token and value rules, the implementation allowlist and daily budgets
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+const TOKEN = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const WETH = '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14';
+const IMPLEMENTATION = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+process.env.LOG_LEVEL = 'error';
+process.env.HISTORY_FILE = path.join(DIR, 'history.jsonl');
+process.env.POLICY_FILE = path.join(DIR, 'policy.json');
+fs.writeFileSync(process.env.POLICY_FILE, JSON.stringify({
+    maxValuePerCall: '100',
+    maxValuePerBatch: '150',
+    dailyGasBudget: '100000',
+    dailyEthBudget: '1000',
+    chains: {
+        11155111: {
+            allowNativeTransfers: false,
+            tokens: [TOKEN],
+            targets: { [WETH]: { selectors: ['deposit()', '0x2e1a7d4d'] } }
+        }
+    }
+}));
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const policy = require('../policy');
+
+const SEPOLIA = 11155111;
+const ACCOUNT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const RECIPIENT = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const ERC20 = new ethers.Interface(['function transfer(address to, uint256 amount)']);
+const WETH_INTERFACE = new ethers.Interface(['function deposit()', 'function withdraw(uint256)', 'function approve(address, uint256)']);
+
+const transfer = (token, amount = 1n) => ({ to: token, value: 0n, data: ERC20.encodeFunctionData('transfer', [RECIPIENT, amount]) });
+const native = value => ({ to: RECIPIENT, value, data: '0x' });
+
+after(() => {
+    fs.rmSync(DIR, { recursive: true, force: true });
+});
+
+describe('checkCalls', () => {
+    it('allows calls within the shared rules', () => {
+        assert.equal(policy.checkCalls(1, [native(100n), native(50n), transfer(RECIPIENT)]), null);
+    });
+
+    it('caps the value per call and per batch', () => {
+        assert.equal(policy.checkCalls(1, [native(101n)]).code, 'VALUE_PER_CALL_EXCEEDED');
+        assert.match(policy.checkCalls(1, [native(0n), native(101n)]).error, /^calls\[1\]/);
+        assert.equal(policy.checkCalls(1, [native(100n), native(51n)]).code, 'VALUE_PER_BATCH_EXCEEDED');
+    });
+
+    it('applies the chain\'s overrides on top of the shared rules', () => {
+        assert.equal(policy.checkCalls(SEPOLIA, [native(1n)]).code, 'TARGET_NOT_ALLOWED');
+        assert.equal(policy.checkCalls(SEPOLIA, [native(101n)]).code, 'VALUE_PER_CALL_EXCEEDED');
+    });
+
+    it('only sponsors allowlisted tokens', () => {
+        assert.equal(policy.checkCalls(SEPOLIA, [transfer(TOKEN.toLowerCase())]), null);
+        assert.equal(policy.checkCalls(SEPOLIA, [transfer(RECIPIENT)]).code, 'TOKEN_NOT_ALLOWED');
+    });
+
+    it('only sponsors allowlisted functions on allowlisted targets', () => {
+        const deposit = { to: WETH, value: 10n, data: WETH_INTERFACE.encodeFunctionData('deposit') };
+        const withdraw = { to: WETH, value: 0n, data: WETH_INTERFACE.encodeFunctionData('withdraw', [1n]) };
+        const approve = { to: WETH, value: 0n, data: WETH_INTERFACE.encodeFunctionData('approve', [RECIPIENT, 1n]) };
+
+        assert.equal(policy.checkCalls(SEPOLIA, [deposit, withdraw]), null);
+        // approve() is an ERC20 call, and WETH is not on the token allowlist
+        assert.equal(policy.checkCalls(SEPOLIA, [approve]).code, 'TOKEN_NOT_ALLOWED');
+        assert.equal(policy.checkCalls(SEPOLIA, [{ to: WETH, value: 0n, data: '0x12345678' }]).code, 'SELECTOR_NOT_ALLOWED');
+        assert.equal(policy.checkCalls(SEPOLIA, [{ to: RECIPIENT, value: 0n, data: '0x12345678' }]).code, 'TARGET_NOT_ALLOWED');
+        // A native transfer to an allowlisted target is allowed
+        assert.equal(policy.checkCalls(SEPOLIA, [{ to: WETH, value: 1n, data: '0x' }]), null);
+    });
+});
+
+describe('checkToken', () => {
+    it('checks the token allowlist when the chain has one', () => {
+        assert.equal(policy.checkToken(SEPOLIA, TOKEN), null);
+        assert.equal(policy.checkToken(SEPOLIA, RECIPIENT).code, 'TOKEN_NOT_ALLOWED');
+        assert.equal(policy.checkToken(1, RECIPIENT), null);
+    });
+});
+
+describe('checkImplementation', () => {
+    it('allows the chain\'s known BatchCallAndSponsor and removing a delegation', () => {
+        const chain = { chainId: 1, implementation: IMPLEMENTATION };
+
+        assert.equal(policy.checkImplementation(chain, IMPLEMENTATION.toLowerCase()), null);
+        assert.equal(policy.checkImplementation(chain, ethers.ZeroAddress), null);
+        assert.equal(policy.checkImplementation(chain, RECIPIENT).code, 'IMPLEMENTATION_NOT_ALLOWED');
+        assert.equal(policy.checkImplementation({ chainId: 1, implementation: null }, IMPLEMENTATION).code, 'IMPLEMENTATION_NOT_ALLOWED');
+    });
+});
+
+describe('checkBudget', () => {
+    it('admits a transaction only while the daily budgets cover it', () => {
+        const account = ACCOUNT.toLowerCase();
+
+        assert.equal(policy.checkBudget(1, ACCOUNT, { gas: 100000n, fee: 900n, value: 100n }), null);
+        assert.equal(policy.checkBudget(1, ACCOUNT, { gas: 100001n, fee: 0n, value: 0n }).code, 'DAILY_GAS_BUDGET_EXCEEDED');
+        assert.equal(policy.checkBudget(1, ACCOUNT, { gas: 0n, fee: 901n, value: 100n }).code, 'DAILY_ETH_BUDGET_EXCEEDED');
+
+        policy.recordSpend(1, account, { gasUsed: '60000', fee: '500' }, 100n);
+        assert.deepEqual(policy.describe({ chainId: 1, implementation: null }, ACCOUNT).usage, {
+            account: ACCOUNT,
+            day: new Date().toISOString().slice(0, 10),
+            gasUsed: '60000',
+            feeWei: '500',
+            valueWei: '100'
+        });
+
+        assert.equal(policy.checkBudget(1, ACCOUNT, { gas: 40000n, fee: 300n, value: 100n }), null);
+        assert.equal(policy.checkBudget(1, ACCOUNT, { gas: 40001n, fee: 0n, value: 0n }).code, 'DAILY_GAS_BUDGET_EXCEEDED');
+        assert.equal(policy.checkBudget(1, ACCOUNT, { gas: 0n, fee: 301n, value: 100n }).code, 'DAILY_ETH_BUDGET_EXCEEDED');
+
+        // Budgets are per chain
+        assert.equal(policy.checkBudget(SEPOLIA, ACCOUNT, { gas: 100000n, fee: 0n, value: 0n }), null);
+    });
+
+    it('refuses once the budget is spent, even without an estimate', () => {
+        policy.recordSpend(137, RECIPIENT, { gasUsed: '100000', fee: '0' });
+        assert.equal(policy.checkBudget(137, RECIPIENT).code, 'DAILY_GAS_BUDGET_EXCEEDED');
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Receipt Tracking Tests
+ * BatchCallAndSponsor event decoding, receipt summaries and the CONFIRMATIONS setting
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { ethers } = require('ethers');
+const { batchInterface } = require('../eip7702');
+const receipts = require('../receipts');
+
+const ACCOUNT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const SPONSOR = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const RECIPIENT = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+function eventLog(name, args, index) {
+    const { topics, data } = batchInterface.encodeEventLog(name, args);
+    return { address: ACCOUNT, topics, data, index };
+}
+
+const LOGS = [
+    eventLog('CallExecuted', [SPONSOR, RECIPIENT, 1000n, '0x'], 0),
+    // A token Transfer in between is skipped
+    { address: RECIPIENT, topics: [ethers.id('Transfer(address,address,uint256)')], data: '0x', index: 1 },
+    eventLog('BatchExecuted', [4n, [[RECIPIENT, 1000n, '0x']]], 2)
+];
+
+describe('decodeBatchEvents', () => {
+    it('decodes BatchExecuted and CallExecuted emitted by the account', () => {
+        const { batches, calls } = receipts.decodeBatchEvents(LOGS);
+
+        assert.deepEqual(calls, [{
+            account: ACCOUNT,
+            logIndex: 0,
+            sender: SPONSOR,
+            to: RECIPIENT,
+            value: '1000',
+            data: '0x'
+        }]);
+        assert.deepEqual(batches, [{
+            account: ACCOUNT,
+            logIndex: 2,
+            nonce: '4',
+            calls: [{ to: RECIPIENT, value: '1000', data: '0x' }]
+        }]);
+    });
+});
+
+describe('summarizeReceipt', () => {
+    it('reports status, fee and events as plain JSON', () => {
+        const summary = receipts.summarizeReceipt({
+            hash: '0xabc',
+            status: 0,
+            blockNumber: 7,
+            blockHash: '0xdef',
+            gasUsed: 50000n,
+            gasPrice: ethers.parseUnits('2', 'gwei'),
+            logs: LOGS
+        }, 2);
+
+        assert.equal(summary.status, 'reverted');
+        assert.equal(summary.confirmations, 2);
+        assert.equal(summary.gasUsed, '50000');
+        assert.equal(summary.effectiveGasPriceGwei, '2.0');
+        assert.equal(summary.fee, '100000000000000');
+        assert.equal(summary.feeEth, '0.0001');
+        assert.equal(summary.events.batches.length, 1);
+    });
+});
+
+describe('CONFIRMATIONS', () => {
+    function load(value) {
+        return spawnSync(process.execPath, ['-e', 'console.log(require("./receipts").CONFIRMATIONS)'], {
+            cwd: path.join(__dirname, '..'),
+            env: { ...process.env, CONFIRMATIONS: value },
+            encoding: 'utf8'
+        });
+    }
+
+    it('accepts a whole number', () => {
+        const child = load('3');
+        assert.equal(child.status, 0);
+        assert.equal(child.stdout.trim(), '3');
+    });
+
+    it('refuses to start with anything else', () => {
+        for (const value of ['abc', '0', '2.5', '-1', '3 blocks']) {
+            const child = load(value);
+            assert.notEqual(child.status, 0, value);
+            assert.match(child.stderr, /CONFIRMATIONS: .* is not a whole number of at least 1/);
+        }
+    });
+});
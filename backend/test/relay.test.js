@@ -0,0 +1,113 @@
+/**
+ * Sponsored Relay Tests
+ * Checks of client-signed authorizations and batch signatures, with the
+ * account's on-chain state stubbed
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const eip7702 = require('../eip7702');
+const relay = require('../relay');
+
+const ALICE = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const BOB = new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a');
+const IMPLEMENTATION = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const CHAIN = { chainId: 31337, rpcUrl: 'http://stub' };
+const CALLS = [{ to: BOB.address, value: 1000n, data: '0x' }];
+
+// Alice's account: transaction nonce 3, batch nonce 2
+let account;
+
+beforeEach(() => {
+    account = { nonce: 3, code: '0xef0100' + IMPLEMENTATION.slice(2).toLowerCase(), batchNonce: 2n };
+    mock.method(eip7702, 'getProvider', () => ({
+        getTransactionCount: async () => account.nonce,
+        getCode: async () => account.code
+    }));
+    mock.method(eip7702, 'readBatchNonce', async () => account.batchNonce);
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+function signAuthorization(wallet, fields = {}) {
+    const tuple = { chainId: 31337, address: IMPLEMENTATION, nonce: 3, ...fields };
+    return { ...tuple, signature: wallet.authorizeSync(tuple).signature.serialized };
+}
+
+function signBatch(wallet, nonce, calls = CALLS) {
+    return wallet.signMessageSync(ethers.getBytes(eip7702.computeBatchDigest(nonce, calls)));
+}
+
+describe('verifyAuthorization', () => {
+    it('accepts an authorization signed by the account for its current nonce', async () => {
+        const { authorization, error } = await relay.verifyAuthorization(CHAIN, ALICE.address, signAuthorization(ALICE));
+
+        assert.equal(error, undefined);
+        assert.equal(authorization.address, IMPLEMENTATION);
+        assert.equal(authorization.nonce, 3n);
+    });
+
+    it('accepts chainId 0 (valid on every chain)', async () => {
+        const { error } = await relay.verifyAuthorization(CHAIN, ALICE.address, signAuthorization(ALICE, { chainId: 0 }));
+        assert.equal(error, undefined);
+    });
+
+    it('refuses someone else\'s signature', async () => {
+        const { error, code } = await relay.verifyAuthorization(CHAIN, ALICE.address, signAuthorization(BOB));
+        assert.equal(code, 'INVALID_SIGNATURE');
+        assert.match(error, /not signed by the account/);
+    });
+
+    it('refuses another chain', async () => {
+        const { code } = await relay.verifyAuthorization(CHAIN, ALICE.address, signAuthorization(ALICE, { chainId: 1 }));
+        assert.equal(code, 'WRONG_CHAIN');
+    });
+
+    it('explains the + 1 of a self-submitted authorization', async () => {
+        const { error, code } = await relay.verifyAuthorization(CHAIN, ALICE.address, signAuthorization(ALICE, { nonce: 4 }));
+        assert.equal(code, 'NONCE_TOO_LOW');
+        assert.match(error, /nonce \+ 1 is only for self-submitted transactions/);
+    });
+
+    it('refuses a malformed authorization', async () => {
+        const { code } = await relay.verifyAuthorization(CHAIN, ALICE.address, { chainId: 31337, address: IMPLEMENTATION, nonce: 3, signature: '0x1234' });
+        assert.equal(code, 'INVALID_REQUEST');
+    });
+});
+
+describe('verifyBatchSignature', () => {
+    it('accepts a batch signed for the account\'s batch nonce', async () => {
+        const { nonce, error } = await relay.verifyBatchSignature(CHAIN, ALICE.address, CALLS, signBatch(ALICE, 2n));
+
+        assert.equal(error, undefined);
+        assert.equal(nonce, 2n);
+    });
+
+    it('refuses a signature for a used nonce', async () => {
+        const { error, code } = await relay.verifyBatchSignature(CHAIN, ALICE.address, CALLS, signBatch(ALICE, 1n));
+        assert.equal(code, 'INVALID_SIGNATURE');
+        assert.match(error, /for nonce 2/);
+    });
+
+    it('needs an authorization for an account that is not delegated', async () => {
+        account.code = '0x';
+
+        const { code } = await relay.verifyBatchSignature(CHAIN, ALICE.address, CALLS, signBatch(ALICE, 2n));
+        assert.equal(code, 'DELEGATION_MISSING');
+
+        const signedAuthorization = eip7702.parseAuthorization(signAuthorization(ALICE));
+        const bundled = await relay.verifyBatchSignature(CHAIN, ALICE.address, CALLS, signBatch(ALICE, 2n), signedAuthorization);
+        assert.equal(bundled.nonce, 2n);
+        assert.equal(eip7702.readBatchNonce.mock.calls.at(-1).arguments[2], IMPLEMENTATION);
+    });
+
+    it('refuses a signature that is not 65 bytes', async () => {
+        const { code } = await relay.verifyBatchSignature(CHAIN, ALICE.address, CALLS, '0x1234');
+        assert.equal(code, 'INVALID_REQUEST');
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Batch Simulation Tests
+ * Decoding of revert data: Error(string), Panic(uint256) and custom errors
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const simulation = require('../simulation');
+
+const SENDER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const ERRORS = new ethers.Interface([
+    'error Error(string)',
+    'error Panic(uint256)',
+    'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+    'error NotOwner(address caller)'
+]);
+
+describe('decodeRevert', () => {
+    it('decodes a require message', () => {
+        const { reason, error } = simulation.decodeRevert(ERRORS.encodeErrorResult('Error', ['Invalid signature']));
+
+        assert.equal(reason, 'Invalid signature');
+        assert.deepEqual(error, { name: 'Error', signature: 'Error(string)', selector: '0x08c379a0', args: ['Invalid signature'] });
+    });
+
+    it('names the panic code', () => {
+        assert.equal(simulation.decodeRevert(ERRORS.encodeErrorResult('Panic', [0x11])).reason, 'Panic(0x11): arithmetic overflow or underflow');
+        assert.equal(simulation.decodeRevert(ERRORS.encodeErrorResult('Panic', [0x99])).reason, 'Panic(0x99): unknown panic code');
+    });
+
+    it('decodes the known OpenZeppelin errors', () => {
+        const data = ERRORS.encodeErrorResult('ERC20InsufficientBalance', [SENDER, 5n, 10n]);
+        const { reason, error } = simulation.decodeRevert(data);
+
+        assert.equal(reason, `ERC20InsufficientBalance(${SENDER}, 5, 10)`);
+        assert.equal(error.signature, 'ERC20InsufficientBalance(address,uint256,uint256)');
+        assert.deepEqual(error.args, [SENDER, '5', '10']);
+    });
+
+    it('decodes custom errors given by the caller, and reports unknown ones by selector', () => {
+        const data = ERRORS.encodeErrorResult('NotOwner', [SENDER]);
+
+        assert.equal(simulation.decodeRevert(data, ['error NotOwner(address caller)']).reason, `NotOwner(${SENDER})`);
+
+        const unknown = simulation.decodeRevert(data);
+        assert.equal(unknown.reason, `Unknown custom error ${data.slice(0, 10)}`);
+        assert.equal(unknown.error.data, data);
+    });
+
+    it('handles empty and malformed revert data', () => {
+        assert.deepEqual(simulation.decodeRevert('0x'), { reason: 'Reverted without a reason', error: null });
+        assert.equal(simulation.decodeRevert('0x08c379a0dead').reason, 'Unknown custom error 0x08c379a0');
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * ERC20 Token Tests
+ * Amount scaling and metadata reads against a stub JSON-RPC server
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ethers } = require('ethers');
+const tokens = require('../tokens');
+const errors = require('../errors');
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const OLD_TOKEN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const OWNER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+// A contract whose eth_calls hit an RPC outage (HTTP 503)
+const UNREACHABLE_TOKEN = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const selector = method => tokens.ERC20_INTERFACE.getFunction(method).selector;
+
+// eth_call results per token and selector; OLD_TOKEN returns bytes32 metadata like MKR
+const CALLS = {
+    [TOKEN.toLowerCase()]: {
+        [selector('decimals')]: coder.encode(['uint8'], [6]),
+        [selector('symbol')]: coder.encode(['string'], ['USDC']),
+        [selector('name')]: coder.encode(['string'], ['USD Coin']),
+        [selector('balanceOf')]: coder.encode(['uint256'], [2500000n])
+    },
+    [OLD_TOKEN.toLowerCase()]: {
+        [selector('decimals')]: coder.encode(['uint8'], [18]),
+        [selector('symbol')]: ethers.encodeBytes32String('MKR'),
+        [selector('name')]: '0x'
+    }
+};
+
+function answer(request) {
+    const reply = result => ({ jsonrpc: '2.0', id: request.id, result });
+    switch (request.method) {
+        case 'eth_chainId':
+            return reply('0x7a69');
+        case 'eth_getCode': {
+            const address = request.params[0].toLowerCase();
+            return reply(CALLS[address] || address === UNREACHABLE_TOKEN.toLowerCase() ? '0x6080' : '0x');
+        }
+        case 'eth_call': {
+            const { to, data, input } = request.params[0];
+            const result = (CALLS[to.toLowerCase()] || {})[(data || input).slice(0, 10)];
+            return result === undefined
+                ? { jsonrpc: '2.0', id: request.id, error: { code: 3, message: 'execution reverted', data: '0x' } }
+                : reply(result);
+        }
+        default:
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'method not found' } };
+    }
+}
+
+describe('readTokenMetadata', () => {
+    let server;
+    let rpcUrl;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const payload = JSON.parse(body);
+                const requests = Array.isArray(payload) ? payload : [payload];
+                if (requests.some(request => request.method === 'eth_call'
+                    && request.params[0].to.toLowerCase() === UNREACHABLE_TOKEN.toLowerCase())) {
+                    res.statusCode = 503;
+                    res.end('Service Unavailable');
+                    return;
+                }
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        rpcUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    it('reads decimals, symbol, name and the owner\'s balance', async () => {
+        const metadata = await tokens.readTokenMetadata(rpcUrl, TOKEN.toLowerCase(), OWNER);
+
+        assert.deepEqual(metadata, {
+            address: TOKEN,
+            name: 'USD Coin',
+            symbol: 'USDC',
+            decimals: 6,
+            owner: OWNER,
+            balance: '2500000',
+            balanceFormatted: '2.5'
+        });
+    });
+
+    it('decodes bytes32 metadata and tolerates a missing name()', async () => {
+        const metadata = await tokens.readTokenMetadata(rpcUrl, OLD_TOKEN);
+
+        assert.equal(metadata.symbol, 'MKR');
+        assert.equal(metadata.name, null);
+        assert.equal(metadata.decimals, 18);
+    });
+
+    it('refuses an address without code', async () => {
+        await assert.rejects(tokens.readTokenMetadata(rpcUrl, OWNER), { code: 'INVALID_REQUEST', message: /No contract deployed/ });
+    });
+
+    it('reports a token without balanceOf()', async () => {
+        await assert.rejects(tokens.readTokenBalance(rpcUrl, OLD_TOKEN, OWNER), { code: 'INVALID_REQUEST', message: /does not implement balanceOf\(\)/ });
+    });
+
+    it('leaves RPC failures to be classified as retryable instead of blaming the token', async () => {
+        for (const read of [
+            () => tokens.readTokenMetadata(rpcUrl, UNREACHABLE_TOKEN),
+            () => tokens.readTokenBalance(rpcUrl, UNREACHABLE_TOKEN, OWNER)
+        ]) {
+            await assert.rejects(read(), error => {
+                assert.doesNotMatch(error.message, /does not implement/);
+                const apiError = errors.classifyError(error);
+                assert.equal(apiError.code, 'RPC_UNAVAILABLE');
+                assert.equal(apiError.retryable, true);
+                return true;
+            });
+        }
+    });
+});
+
+describe('parseTokenAmount', () => {
+    it('scales by the token\'s decimals', () => {
+        assert.equal(tokens.parseTokenAmount('2.5', 6).amount, 2500000n);
+        assert.equal(tokens.parseTokenAmount(1, 18).amount, 10n ** 18n);
+    });
+
+    it('refuses more decimals than the token has, and zero', () => {
+        assert.match(tokens.parseTokenAmount('0.0000001', 6).error, /at most 6 decimals/);
+        assert.match(tokens.parseTokenAmount('abc', 6).error, /at most 6 decimals/);
+        assert.match(tokens.parseTokenAmount('0', 6).error, /greater than zero/);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Request Validation Tests
+ * Schema checks of bodies, query strings and path parameters, and their 400 messages
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const validation = require('../validation');
+
+const ACCOUNT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const SIGNATURE = '0x' + 'ab'.repeat(65);
+
+/**
+ * Run the validator of `operationId` on a request. Resolves with
+ * { passed, status, body, req } (req as normalized by the validator).
+ */
+function check(operationId, { body, query = {}, params = {} }) {
+    const req = { body, query, params };
+    const result = { passed: false, status: null, body: null, req };
+    const res = {
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(payload) {
+            result.body = payload;
+        }
+    };
+    validation.validate(operationId)(req, res, () => {
+        result.passed = true;
+    });
+    return result;
+}
+
+describe('isAddress', () => {
+    it('accepts checksummed and single-case addresses only', () => {
+        assert.equal(validation.isAddress(ACCOUNT), true);
+        assert.equal(validation.isAddress(ACCOUNT.toLowerCase()), true);
+        assert.equal(validation.isAddress('0x' + ACCOUNT.slice(2).toUpperCase()), true);
+        assert.equal(validation.isAddress(ACCOUNT.replace('C5', 'c5')), false);
+        assert.equal(validation.isAddress(ACCOUNT.slice(0, 40)), false);
+    });
+});
+
+describe('validate', () => {
+    it('passes a valid body and coerces JSON numbers to the schema type', () => {
+        const result = check('sendNative', { body: { address: ACCOUNT, signature: SIGNATURE, recipient: ACCOUNT, amount: 0.5, chainId: '31337' } });
+
+        assert.equal(result.passed, true);
+        assert.equal(result.req.body.amount, '0.5');
+        assert.equal(result.req.body.chainId, 31337);
+    });
+
+    it('names a missing field', () => {
+        const { status, body } = check('sendNative', { body: { address: ACCOUNT, signature: SIGNATURE, amount: '1' } });
+
+        assert.equal(status, 400);
+        assert.deepEqual(body, { success: false, error: 'Missing required field: recipient', field: 'recipient' });
+    });
+
+    it('explains which signer fields are needed', () => {
+        const { body } = check('sendNative', { body: { recipient: ACCOUNT, amount: '1' } });
+        assert.equal(body.error, 'Missing required fields: signature and address, or privateKey');
+    });
+
+    it('reports the offending field of a nested value', () => {
+        const { body } = check('sendBatch', {
+            body: { address: ACCOUNT, signature: SIGNATURE, calls: [{ to: ACCOUNT }, { to: ACCOUNT, data: '0x123' }] }
+        });
+
+        assert.equal(body.field, 'calls[1].data');
+        assert.equal(body.error, 'Invalid calls[1].data: must be 0x-prefixed hex bytes');
+    });
+
+    it('tells a bad checksum from a malformed address', () => {
+        assert.match(check('sendNative', { body: { privateKey: '11'.repeat(32), recipient: ACCOUNT.replace('C5', 'c5'), amount: '1' } }).body.error, /bad EIP-55 checksum/);
+        assert.match(check('sendNative', { body: { privateKey: '11'.repeat(32), recipient: '0x1234', amount: '1' } }).body.error, /must be a 0x-prefixed 20-byte hex address/);
+    });
+
+    it('adds the 0x prefix to private keys', () => {
+        const result = check('sendNative', { body: { privateKey: '11'.repeat(32), recipient: ACCOUNT, amount: '1' } });
+
+        assert.equal(result.passed, true);
+        assert.equal(result.req.body.privateKey, '0x' + '11'.repeat(32));
+    });
+
+    it('checks custom formats', () => {
+        const cases = [
+            [{ amount: '0' }, /must be a positive decimal number/],
+            [{ maxFeePerGasGwei: '1.0000000001' }, /at most 9 decimals/],
+            [{ callbackUrl: 'ftp://example.com/hook' }, /must be an http or https URL/],
+            [{ feeStrategy: 'turbo' }, /must be one of slow, normal, fast/]
+        ];
+
+        for (const [fields, message] of cases) {
+            const body = { address: ACCOUNT, signature: SIGNATURE, recipient: ACCOUNT, amount: '1', ...fields };
+            assert.match(check('sendNative', { body }).body.error, message);
+        }
+
+        assert.match(check('simulateBatch', { body: { address: ACCOUNT, calls: [{ to: ACCOUNT }], errors: ['NotAnError'] } }).body.error, /must be an error signature/);
+    });
+
+    it('checks and coerces query strings and path parameters', () => {
+        const page = check('listTransactions', { query: { limit: '10', status: 'failed' } });
+        assert.equal(page.passed, true);
+        assert.equal(page.req.query.limit, 10);
+
+        assert.match(check('listTransactions', { query: { from: 'yesterday' } }).body.error, /Invalid from: must be an ISO date or unix seconds/);
+        assert.match(check('getTransaction', { params: { hash: '0x1234' } }).body.error, /Invalid hash: must be a 0x-prefixed 32-byte hex hash/);
+        assert.match(check('getJob', { params: { id: 'not-a-job' } }).body.error, /must be a UUID/);
+    });
+
+    it('refuses an unknown operation', () => {
+        assert.throws(() => validation.validate('noSuchOperation'), /Unknown operation noSuchOperation/);
+    });
+});
@@ -0,0 +1,213 @@
+/**
+ * Webhook Tests
+ * Event order, timestamped signatures and retries against a local receiver,
+ * and the refusal of callback URLs that point into the server's network
+ */
+
+process.env.LOG_LEVEL = 'error';
+process.env.WEBHOOK_SECRET = 'webhook-test-secret';
+process.env.WEBHOOK_RETRY_BASE_MS = '50';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jobs = require('../jobs');
+const webhooks = require('../webhooks');
+
+const ACCOUNT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+jobs.onJobUpdate(webhooks.notifyJobUpdate);
+
+// Deliveries received, and the statuses to answer with before answering 200
+let received;
+let failures;
+
+function waitFor(condition) {
+    return new Promise((resolve, reject) => {
+        const deadline = Date.now() + 3000;
+        const poll = () => {
+            if (condition()) {
+                return resolve();
+            }
+            if (Date.now() > deadline) {
+                return reject(new Error('timed out'));
+            }
+            setTimeout(poll, 10);
+        };
+        poll();
+    });
+}
+
+describe('delivery', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body: body, at: Date.now() });
+                res.statusCode = failures.length > 0 ? failures.shift() : 200;
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        received = [];
+        failures = [];
+    });
+
+    // A job subscribed like one whose API key has an internal webhookUrl
+    function subscribedJob() {
+        const job = jobs.createJob('batch', { address: ACCOUNT, chainId: 31337, sponsored: true });
+        webhooks.subscribe(job, { url: url, secret: webhooks.WEBHOOK_SECRET, publicOnly: false });
+        return job;
+    }
+
+    const events = () => received.map(delivery => JSON.parse(delivery.body).event);
+
+    it('reports submitted, then confirmed', async () => {
+        const job = subscribedJob();
+        jobs.runJob(job, async (context) => {
+            context.setTxHash('0xaaa');
+            return { success: true, receipt: { status: 'success' } };
+        });
+
+        await waitFor(() => received.length === 2);
+        assert.deepEqual(events(), ['submitted', 'confirmed']);
+
+        const confirmed = JSON.parse(received[1].body);
+        assert.equal(confirmed.jobId, job.id);
+        assert.equal(confirmed.txHash, '0xaaa');
+        assert.equal(received[1].headers['x-webhook-event'], 'confirmed');
+    });
+
+    it('reports a speed-up as another submitted event, then reverted', async () => {
+        const job = subscribedJob();
+        jobs.runJob(job, async (context) => {
+            context.setTxHash('0xaaa');
+            context.setTxHash('0xbbb');
+            return { success: false, error: 'Call reverted', receipt: { status: 'reverted' } };
+        });
+
+        await waitFor(() => received.length === 3);
+        assert.deepEqual(events(), ['submitted', 'submitted', 'reverted']);
+        assert.equal(JSON.parse(received[1].body).replacedTxHash, '0xaaa');
+    });
+
+    it('reports a job that fails before broadcasting as dropped', async () => {
+        const job = subscribedJob();
+        jobs.runJob(job, async () => {
+            throw new Error('insufficient funds for gas');
+        });
+
+        await waitFor(() => received.length === 1);
+        assert.deepEqual(events(), ['dropped']);
+        assert.equal(JSON.parse(received[0].body).errorCode, 'INSUFFICIENT_FUNDS');
+    });
+
+    it('signs the timestamp and the body', async () => {
+        jobs.runJob(subscribedJob(), async () => ({ success: true }));
+        await waitFor(() => received.length === 1);
+
+        const { headers, body } = received[0];
+        const timestamp = Number(headers['x-webhook-timestamp']);
+        const expected = crypto.createHmac('sha256', webhooks.WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+        assert.ok(Math.abs(Date.now() / 1000 - timestamp) < 60);
+        assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+        assert.equal(headers['x-webhook-id'], JSON.parse(body).id);
+    });
+
+    it('retries a failed delivery with exponential backoff', async () => {
+        failures = [500, 500];
+        jobs.runJob(subscribedJob(), async () => ({ success: true }));
+
+        await waitFor(() => received.length === 3);
+        assert.deepEqual(events(), ['confirmed', 'confirmed', 'confirmed']);
+        // One delivery: the same event id on every attempt
+        assert.equal(new Set(received.map(delivery => delivery.headers['x-webhook-id'])).size, 1);
+
+        const firstDelay = received[1].at - received[0].at;
+        const secondDelay = received[2].at - received[1].at;
+        assert.ok(firstDelay >= 45, `first retry after ${firstDelay}ms`);
+        assert.ok(secondDelay >= 95, `second retry after ${secondDelay}ms`);
+    });
+
+    it('never delivers a request\'s callbackUrl to a non-public address', async () => {
+        const job = jobs.createJob('batch', { address: ACCOUNT, chainId: 31337 });
+        webhooks.subscribe(job, { url: url, secret: webhooks.WEBHOOK_SECRET, publicOnly: true });
+        jobs.runJob(job, async () => ({ success: true }));
+
+        // Three attempts with 50ms and 100ms between them
+        await new Promise(resolve => setTimeout(resolve, 400));
+        assert.equal(received.length, 0);
+    });
+});
+
+describe('validateCallback', () => {
+    async function validate(callbackUrl) {
+        let status = null;
+        let error = null;
+        let passed = false;
+        const res = {
+            status(code) {
+                status = code;
+                return this;
+            },
+            json(body) {
+                error = body.error;
+            }
+        };
+        await webhooks.validateCallback({ body: { callbackUrl } }, res, () => {
+            passed = true;
+        });
+        return { status, error, passed };
+    }
+
+    it('refuses loopback, private, link-local and mapped addresses', async () => {
+        const urls = [
+            'http://127.0.0.1:3001/api',
+            'http://localhost/hook',
+            'http://10.1.2.3/hook',
+            'http://192.168.1.10/hook',
+            'http://169.254.169.254/latest/meta-data',
+            'http://[::1]/hook',
+            'http://[fd00::1]/hook',
+            'http://[::ffff:127.0.0.1]/hook',
+            'http://0.0.0.0/hook'
+        ];
+
+        for (const callbackUrl of urls) {
+            const { status, error, passed } = await validate(callbackUrl);
+            assert.equal(passed, false, callbackUrl);
+            assert.equal(status, 400);
+            assert.match(error, /must point to a public address/);
+        }
+    });
+
+    it('accepts a public address', async () => {
+        assert.equal((await validate('https://93.184.216.34/hook')).passed, true);
+        assert.equal((await validate('https://[2606:4700::1111]/hook')).passed, true);
+    });
+
+    it('marks which targets must stay public', () => {
+        const tenant = { webhookUrl: 'http://10.0.0.5/internal', webhookSecret: 'tenant-secret' };
+
+        assert.deepEqual(webhooks.targetFor({ body: {}, tenantLimits: tenant }), { url: tenant.webhookUrl, secret: 'tenant-secret', publicOnly: false });
+        assert.equal(webhooks.targetFor({ body: { callbackUrl: 'https://93.184.216.34/' }, tenantLimits: tenant }).publicOnly, true);
+        assert.equal(webhooks.targetFor({ body: {} }), null);
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * ERC20 Tokens
+ * Reads token metadata and balances so amounts are scaled with the token's real decimals
+ */
+
+const { ethers } = require('ethers');
+const { getProvider } = require('./eip7702');
+const { ApiError } = require('./errors');
+
+const ERC20_INTERFACE = new ethers.Interface([
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function name() view returns (string)'
+]);
+
+// Some older tokens (e.g. MKR) return bytes32 instead of string
+const BYTES32_METADATA_INTERFACE = new ethers.Interface([
+    'function symbol() view returns (bytes32)',
+    'function name() view returns (bytes32)'
+]);
+
+/**
+ * Whether a failed read is the token's doing (a revert, or a result that does not
+ * decode) rather than the RPC's, which callers classify like any other error
+ */
+function isContractError(error) {
+    return error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA';
+}
+
+async function callToken(provider, tokenAddress, method, args = []) {
+    const data = ERC20_INTERFACE.encodeFunctionData(method, args);
+    const result = await provider.call({ to: tokenAddress, data: data });
+    return ERC20_INTERFACE.decodeFunctionResult(method, result)[0];
+}
+
+/**
+ * Read symbol() or name(), tolerating bytes32 return values and missing methods
+ */
+async function readTextField(provider, tokenAddress, method) {
+    let raw;
+    try {
+        raw = await provider.call({ to: tokenAddress, data: ERC20_INTERFACE.encodeFunctionData(method) });
+        return ERC20_INTERFACE.decodeFunctionResult(method, raw)[0];
+    } catch (error) {
+        if (!isContractError(error)) {
+            throw error;
+        }
+        if (!raw || raw === '0x') {
+            return null;
+        }
+    }
+
+    try {
+        const value = BYTES32_METADATA_INTERFACE.decodeFunctionResult(method, raw)[0];
+        return ethers.decodeBytes32String(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read a token's metadata, and the balance of `owner` when given.
+ * Throws an INVALID_REQUEST ApiError when the address is not a contract or does
+ * not implement decimals(); RPC failures are thrown as they are.
+ */
+async function readTokenMetadata(rpcUrl, tokenAddress, owner = null) {
+    const provider = getProvider(rpcUrl);
+
+    const code = await provider.getCode(tokenAddress);
+    if (code === '0x') {
+        throw new ApiError('INVALID_REQUEST', `No contract deployed at token address ${tokenAddress}`);
+    }
+
+    let decimals;
+    try {
+        decimals = Number(await callToken(provider, tokenAddress, 'decimals'));
+    } catch (error) {
+        if (!isContractError(error)) {
+            throw error;
+        }
+        throw new ApiError('INVALID_REQUEST', `Token ${tokenAddress} does not implement decimals()`);
+    }
+
+    const [symbol, name] = await Promise.all([
+        readTextField(provider, tokenAddress, 'symbol'),
+        readTextField(provider, tokenAddress, 'name')
+    ]);
+
+    const metadata = {
+        address: ethers.getAddress(tokenAddress),
+        name: name,
+        symbol: symbol,
+        decimals: decimals
+    };
+
+    if (owner) {
+        const balance = await readTokenBalance(rpcUrl, tokenAddress, owner);
+        metadata.owner = ethers.getAddress(owner);
+        metadata.balance = balance.toString();
+        metadata.balanceFormatted = ethers.formatUnits(balance, decimals);
+    }
+
+    return metadata;
+}
+
+/**
+ * Token balance of an account in the smallest unit. Throws an INVALID_REQUEST
+ * ApiError when the token does not implement balanceOf().
+ */
+async function readTokenBalance(rpcUrl, tokenAddress, owner) {
+    const provider = getProvider(rpcUrl);
+    try {
+        return await callToken(provider, tokenAddress, 'balanceOf', [owner]);
+    } catch (error) {
+        if (!isContractError(error)) {
+            throw error;
+        }
+        throw new ApiError('INVALID_REQUEST', `Token ${tokenAddress} does not implement balanceOf()`);
+    }
+}
+
+/**
+ * Convert a human-readable amount to the token's smallest unit.
+ * Returns { amount } or { error }.
+ */
+function parseTokenAmount(amount, decimals) {
+    let parsed;
+    try {
+        parsed = ethers.parseUnits(amount.toString(), decimals);
+    } catch (error) {
+        return { error: `Invalid amount: must be a number with at most ${decimals} decimals` };
+    }
+
+    if (parsed <= 0n) {
+        return { error: 'Invalid amount: must be greater than zero' };
+    }
+
+    return { amount: parsed };
+}
+
+module.exports = {
+    ERC20_INTERFACE,
+    readTokenMetadata,
+    readTokenBalance,
+    parseTokenAmount
+};
@@ -0,0 +1,217 @@
+/**
+ * Request Validation
+ * Checks path parameters, query strings and JSON bodies against the schemas of
+ * the OpenAPI document, so every route gets the same 400 error bodies
+ */
+
+const Ajv = require('ajv');
+const { ethers } = require('ethers');
+const { document, requestSchemas } = require('./openapi');
+const { isCallbackUrl } = require('./webhooks');
+
+const HEX_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * A 0x-prefixed 20-byte address; mixed case must be a valid EIP-55 checksum
+ */
+function isAddress(value) {
+    if (!HEX_ADDRESS.test(value)) {
+        return false;
+    }
+    const hex = value.slice(2);
+    return hex === hex.toLowerCase() || hex === hex.toUpperCase() || ethers.getAddress(value.toLowerCase()) === value;
+}
+
+/**
+ * Whether a string parses as a human-readable error signature
+ */
+function isErrorSignature(value) {
+    try {
+        return ethers.ErrorFragment.from(value.trim()) !== null;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Custom `format`s of the document, and how a value breaks them
+const FORMATS = {
+    address: {
+        validate: isAddress,
+        message: 'must be a 0x-prefixed 20-byte hex address'
+    },
+    hash: {
+        validate: /^0x[0-9a-fA-F]{64}$/,
+        message: 'must be a 0x-prefixed 32-byte hex hash'
+    },
+    signature: {
+        validate: /^0x[0-9a-fA-F]{130}$/,
+        message: 'must be a 0x-prefixed 65-byte hex signature'
+    },
+    hex: {
+        validate: /^0x([0-9a-fA-F]{2})*$/,
+        message: 'must be 0x-prefixed hex bytes'
+    },
+    'private-key': {
+        validate: /^(0x)?[0-9a-fA-F]{64}$/,
+        message: 'must be 64 hex characters'
+    },
+    uint: {
+        validate: /^[0-9]+$/,
+        message: 'must be an integer amount in wei'
+    },
+    decimal: {
+        validate: value => /^[0-9]+(\.[0-9]+)?$/.test(value) && /[1-9]/.test(value),
+        message: 'must be a positive decimal number, e.g. "0.01"'
+    },
+    gwei: {
+        validate: /^[0-9]+(\.[0-9]{1,9})?$/,
+        message: 'must be a decimal amount in gwei with at most 9 decimals'
+    },
+    'callback-url': {
+        validate: isCallbackUrl,
+        message: 'must be an http or https URL'
+    },
+    'error-signature': {
+        validate: isErrorSignature,
+        message: 'must be an error signature like "error NotOwner(address)"'
+    },
+    timestamp: {
+        validate: value => /^[0-9]+$/.test(value) || !Number.isNaN(Date.parse(value)),
+        message: 'must be an ISO date or unix seconds'
+    },
+    uuid: {
+        validate: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+        message: 'must be a UUID'
+    }
+};
+
+// Query strings and path parameters are always strings, and clients send
+// amounts as JSON numbers: coerce both to the schema's type
+const ajv = new Ajv({ coerceTypes: true, strict: false, verbose: true });
+
+for (const [name, format] of Object.entries(FORMATS)) {
+    ajv.addFormat(name, { type: 'string', validate: format.validate });
+}
+
+// Private keys are accepted with or without 0x and handed to routes with it
+ajv.addKeyword({
+    keyword: 'x-hex-prefix',
+    type: 'string',
+    modifying: true,
+    validate: (enabled, value, parentSchema, context) => {
+        if (enabled && context && context.parentData && !value.startsWith('0x')) {
+            context.parentData[context.parentDataProperty] = '0x' + value;
+        }
+        return true;
+    }
+});
+
+// operationId -> { params, query, body } compiled validators
+const validators = new Map();
+
+function compile(schema) {
+    // Component $refs resolve against the document's components
+    return schema ? ajv.compile({ ...schema, components: document.components }) : null;
+}
+
+function validatorsFor(operationId) {
+    if (!validators.has(operationId)) {
+        const schemas = requestSchemas(operationId);
+        validators.set(operationId, {
+            params: compile(schemas.params),
+            query: compile(schemas.query),
+            body: compile(schemas.body)
+        });
+    }
+    return validators.get(operationId);
+}
+
+const ARTICLES = { array: 'an array', object: 'an object', integer: 'an integer' };
+
+/**
+ * "calls[0].to" for the instance path /calls/0/to
+ */
+function fieldName(instancePath, property = null) {
+    const segments = instancePath.split('/').slice(1);
+    if (property !== null) {
+        segments.push(property);
+    }
+    return segments
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((name, segment) => (/^[0-9]+$/.test(segment) ? `${name}[${segment}]` : (name ? `${name}.${segment}` : segment)), '');
+}
+
+/**
+ * Message and field of the first schema violation
+ */
+function describeError(errors, value) {
+    // A failed anyOf first reports the failure of each of its branches: explain the anyOf
+    const error = errors[errors.length - 1];
+    const field = fieldName(error.instancePath);
+    const label = field || 'request body';
+
+    switch (error.keyword) {
+        case 'required': {
+            const missing = fieldName(error.instancePath, error.params.missingProperty);
+            return { field: missing, message: `Missing required field: ${missing}` };
+        }
+        case 'anyOf': {
+            const prefix = field ? `${field}.` : '';
+            const alternatives = error.schema
+                .map(branch => (branch.required || []).map(name => prefix + name).join(' and '))
+                .join(', or ');
+            return { field: field, message: `Missing required fields: ${alternatives}` };
+        }
+        case 'format': {
+            const format = error.params.format;
+            const invalid = error.instancePath.split('/').slice(1).reduce((parent, key) => (parent == null ? parent : parent[key]), value);
+            if (format === 'address' && HEX_ADDRESS.test(invalid)) {
+                return { field: field, message: `Invalid ${label}: bad EIP-55 checksum (use the checksummed or an all-lowercase address)` };
+            }
+            return { field: field, message: `Invalid ${label}: ${FORMATS[format] ? FORMATS[format].message : `must be a ${format}`}` };
+        }
+        case 'type':
+            return { field: field, message: `Invalid ${label}: must be ${ARTICLES[error.params.type] || `a ${error.params.type}`}` };
+        case 'minItems':
+            return { field: field, message: `Invalid ${label}: must have at least ${error.params.limit} item(s)` };
+        case 'enum':
+            return { field: field, message: `Invalid ${label}: must be one of ${error.params.allowedValues.join(', ')}` };
+        default:
+            return { field: field, message: `Invalid ${label}: ${error.message}` };
+    }
+}
+
+/**
+ * Route middleware: validate a request against the operation `operationId`
+ * of the OpenAPI document. Query strings, numbers and private keys are
+ * normalized in place; the first violation is answered with a 400.
+ */
+function validate(operationId) {
+    const { params, query, body } = validatorsFor(operationId);
+
+    return (req, res, next) => {
+        const checks = [
+            { validator: params, value: req.params },
+            { validator: query, value: req.query },
+            { validator: body, value: req.body === undefined ? {} : req.body }
+        ];
+
+        for (const { validator, value } of checks) {
+            if (validator && !validator(value)) {
+                const { field, message } = describeError(validator.errors, value);
+                return res.status(400).json({
+                    success: false,
+                    error: message,
+                    field: field || undefined
+                });
+            }
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    isAddress,
+    validate
+};
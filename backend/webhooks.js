@@ -0,0 +1,303 @@
+/**
+ * Webhooks
+ * POSTs HMAC-signed transaction lifecycle events (submitted, confirmed,
+ * reverted, dropped) to the callback URL of a request or of its API key,
+ * retrying failed deliveries with exponential backoff.
+ *
+ * Receivers verify X-Webhook-Signature = sha256=hex(HMAC-SHA256(secret, `${timestamp}.${body}`))
+ * with the X-Webhook-Timestamp header (Unix seconds), and reject timestamps more than
+ * five minutes old so a captured delivery cannot be replayed.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { logger, registerSecret } = require('./logger');
+
+// Signs callbacks of tenants without their own webhookSecret
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+registerSecret(WEBHOOK_SECRET);
+
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6));
+
+// Delay before the first retry, doubled after every failed attempt
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 1000);
+const WEBHOOK_RETRY_MAX_MS = 5 * 60 * 1000;
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Callback URLs sent in requests may not reach these: loopback, private, link-local
+// (cloud metadata), shared, multicast and reserved addresses, and IPv4 behind IPv6 prefixes.
+// One list per family: a BlockList matches IPv4 addresses against IPv4-mapped IPv6 subnets.
+function blockList(family, subnets) {
+    const list = new net.BlockList();
+    for (const [network, prefix] of subnets) {
+        list.addSubnet(network, prefix, family);
+    }
+    return list;
+}
+
+const NON_PUBLIC_IPV4 = blockList('ipv4', [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]);
+const NON_PUBLIC_IPV6 = blockList('ipv6', [['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7],
+    ['fe80::', 10], ['ff00::', 8]]);
+
+// Job id -> { target, txHash, queue } for jobs with a callback, until their final event is delivered
+const subscriptions = new Map();
+
+/**
+ * Whether a string is an absolute http(s) URL
+ */
+function isCallbackUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+function isPublicAddress(address) {
+    return net.isIPv6(address) ? !NON_PUBLIC_IPV6.check(address, 'ipv6') : !NON_PUBLIC_IPV4.check(address, 'ipv4');
+}
+
+/**
+ * dns.lookup for webhook connections that fails on non-public addresses. The check
+ * runs on the address actually connected to, so a name that is re-pointed after
+ * validateCallback (DNS rebinding) is refused too.
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+        }
+        callback(null, address, family);
+    });
+}
+
+/**
+ * Check that a callback URL's host resolves only to public addresses.
+ * Returns an error message or null.
+ */
+async function checkCallbackUrl(value) {
+    const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [host];
+    } else {
+        try {
+            addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+        } catch (error) {
+            return `callbackUrl host ${host} does not resolve`;
+        }
+    }
+
+    const blocked = addresses.find(address => !isPublicAddress(address));
+    return blocked ? `callbackUrl must point to a public address, ${host} is ${blocked}` : null;
+}
+
+/**
+ * Where events of a request go: its `callbackUrl`, else the API key's webhookUrl.
+ * Returns { url, secret, publicOnly } or null. Only the API key's webhookUrl, set by
+ * the operator in the keys file, may point into the server's own network.
+ */
+function targetFor(req) {
+    const tenant = req.tenantLimits || null;
+    const secret = (tenant && tenant.webhookSecret) || WEBHOOK_SECRET;
+
+    if (req.body && req.body.callbackUrl) {
+        return { url: req.body.callbackUrl, secret: secret, publicOnly: true };
+    }
+    if (tenant && tenant.webhookUrl) {
+        return { url: tenant.webhookUrl, secret: secret, publicOnly: false };
+    }
+    return null;
+}
+
+/**
+ * Route middleware: check that a request with a `callbackUrl` (whose format the
+ * request schema checks) can be signed, i.e. that a secret is configured, and
+ * that the URL does not point into the server's network
+ */
+async function validateCallback(req, res, next) {
+    const callbackUrl = req.body ? req.body.callbackUrl : undefined;
+    if (callbackUrl === undefined) {
+        return next();
+    }
+
+    if (!targetFor(req).secret) {
+        return res.status(400).json({
+            success: false,
+            error: 'Webhooks are not available: set WEBHOOK_SECRET or a webhookSecret for this API key'
+        });
+    }
+
+    const addressError = await checkCallbackUrl(callbackUrl);
+    if (addressError) {
+        return res.status(400).json({
+            success: false,
+            error: addressError
+        });
+    }
+
+    next();
+}
+
+/**
+ * HMAC-SHA256 of a timestamped payload, as sent in X-Webhook-Signature
+ */
+function sign(timestamp, body, secret) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POST a body without following redirects. Resolves with the HTTP status.
+ */
+function post(target, headers, body) {
+    const url = new URL(target.url);
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (target.publicOnly && net.isIP(host) && !isPublicAddress(host)) {
+        return Promise.reject(new Error(`${host} is not a public address`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = (url.protocol === 'https:' ? https : http).request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: target.publicOnly ? publicLookup : undefined,
+            timeout: WEBHOOK_TIMEOUT_MS
+        }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('timeout', () => request.destroy(new Error(`No answer within ${WEBHOOK_TIMEOUT_MS}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * POST one event, retrying with exponential backoff until a 2xx answer
+ */
+async function deliver(target, payload) {
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+        let failure;
+        try {
+            // Signed per attempt, so a retry carries a fresh timestamp
+            const timestamp = Math.floor(Date.now() / 1000);
+            const status = await post(target, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'eip7702-backend-webhooks',
+                'X-Webhook-Id': payload.id,
+                'X-Webhook-Event': payload.event,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': sign(timestamp, body, target.secret)
+            }, body);
+            if (status >= 200 && status < 300) {
+                logger.info(`📨 Webhook ${payload.event} for job ${payload.jobId} delivered`);
+                return true;
+            }
+            failure = `HTTP ${status}`;
+        } catch (error) {
+            failure = error.message;
+        }
+
+        if (attempt === WEBHOOK_MAX_ATTEMPTS) {
+            logger.error(`❌ Webhook ${payload.event} for job ${payload.jobId} failed after ${attempt} attempt(s): ${failure}`);
+            return false;
+        }
+
+        const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1), WEBHOOK_RETRY_MAX_MS);
+        logger.warn(`⚠️  Webhook ${payload.event} for job ${payload.jobId} failed (${failure}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    return false;
+}
+
+/**
+ * Lifecycle event for a job update, or null when there is nothing to report.
+ * A job that ends without a mined transaction of its own (failed before broadcast,
+ * cancelled, timed out, replaced by a cancellation) is reported as dropped.
+ */
+function eventFor(job, subscription) {
+    const receipt = job.result && job.result.receipt ? job.result.receipt : null;
+
+    if (job.status === 'succeeded') {
+        return 'confirmed';
+    }
+    if (job.status === 'failed' || job.status === 'cancelled') {
+        return receipt && job.errorCode !== 'TRANSACTION_CANCELLED' ? 'reverted' : 'dropped';
+    }
+    if (job.txHash && job.txHash !== subscription.txHash) {
+        return 'submitted';
+    }
+    return null;
+}
+
+/**
+ * Subscribe a job to webhook events
+ */
+function subscribe(job, target) {
+    if (target) {
+        subscriptions.set(job.id, { target: target, txHash: null, queue: Promise.resolve() });
+    }
+}
+
+/**
+ * Queue the event for a job update (jobs.onJobUpdate listener).
+ * Events of a job are delivered one at a time, in order.
+ */
+function notifyJobUpdate(job) {
+    const subscription = subscriptions.get(job.id);
+    if (!subscription) {
+        return;
+    }
+
+    const event = eventFor(job, subscription);
+    if (!event) {
+        return;
+    }
+
+    const payload = {
+        id: crypto.randomUUID(),
+        event: event,
+        createdAt: new Date().toISOString(),
+        jobId: job.id,
+        type: job.type,
+        chainId: job.params.chainId,
+        address: job.params.address,
+        sponsored: Boolean(job.params.sponsored),
+        txHash: job.txHash,
+        replacedTxHash: event === 'submitted' && subscription.txHash ? subscription.txHash : undefined,
+        status: job.status,
+        error: job.error,
+        errorCode: job.errorCode,
+        receipt: job.result && job.result.receipt ? job.result.receipt : null
+    };
+
+    subscription.txHash = job.txHash;
+    subscription.queue = subscription.queue.then(() => deliver(subscription.target, payload));
+
+    if (event !== 'submitted') {
+        subscriptions.delete(job.id);
+    }
+}
+
+module.exports = {
+    WEBHOOK_SECRET,
+    isCallbackUrl,
+    targetFor,
+    validateCallback,
+    subscribe,
+    notifyJobUpdate
+};
@@ -29,7 +29,9 @@ contract DeployBatchCallAndSponsor is Script {
 
     function _buildJson(address deployedAddress) internal returns (string memory) {
         string memory obj = "addrbook";
-        string memory json = vm.serializeAddress(obj, "BatchCallAndSponsor", deployedAddress);
+        vm.serializeAddress(obj, "BatchCallAndSponsor", deployedAddress);
+        // Runtime code hash, checked by the backend's GET /api/implementations
+        string memory json = vm.serializeBytes32(obj, "BatchCallAndSponsorCodeHash", deployedAddress.codehash);
         return json;
     }
 }
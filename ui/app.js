@@ -6,6 +6,9 @@
 const BACKEND_API_URL = 'http://localhost:3001/api';
 const SEPOLIA_CHAIN_ID = '0xaa36a7';
 const SEPOLIA_CHAIN_ID_DECIMAL = 11155111;
+const JOB_POLL_INTERVAL_MS = 2000;
+// sessionStorage entry for the API key from backend/api-keys.json, entered by the user
+const BACKEND_API_KEY_STORAGE = 'backendApiKey';
 
 // State
 let account = null;
@@ -16,10 +19,16 @@ let userPrivateKey = null;
 let delegationActive = false;
 let currentNetwork = null;
 let isSepoliaNetwork = false;
+// Per-chain configuration from the backend's /health (name, explorer, implementation)
+let backendChains = [];
 
 let nativeTransactionController = null;
 let tokenTransactionController = null;
 
+// Backend job ids of the transactions in progress
+let nativeJobId = null;
+let tokenJobId = null;
+
 // Transaction state (ADD THESE)
 let isNativeTransactionInProgress = false;
 let isTokenTransactionInProgress = false;
@@ -39,6 +48,8 @@ window.addEventListener('load', async () => {
     }
     
     console.log('✅ ethers.js loaded:', ethers.version);
+
+    document.getElementById('apiKeyInput').value = getBackendApiKey();
     
     // Check backend status
     await checkBackendStatus();
@@ -96,6 +107,7 @@ async function checkBackendStatus() {
             statusEl.className = 'status-badge status-connected';
             console.log('✅ Backend API connected');
             console.log('Foundry:', data.environment.foundryVersion || 'Not found');
+            backendChains = data.environment.chains || [];
         } else {
             throw new Error('Backend unhealthy');
         }
@@ -108,6 +120,243 @@ async function checkBackendStatus() {
     }
 }
 
+// ============================================
+// BACKEND JOBS
+// ============================================
+
+/**
+ * The API key entered for this tab; sessionStorage drops it when the tab closes
+ */
+function getBackendApiKey() {
+    return sessionStorage.getItem(BACKEND_API_KEY_STORAGE) || '';
+}
+
+function saveBackendApiKey() {
+    const apiKey = document.getElementById('apiKeyInput').value.trim();
+    if (apiKey) {
+        sessionStorage.setItem(BACKEND_API_KEY_STORAGE, apiKey);
+    } else {
+        sessionStorage.removeItem(BACKEND_API_KEY_STORAGE);
+    }
+}
+
+/**
+ * Request headers for the backend, with the API key when one was entered
+ */
+function backendHeaders(headers = {}) {
+    const apiKey = getBackendApiKey();
+    return apiKey ? { ...headers, 'X-API-Key': apiKey } : headers;
+}
+
+/**
+ * Text for a backend error response { error, code, retryable }
+ */
+function formatBackendError(data) {
+    const message = data.error || 'Transaction failed';
+    const code = data.code ? ` (${data.code})` : '';
+    const hint = data.retryable ? ' - this is temporary, please try again' : '';
+    return message + code + hint;
+}
+
+/**
+ * Poll a backend job until it finishes.
+ * Resolves with the job result, or { success: false, error, code, retryable } if it failed or was cancelled.
+ */
+async function waitForJob(jobId, signal) {
+    console.log('⏳ Waiting for backend job:', jobId);
+
+    while (true) {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+
+        const response = await fetch(`${BACKEND_API_URL}/jobs/${jobId}`, {
+            signal: signal,
+            headers: backendHeaders()
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            return { success: false, error: data.error || 'Job not found', code: data.code, retryable: data.retryable };
+        }
+
+        const job = data.job;
+        console.log(`📋 Job ${jobId}: ${job.status} (${job.stage})`);
+
+        if (job.status === 'succeeded') {
+            return job.result;
+        }
+        if (job.status === 'failed') {
+            return { success: false, error: job.error || 'Transaction failed', code: job.errorCode, retryable: job.retryable };
+        }
+        if (job.status === 'cancelled') {
+            return { success: false, error: 'Job cancelled', cancelled: true };
+        }
+    }
+}
+
+/**
+ * Ask the backend to cancel a job. Returns true if it was cancelled.
+ */
+async function cancelBackendJob(jobId) {
+    try {
+        const response = await fetch(`${BACKEND_API_URL}/jobs/${jobId}`, {
+            method: 'DELETE',
+            headers: backendHeaders()
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            showError('Could not cancel transaction: ' + formatBackendError(data));
+            return false;
+        }
+        return true;
+    } catch (error) {
+        showError('Could not cancel transaction: ' + error.message);
+        return false;
+    }
+}
+
+// ============================================
+// LOCAL SIGNING
+// ============================================
+
+const ERC20_TRANSFER_INTERFACE = new ethers.Interface([
+    'function transfer(address to, uint256 amount) returns (bool)'
+]);
+
+/**
+ * Wallet for the key entered on this page. The key never leaves the browser:
+ * the backend only receives signatures and relays them with its sponsor key.
+ */
+function getLocalWallet() {
+    return new ethers.Wallet(userPrivateKey);
+}
+
+/**
+ * Sign an EIP-7702 authorization tuple with ethers (hashAuthorization, as the backend does).
+ * The sponsor submits it, so nonce is the account's current nonce.
+ */
+function signAuthorization(wallet, implementationAddress, nonce) {
+    const authorization = wallet.authorizeSync({
+        chainId: currentNetwork,
+        address: implementationAddress,
+        nonce: nonce
+    });
+
+    return {
+        chainId: currentNetwork,
+        address: implementationAddress,
+        nonce: nonce,
+        signature: authorization.signature.serialized
+    };
+}
+
+/**
+ * Check a private key entered on this page: well-formed and the connected account's.
+ * Returns { key } or { error }.
+ */
+function parseLocalKey(privateKey) {
+    if (!privateKey || privateKey.trim() === '') {
+        return { error: 'Please enter your private key' };
+    }
+
+    // Validate private key format
+    const cleanKey = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
+    if (!cleanKey.match(/^0x[a-fA-F0-9]{64}$/)) {
+        return { error: 'Invalid private key format' };
+    }
+
+    // Verify the private key matches the connected account
+    try {
+        const wallet = new ethers.Wallet(cleanKey);
+        if (wallet.address.toLowerCase() !== account.toLowerCase()) {
+            return { error: 'Private key does not match connected wallet!' };
+        }
+    } catch (error) {
+        return { error: 'Invalid private key' };
+    }
+
+    return { key: cleanKey };
+}
+
+/**
+ * The key that signs sends: the one from add delegation, else the one in the key field
+ * (a first send from an account that is not delegated yet). Returns { key } or { error }.
+ */
+function unlockLocalKey() {
+    if (userPrivateKey) {
+        return { key: userPrivateKey };
+    }
+
+    const parsed = parseLocalKey(document.getElementById('privateKeyInput').value);
+    if (parsed.key) {
+        userPrivateKey = parsed.key;
+    }
+    return parsed;
+}
+
+/**
+ * Implementation a first send delegates to: the one from add delegation, else the
+ * picker's, else null for the chain's BatchCallAndSponsor deployment
+ */
+function selectedImplementation() {
+    return implementation_Address || document.getElementById('implementationAddress').value || null;
+}
+
+/**
+ * Sign a batch for BatchCallAndSponsor.execute(calls, signature). The backend's
+ * /batch/digest reads the batch nonce, through the implementation's code when the
+ * account is not delegated yet; the digest is recomputed here before signing.
+ * An account that is not delegated also signs an authorization the sponsor bundles.
+ * Returns { signature, authorization } (authorization is null when already delegated).
+ */
+async function signBatch(wallet, calls, implementationAddress) {
+    const response = await fetch(`${BACKEND_API_URL}/batch/digest`, {
+        method: 'POST',
+        headers: backendHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+            address: account,
+            calls: calls.map(call => ({ to: call.to, value: call.value.toString(), data: call.data })),
+            implementationAddress: implementationAddress || undefined,
+            chainId: currentNetwork
+        })
+    });
+    const prepared = await response.json();
+    if (!prepared.success) {
+        throw new Error(formatBackendError(prepared));
+    }
+
+    // personal_sign over keccak256(abi.encodePacked(nonce, to, value, data, ...))
+    const types = ['uint256'];
+    const values = [BigInt(prepared.nonce)];
+    for (const call of calls) {
+        types.push('address', 'uint256', 'bytes');
+        values.push(call.to, call.value, call.data);
+    }
+    const digest = ethers.keccak256(ethers.solidityPacked(types, values));
+    if (digest !== prepared.digest) {
+        throw new Error('Batch digest from the backend does not match the calls to sign');
+    }
+    const signature = await wallet.signMessage(ethers.getBytes(digest));
+
+    if (prepared.delegated) {
+        return { signature: signature, authorization: null };
+    }
+
+    // First send: delegate to the implementation the nonce was read from, in the same transaction
+    const prepareResponse = await fetch(`${BACKEND_API_URL}/prepare-delegation/${account}?chainId=${currentNetwork}&implementationAddress=${prepared.implementation}`, {
+        headers: backendHeaders()
+    });
+    const delegation = await prepareResponse.json();
+    if (!delegation.success) {
+        throw new Error(formatBackendError(delegation));
+    }
+
+    return {
+        signature: signature,
+        authorization: signAuthorization(wallet, prepared.implementation, delegation.authorization.nonce)
+    };
+}
+
 // ============================================
 // WALLET CONNECTION
 // ============================================
@@ -159,10 +408,52 @@ function showMainContent() {
 async function refreshAll() {
     console.log('🔄 Refreshing all data...');
     await checkNetwork();
+    await loadImplementations();
     await getBalance();
     await checkDelegation();
 }
 
+/**
+ * Offer the backend's live BatchCallAndSponsor deployment of the current network
+ * in the implementation picker, and preselect it when the field is empty
+ */
+async function loadImplementations() {
+    const options = document.getElementById('implementationOptions');
+    const input = document.getElementById('implementationAddress');
+
+    if (!backendAvailable || !currentNetwork) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${BACKEND_API_URL}/implementations?chainId=${currentNetwork}`, {
+            headers: backendHeaders()
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            console.warn('⚠️ Could not load implementations:', data.error);
+            return;
+        }
+
+        // The backend refuses delegations to builds whose code hash is not audited yet
+        const deployed = data.implementations.filter(implementation => implementation.deployed && implementation.audited);
+        options.innerHTML = '';
+        for (const implementation of deployed) {
+            const option = document.createElement('option');
+            option.value = implementation.address;
+            option.label = `BatchCallAndSponsor (${implementation.name})`;
+            options.appendChild(option);
+        }
+
+        if (!input.value && deployed.length > 0) {
+            input.value = deployed[0].address;
+        }
+    } catch (error) {
+        console.error('Error loading implementations:', error);
+    }
+}
+
 async function checkNetwork() {
     if (!provider) {
         console.warn('⚠️ Cannot check network: provider not set');
@@ -346,7 +637,10 @@ async function checkDelegation() {
             document.getElementById('delegationStatus').className = 'status-badge status-delegated';
             document.getElementById('accountType').textContent = 'Smart Account (EIP-7702)';
             document.getElementById('magicNumber').textContent = '0x' + magic + (magic === 'ef0100' ? ' ✓ Valid' : ' ✗ Invalid');
-            document.getElementById('delegatedTo').innerHTML = `<a href="https://sepolia.etherscan.io/address/${delegatedTo}" target="_blank">${delegatedTo}</a>`;
+            const explorer = chainExplorer();
+            document.getElementById('delegatedTo').innerHTML = explorer
+                ? `<a href="${explorer}/address/${delegatedTo}" target="_blank">${delegatedTo}</a>`
+                : delegatedTo;
             document.getElementById('delegationDetails').classList.remove('hidden');
 
             showSuccess('Active EIP-7702 delegation detected!');
@@ -397,27 +691,9 @@ async function addDelegationViaBackend() {
     }
     implementation_Address = implementationAddress;
 
-    if (!privateKey || privateKey.trim() === '') {
-        showError('Please enter your private key');
-        return;
-    }
-    
-    // Validate private key format
-    const cleanKey = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
-    if (!cleanKey.match(/^0x[a-fA-F0-9]{64}$/)) {
-        showError('Invalid private key format');
-        return;
-    }
-
-    // Verify the private key matches the connected account
-    try {
-        const wallet = new ethers.Wallet(cleanKey);
-        if (wallet.address.toLowerCase() !== account.toLowerCase()) {
-            showError('Private key does not match connected wallet!');
-            return;
-        }
-    } catch (error) {
-        showError('Invalid private key');
+    const { key: cleanKey, error: keyError } = parseLocalKey(privateKey);
+    if (keyError) {
+        showError(keyError);
         return;
     }
 
@@ -429,27 +705,43 @@ async function addDelegationViaBackend() {
     btn.disabled = true;
 
     try {
+        // The sponsor submits the Type 4 transaction: the backend supplies the nonce for that
+        // (the current one) and refuses implementations that are not audited builds
+        const prepareResponse = await fetch(`${BACKEND_API_URL}/prepare-delegation/${account}?chainId=${currentNetwork}&implementationAddress=${implementationAddress}`, {
+            headers: backendHeaders()
+        });
+        const prepared = await prepareResponse.json();
+        if (!prepared.success) {
+            showError(`Failed to add delegation: ${formatBackendError(prepared)}`);
+            return;
+        }
+
+        console.log('✍️ Signing authorization locally...');
+        const authorization = signAuthorization(getLocalWallet(), implementationAddress, prepared.authorization.nonce);
+
         console.log('🚀 Sending add delegation request to backend...');
         
         const response = await fetch(`${BACKEND_API_URL}/add-delegation`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers: backendHeaders({
+                'Content-Type': 'application/json'
+            }),
             body: JSON.stringify({
                 address: account,
                 implementationAddress: implementationAddress,
-                privateKey: cleanKey
+                authorization: authorization,
+                chainId: currentNetwork
             })
         });
 
-        const data = await response.json();
+        const accepted = await response.json();
+        const data = accepted.success ? await waitForJob(accepted.jobId) : accepted;
 
         if (data.success) {
             showSuccess(`✅ Delegation added via Type 4 transaction!\n\nTx Hash: ${data.txHash || 'Processing...'}`);
             
             if (data.txHash) {
-                showTransactionHash(data.txHash, 'Type 4 (EIP-7702)');
+                showTransactionHash(data.txHash, data.type, data.explorerUrl);
             }
 
             // Clear private key
@@ -460,7 +752,7 @@ async function addDelegationViaBackend() {
                 checkDelegation();
             }, 5000);
         } else {
-            showError(`Failed to add delegation: ${data.error}`);
+            showError(`Failed to add delegation: ${formatBackendError(data)}`);
         }
     } catch (error) {
         showError(`Backend API error: ${error.message}\n\nMake sure backend is running on http://localhost:3001`);
@@ -535,26 +827,32 @@ async function removeDelegationViaBackend() {
     btn.disabled = true;
 
     try {
+        console.log('✍️ Signing authorization to address(0) locally...');
+        const nonce = await provider.getTransactionCount(account, 'pending');
+        const authorization = signAuthorization(new ethers.Wallet(cleanKey), ethers.ZeroAddress, nonce);
+
         console.log('🚀 Sending remove delegation request to backend...');
         
         const response = await fetch(`${BACKEND_API_URL}/remove-delegation`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers: backendHeaders({
+                'Content-Type': 'application/json'
+            }),
             body: JSON.stringify({
                 address: account,
-                privateKey: privateKey
+                authorization: authorization,
+                chainId: currentNetwork
             })
         });
 
-        const data = await response.json();
+        const accepted = await response.json();
+        const data = accepted.success ? await waitForJob(accepted.jobId) : accepted;
 
         if (data.success) {
             showSuccess(`✅ Delegation removed via Type 4 transaction!\n\nTx Hash: ${data.txHash || 'Processing...'}`);
             
             if (data.txHash) {
-                showTransactionHash(data.txHash, 'Type 4 (EIP-7702)');
+                showTransactionHash(data.txHash, data.type, data.explorerUrl);
             }
 
             // Clear private key
@@ -565,7 +863,7 @@ async function removeDelegationViaBackend() {
                 checkDelegation();
             }, 5000);
         } else {
-            showError(`Failed to remove delegation: ${data.error}`);
+            showError(`Failed to remove delegation: ${formatBackendError(data)}`);
         }
     } catch (error) {
         showError(`Backend API error: ${error.message}\n\nMake sure backend is running on http://localhost:3001`);
@@ -625,18 +923,10 @@ async function sendNativeTransaction() {
         return;
     }
 
-    if (!delegationActive) {
-        showError('Please add delegation first before sending transactions');
-        return;
-    }
-
-    if (!userPrivateKey) {
-        showError('Private key not available. Please add delegation again.');
-        return;
-    }
-
-    if (!implementation_Address) {
-        showError('Implementation address not available. Please add delegation again.');
+    // An account that is not delegated yet is delegated by its first send
+    const { error: keyError } = unlockLocalKey();
+    if (keyError) {
+        showError(keyError);
         return;
     }
 
@@ -661,7 +951,12 @@ async function sendNativeTransaction() {
     cancelBtn.style.opacity = '1';
 
     try {
-        console.log('🚀 Sending Type 4 native transaction via backend...');
+        console.log('✍️ Signing native transfer locally...');
+        const { signature, authorization } = await signBatch(getLocalWallet(), [
+            { to: recipient, value: ethers.parseEther(amount), data: '0x' }
+        ], selectedImplementation());
+
+        console.log('🚀 Sending signed native transfer via backend...');
         
         // Create AbortController for this transaction
         nativeTransactionController = new AbortController();
@@ -669,36 +964,45 @@ async function sendNativeTransaction() {
         const response = await fetch(`${BACKEND_API_URL}/send-native`, {
             signal: nativeTransactionController.signal,
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: backendHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify({
-                privateKey: userPrivateKey,
-                implementationAddress: implementation_Address,
+                address: account,
+                signature: signature,
+                authorization: authorization || undefined,
                 recipient: recipient,
-                amount: amount
+                amount: amount,
+                chainId: currentNetwork
             })
         });
 
-        const data = await response.json();
+        const accepted = await response.json();
+        nativeJobId = accepted.jobId || null;
+        const data = accepted.success
+            ? await waitForJob(accepted.jobId, nativeTransactionController.signal)
+            : accepted;
 
-        if (response.ok && data.success) {
-            showTransactionHash(data.txHash, 'Type 4 (EIP-7702)');
-            showSuccess('Native ETH sent successfully via Type 4 transaction!');
+        if (data.success) {
+            showTransactionHash(data.txHash, data.type, data.explorerUrl);
+            showSuccess('Native ETH sent successfully, gas paid by sponsor!');
             
             // Clear form
             document.getElementById('nativeRecipient').value = '';
             document.getElementById('nativeAmount').value = '';
             
-            // Refresh balance after delay
+            // Refresh balance after delay, and the delegation a first send added
             setTimeout(getBalance, 3000);
-        } else {
-            throw new Error(data.error || 'Transaction failed');
+            if (authorization) {
+                setTimeout(checkDelegation, 3000);
+            }
+        } else if (!data.cancelled) {
+            throw new Error(formatBackendError(data));
         }
     } catch (error) {
         if (error.name === 'AbortError') {
             console.log('❌ Transaction cancelled by user');
         } else {
-            showError('Transaction failed: ');
-            console.error('Send native error:');
+            showError('Transaction failed: ' + error.message);
+            console.error('Send native error:', error);
         }
     } finally {
         btnSpan.innerHTML = 'Send ETH';
@@ -706,10 +1010,42 @@ async function sendNativeTransaction() {
         cancelBtn.disabled = true;
         cancelBtn.style.opacity = '0.5';
         nativeTransactionController = null;
+        nativeJobId = null;
         isNativeTransactionInProgress = false; // Reset flag
     }
 }
 
+/**
+ * Show symbol, decimals and balance of the entered token
+ */
+async function loadTokenInfo() {
+    const tokenAddress = document.getElementById('tokenAddress').value;
+    const tokenInfo = document.getElementById('tokenInfo');
+
+    if (!tokenAddress || !tokenAddress.startsWith('0x') || tokenAddress.length !== 42 || !backendAvailable) {
+        tokenInfo.classList.add('hidden');
+        return;
+    }
+
+    try {
+        const owner = account ? `&owner=${account}` : '';
+        const response = await fetch(`${BACKEND_API_URL}/tokens/${tokenAddress}?chainId=${currentNetwork}${owner}`);
+        const data = await response.json();
+
+        if (data.success) {
+            const symbol = data.symbol || 'tokens';
+            tokenInfo.textContent = `${data.name || 'Unknown token'} (${symbol}) · ${data.decimals} decimals`
+                + (data.balanceFormatted !== undefined ? ` · Balance: ${data.balanceFormatted} ${symbol}` : '');
+        } else {
+            tokenInfo.textContent = '⚠️ ' + data.error;
+        }
+        tokenInfo.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error loading token info:', error);
+        tokenInfo.classList.add('hidden');
+    }
+}
+
 async function sendTokenTransaction() {
     console.log('🪙 sendTokenTransaction called');
     console.log('🔍 Current network state: isSepoliaNetwork =', isSepoliaNetwork);
@@ -746,18 +1082,10 @@ async function sendTokenTransaction() {
         return;
     }
 
-    if (!delegationActive) {
-        showError('Please add delegation first before sending transactions');
-        return;
-    }
-
-    if (!userPrivateKey) {
-        showError('Private key not available. Please add delegation again.');
-        return;
-    }
-
-    if (!implementation_Address) {
-        showError('Implementation address not available. Please add delegation again.');
+    // An account that is not delegated yet is delegated by its first send
+    const { error: keyError } = unlockLocalKey();
+    if (keyError) {
+        showError(keyError);
         return;
     }
 
@@ -782,7 +1110,24 @@ async function sendTokenTransaction() {
     cancelBtn.style.opacity = '1';
 
     try {
-        console.log('🚀 Sending Type 4 token transaction via backend...');
+        // The signed call must use the token's own decimals, same as the backend
+        const tokenResponse = await fetch(`${BACKEND_API_URL}/tokens/${tokenAddress}?chainId=${currentNetwork}`);
+        const token = await tokenResponse.json();
+        if (!token.success) {
+            throw new Error(token.error);
+        }
+
+        console.log('✍️ Signing token transfer locally...');
+        const { signature, authorization } = await signBatch(getLocalWallet(), [{
+            to: tokenAddress,
+            value: 0n,
+            data: ERC20_TRANSFER_INTERFACE.encodeFunctionData('transfer', [
+                recipient,
+                ethers.parseUnits(amount, token.decimals)
+            ])
+        }], selectedImplementation());
+
+        console.log('🚀 Sending signed token transfer via backend...');
 
         // Create AbortController for this transaction
         tokenTransactionController = new AbortController();
@@ -790,37 +1135,47 @@ async function sendTokenTransaction() {
         const response = await fetch(`${BACKEND_API_URL}/send-token`, {
             signal: tokenTransactionController.signal,
             method: 'POST',
-            headers: { 
+            headers: backendHeaders({
                 'Content-Type': 'application/json'
-            },
+            }),
             body: JSON.stringify({
-                privateKey: userPrivateKey,
-                implementationAddress: implementation_Address,
+                address: account,
+                signature: signature,
+                authorization: authorization || undefined,
                 tokenAddress: tokenAddress,
                 recipient: recipient,
-                amount: amount
+                amount: amount,
+                chainId: currentNetwork
             })
         });
 
-        const data = await response.json();
+        const accepted = await response.json();
+        tokenJobId = accepted.jobId || null;
+        const data = accepted.success
+            ? await waitForJob(accepted.jobId, tokenTransactionController.signal)
+            : accepted;
 
-        if (response.ok && data.success) {
-            showTransactionHash(data.txHash, 'Type 4 (EIP-7702)');
-            showSuccess('Token transaction sent successfully via Type 4!');
+        if (data.success) {
+            showTransactionHash(data.txHash, data.type, data.explorerUrl);
+            showSuccess('Token transaction sent successfully, gas paid by sponsor!');
+            if (authorization) {
+                setTimeout(checkDelegation, 3000);
+            }
             
             // Clear form
             document.getElementById('tokenAddress').value = '';
             document.getElementById('tokenRecipient').value = '';
             document.getElementById('tokenAmount').value = '';
-        } else {
-            throw new Error(data.error || 'Transaction failed');
+            document.getElementById('tokenInfo').classList.add('hidden');
+        } else if (!data.cancelled) {
+            throw new Error(formatBackendError(data));
         }
     } catch (error) {
         if (error.name === 'AbortError') {
             console.log('❌ Transaction cancelled by user');
         } else {
-            showError('Transaction failed: ');
-            console.error('Send token error:');
+            showError('Transaction failed: ' + error.message);
+            console.error('Send token error:', error);
         }
     } finally {
         btnSpan.innerHTML = 'Send Tokens';
@@ -828,12 +1183,18 @@ async function sendTokenTransaction() {
         cancelBtn.disabled = true;
         cancelBtn.style.opacity = '0.5';
         tokenTransactionController = null;
+        tokenJobId = null;
         isTokenTransactionInProgress = false; // Reset flag
     }
 }
 
-function cancelNativeTransaction() {
+async function cancelNativeTransaction() {
     if (nativeTransactionController) {
+        // Cancel on the backend first; a job that already broadcast keeps being tracked
+        if (nativeJobId && !(await cancelBackendJob(nativeJobId))) {
+            return;
+        }
+
         nativeTransactionController.abort();
         nativeTransactionController = null;
         
@@ -851,8 +1212,13 @@ function cancelNativeTransaction() {
     }
 }
 
-function cancelTokenTransaction() {
+async function cancelTokenTransaction() {
     if (tokenTransactionController) {
+        // Cancel on the backend first; a job that already broadcast keeps being tracked
+        if (tokenJobId && !(await cancelBackendJob(tokenJobId))) {
+            return;
+        }
+
         tokenTransactionController.abort();
         tokenTransactionController = null;
         
@@ -870,10 +1236,25 @@ function cancelTokenTransaction() {
     }
 }
 
-function showTransactionHash(hash, type) {
+/**
+ * Block explorer of the current chain, or null when the chain has none (e.g. local anvil)
+ */
+function chainExplorer() {
+    const chain = backendChains.find(candidate => candidate.chainId === currentNetwork);
+    return chain ? chain.explorer : null;
+}
+
+function showTransactionHash(hash, type, explorerUrl) {
     document.getElementById('transactionCard').classList.remove('hidden');
     const link = document.getElementById('txHashLink');
-    link.href = `https://sepolia.etherscan.io/tx/${hash}`;
+    const explorer = chainExplorer();
+    const url = explorerUrl || (explorer ? `${explorer}/tx/${hash}` : null);
+    // Without an explorer the hash is shown as plain text
+    if (url) {
+        link.href = url;
+    } else {
+        link.removeAttribute('href');
+    }
     link.textContent = hash;
     document.getElementById('txType').textContent = type || 'Type 4 (EIP-7702)';
 }